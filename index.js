@@ -6,86 +6,211 @@
 
 const fs = require('fs-extra');
 const path = require('path');
-const { glob } = require('glob');
+const { TokenRegistry } = require('./lib/registry');
+const { getLogoSize, getSizedLogoURI } = require('./lib/logos');
+const { diffTokenLists } = require('./lib/diff');
+const search = require('./lib/search');
+const resolve = require('./lib/resolve');
+const { validateTokenList, validateTokenEntry } = require('./lib/validation');
 
 /**
- * Get all supported chain IDs
- * @returns {Promise<Array<number>>} Array of supported chain IDs
+ * Copies a token the registry shares between callers, so callers can change
+ * what they get, extensions included
+ * @param {Object} token The frozen token
+ * @returns {Object} A deep copy of the token
  */
-async function getChainIds() {
-  const chainDirs = await glob('assets/*/', { posix: true });
-  return chainDirs.map(dir => {
-    const chainId = path.basename(path.dirname(dir));
-    return parseInt(chainId, 10);
-  }).filter(chainId => !isNaN(chainId));
+function copyToken(token) {
+  return structuredClone(token);
 }
 
 /**
- * Get all tokens for a specific chain
- * @param {number} chainId The chain ID to get tokens for
- * @returns {Promise<Array<Object>>} Array of token objects
+ * Copies tokens the registry shares between callers, so callers can sort
+ * and change what they get
+ * @param {Array<Object>} tokens The frozen tokens
+ * @returns {Array<Object>} A new array of token copies
  */
-async function getTokens(chainId) {
-  const commonPath = path.join(__dirname, 'assets', chainId.toString(), 'common.json');
-  
-  try {
-    const commonData = await fs.readJson(commonPath);
-    return commonData.tokens || [];
-  } catch (error) {
-    throw new Error(`Failed to load tokens for chain ${chainId}: ${error.message}`);
-  }
+function copyTokens(tokens) {
+  return tokens.map(copyToken);
 }
 
 /**
- * Get popular tokens for a specific chain
- * @param {number} chainId The chain ID to get popular tokens for
- * @returns {Promise<Array<Object>>} Array of popular token objects
+ * Create a token list API that resolves every path from one root directory
+ * @param {Object} [options]
+ * @param {string} [options.root] Directory holding the `assets/` folder, defaults to this package
+ * @param {Array<number>} [options.chains] Only expose these chain IDs
+ * @returns {Object} The token list API
  */
-async function getPopularTokens(chainId) {
-  const popularPath = path.join(__dirname, 'assets', chainId.toString(), 'popular.json');
-  
-  try {
-    const popularData = await fs.readJson(popularPath);
-    return popularData.tokens || [];
-  } catch (error) {
-    throw new Error(`Failed to load popular tokens for chain ${chainId}: ${error.message}`);
+function createTokenList(options = {}) {
+  const registry = new TokenRegistry(options);
+
+  /**
+   * Get all supported chain IDs
+   * @returns {Promise<Array<number>>} Array of supported chain IDs
+   */
+  async function getChainIds() {
+    return registry.getChainIds();
   }
-}
 
-/**
- * Get a token by its address for a specific chain
- * @param {number} chainId The chain ID
- * @param {string} address The token address
- * @returns {Promise<Object|null>} The token object or null if not found
- */
-async function getTokenByAddress(chainId, address) {
-  const tokens = await getTokens(chainId);
-  
-  // Normalize address for comparison
-  const normalizedAddress = address.toLowerCase();
-  
-  return tokens.find(token => token.address.toLowerCase() === normalizedAddress) || null;
-}
+  /**
+   * Get all tokens for a specific chain
+   * @param {number} chainId The chain ID to get tokens for
+   * @returns {Promise<Array<Object>>} Array of token objects
+   */
+  async function getTokens(chainId) {
+    return copyTokens(await registry.getTokens(chainId));
+  }
 
-/**
- * Get all token lists for all chains
- * @returns {Promise<Object>} Object with chain IDs as keys and token arrays as values
- */
-async function getAllTokens() {
-  const chainIds = await getChainIds();
-  const result = {};
-  
-  for (const chainId of chainIds) {
-    result[chainId] = await getTokens(chainId);
+  /**
+   * Get popular tokens for a specific chain
+   * @param {number} chainId The chain ID to get popular tokens for
+   * @returns {Promise<Array<Object>>} Array of popular token objects
+   */
+  async function getPopularTokens(chainId) {
+    return copyTokens(await registry.getPopularTokens(chainId));
+  }
+
+  /**
+   * Get a token by its address for a specific chain
+   * @param {number} chainId The chain ID
+   * @param {string} address The token address
+   * @returns {Promise<Object|null>} The token object or null if not found
+   */
+  async function getTokenByAddress(chainId, address) {
+    const token = await registry.getTokenByAddress(chainId, address);
+    return token ? copyToken(token) : null;
   }
-  
-  return result;
+
+  /**
+   * Check if a token exists on a specific chain
+   * @param {number} chainId The chain ID
+   * @param {string} address The token address
+   * @returns {Promise<boolean>} Whether the token is in the chain's list
+   */
+  async function hasToken(chainId, address) {
+    return registry.hasToken(chainId, address);
+  }
+
+  /**
+   * Get several tokens by their addresses for a specific chain
+   * @param {number} chainId The chain ID
+   * @param {Array<string>} addresses The token addresses
+   * @returns {Promise<Map<string, Object>>} Found tokens keyed by lowercase address
+   */
+  async function getTokensByAddresses(chainId, addresses) {
+    const tokens = await registry.getTokensByAddresses(chainId, addresses);
+    return new Map(Array.from(tokens, ([address, token]) => [address, copyToken(token)]));
+  }
+
+  /**
+   * Search tokens by symbol or name
+   *
+   * Each result carries the token, its chain, how it matched, whether it is
+   * popular and the other tokens on the same chain that share its symbol
+   * (`ambiguous` / `ambiguousWith`), e.g. USDC and USDC.e on Avalanche.
+   *
+   * @param {string} query The search text, e.g. "usdc" or "wrapped avax"
+   * @param {Object} [options]
+   * @param {number} [options.chainId] Only search this chain
+   * @param {number} [options.limit=20] Maximum number of results
+   * @param {boolean} [options.popularFirst=true] Rank popular tokens before the rest
+   * @returns {Promise<Array<Object>>} The ranked search results
+   */
+  async function searchTokens(query, options = {}) {
+    const results = await search.searchTokens(registry, query, options);
+    return results.map(result => ({ ...result, token: copyToken(result.token), ambiguousWith: copyTokens(result.ambiguousWith) }));
+  }
+
+  /**
+   * Resolve free text such as "USDC on avax" to a token
+   *
+   * The result holds the best `chainId` / `address` pair, a `confidence`
+   * between 0 and 1, the other `alternatives`, and `needsConfirmation`, which
+   * is set for low-confidence matches and for bridged variants (e.g. DAI.e)
+   * that the text didn't name explicitly.
+   *
+   * @param {string} text The free text
+   * @param {Object} [options]
+   * @param {number} [options.chainId] Restrict to this chain
+   * @param {number} [options.minConfidence=0.8] Below this confidence the match needs confirmation
+   * @param {number} [options.alternatives=5] Maximum number of alternative candidates
+   * @returns {Promise<Object>} The resolution result
+   */
+  async function resolveToken(text, options = {}) {
+    const result = await resolve.resolveToken(registry, text, options);
+    return {
+      ...result,
+      token: result.token && copyToken(result.token),
+      alternatives: result.alternatives.map(alternative => ({ ...alternative }))
+    };
+  }
+
+  /**
+   * Get the logo of a token at the size it's shown at
+   *
+   * Picks the smallest standard size (32, 64 or 128px) at least as large as
+   * the requested pixel size, falling back to the original logo when no
+   * standard size is large enough or the sizes haven't been generated.
+   *
+   * @param {number} chainId The chain ID
+   * @param {string} address The token address
+   * @param {number} pixelSize The rendered size in device pixels, e.g. 48 for a 24px icon on a 2x screen
+   * @returns {Promise<Object|null>} { size, logoURI, path }: the standard size, or null for the original; the
+   *   logo URI relative to the chain directory; and the local file, null for external logos. Null if the
+   *   token isn't found or has no logo
+   */
+  async function getTokenLogo(chainId, address, pixelSize) {
+    const token = await registry.getTokenByAddress(chainId, address);
+    if (!token || !token.logoURI) {
+      return null;
+    }
+
+    const chainDir = path.join(registry.assetsDir, String(chainId));
+    const size = getLogoSize(pixelSize);
+    const sizedURI = size ? getSizedLogoURI(token.logoURI, size) : null;
+    if (sizedURI && await fs.pathExists(path.join(chainDir, sizedURI))) {
+      return { size, logoURI: sizedURI, path: path.join(chainDir, sizedURI) };
+    }
+
+    const isLocal = token.logoURI.startsWith('./');
+    return { size: null, logoURI: token.logoURI, path: isLocal ? path.join(chainDir, token.logoURI) : null };
+  }
+
+  /**
+   * Get all token lists for all chains
+   * @returns {Promise<Object>} Object with chain IDs as keys and token arrays as values
+   */
+  async function getAllTokens() {
+    const lists = await registry.getAllTokens();
+    const result = {};
+    for (const [chainId, tokens] of Object.entries(lists)) {
+      result[chainId] = copyTokens(tokens);
+    }
+    return result;
+  }
+
+  return {
+    getChainIds,
+    getTokens,
+    getPopularTokens,
+    getTokenByAddress,
+    hasToken,
+    getTokensByAddresses,
+    searchTokens,
+    resolveToken,
+    getTokenLogo,
+    getAllTokens,
+    registry
+  };
 }
 
+// The module-level API reads the assets shipped with this package
+const defaultTokenList = createTokenList();
+
 module.exports = {
-  getChainIds,
-  getTokens,
-  getPopularTokens,
-  getTokenByAddress,
-  getAllTokens
-}; 
\ No newline at end of file
+  ...defaultTokenList,
+  createTokenList,
+  diffTokenLists,
+  validateTokenList,
+  validateTokenEntry,
+  TokenRegistry
+};
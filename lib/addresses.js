@@ -0,0 +1,234 @@
+/**
+ * Address Policy
+ *
+ * The single place that decides how token addresses are cased in this
+ * repository. Addresses are stored lowercase by default, with logo files
+ * named after the stored address. Whatever the storage casing, an address
+ * written in mixed case must carry a valid EIP-55 checksum, because a wrong
+ * checksum usually means a mistyped address.
+ *
+ * Set the ADDRESS_POLICY environment variable to "checksum" to store
+ * checksummed addresses instead.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { ethers } = require('ethers');
+
+const ADDRESS_POLICIES = ['lowercase', 'checksum'];
+const DEFAULT_ADDRESS_POLICY = 'lowercase';
+
+const ADDRESS_PATTERN = /^0x[0-9a-fA-F]{40}$/;
+const LOGO_FILE_PATTERN = /^\.\/logos\/(0x[0-9a-fA-F]{40})(\.[a-z]+)$/i;
+
+/**
+ * Get the address policy in effect
+ * @param {string} [policy] An explicit policy, defaults to ADDRESS_POLICY or "lowercase"
+ * @returns {string} 'lowercase' or 'checksum'
+ */
+function getAddressPolicy(policy) {
+  const value = policy || process.env.ADDRESS_POLICY || DEFAULT_ADDRESS_POLICY;
+
+  if (!ADDRESS_POLICIES.includes(value)) {
+    throw new Error(`Unknown address policy "${value}", expected one of: ${ADDRESS_POLICIES.join(', ')}`);
+  }
+
+  return value;
+}
+
+/**
+ * Checks whether a mixed-case address carries a valid EIP-55 checksum; all
+ * lowercase or all uppercase addresses carry none and always pass
+ * @param {string} address The address
+ * @returns {boolean}
+ */
+function hasValidChecksum(address) {
+  const hex = address.substring(2);
+  if (hex === hex.toLowerCase() || hex === hex.toUpperCase()) {
+    return true;
+  }
+
+  try {
+    return ethers.getAddress(address) === address;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Formats an address the way the policy stores it
+ * @param {string} address A valid address in any casing
+ * @param {string} [policy] The address policy
+ * @returns {string} The stored form of the address
+ */
+function formatAddress(address, policy) {
+  return getAddressPolicy(policy) === 'checksum'
+    ? ethers.getAddress(address.toLowerCase())
+    : address.toLowerCase();
+}
+
+/**
+ * Checks an address against the policy
+ * @param {string} address The address
+ * @param {string} [policy] The address policy
+ * @returns {Array<Object>} One { rule, message } per problem, empty if the address conforms; the rule is
+ *   'address.invalid', 'address.checksum' or 'address.case'
+ */
+function getAddressErrors(address, policy) {
+  if (typeof address !== 'string' || !ADDRESS_PATTERN.test(address)) {
+    return [{ rule: 'address.invalid', message: `address '${address}' is not a valid address` }];
+  }
+
+  if (!hasValidChecksum(address)) {
+    return [{ rule: 'address.checksum', message: `address '${address}' has an invalid checksum, it may be mistyped` }];
+  }
+
+  const expected = formatAddress(address, policy);
+  if (address !== expected) {
+    return [{ rule: 'address.case', message: `address '${address}' must be ${getAddressPolicy(policy)}: ${expected}` }];
+  }
+
+  return [];
+}
+
+/**
+ * Checks that a token's local logo file is named after its stored address
+ * @param {Object} token The token
+ * @param {string} [policy] The address policy
+ * @returns {Array<Object>} One { rule: 'logo.name', message } per problem, empty if the name conforms or
+ *   the logo isn't a local address-named file
+ */
+function getLogoFileErrors(token, policy) {
+  const match = typeof token.logoURI === 'string' && token.logoURI.match(LOGO_FILE_PATTERN);
+  if (!match || match[1].toLowerCase() !== String(token.address).toLowerCase() || !ADDRESS_PATTERN.test(token.address)) {
+    return [];
+  }
+
+  const expected = `./logos/${formatAddress(token.address, policy)}${match[2]}`;
+  if (token.logoURI !== expected) {
+    return [{
+      rule: 'logo.name',
+      message: `logoURI '${token.logoURI}' must be named after the ${getAddressPolicy(policy)} address: ${expected}`
+    }];
+  }
+
+  return [];
+}
+
+/**
+ * Renames a file, also when only the casing of its name changes on a case-insensitive file system
+ * @param {string} from The current path
+ * @param {string} to The new path
+ * @returns {Promise<void>}
+ */
+async function renameFile(from, to) {
+  const temporary = `${from}.rename-${process.pid}`;
+  await fs.rename(from, temporary);
+  await fs.rename(temporary, to);
+}
+
+/**
+ * Rewrites the addresses of every asset file and renames the logo files along with them
+ * @param {Object} [options]
+ * @param {string} [options.root] Directory holding the `assets/` folder, defaults to the working directory
+ * @param {string} [options.policy] The address policy
+ * @param {boolean} [options.dryRun] Only report what would change
+ * @returns {Promise<Object>} { tokens, logos, errors }: the rewritten tokens, the renamed logo files and the entries that couldn't be fixed
+ */
+async function fixAddresses(options = {}) {
+  const root = options.root || process.cwd();
+  const policy = getAddressPolicy(options.policy);
+  const assetsDir = path.join(root, 'assets');
+  const result = { tokens: [], logos: [], errors: [] };
+
+  const chainDirs = (await fs.readdir(assetsDir)).filter(name => /^\d+$/.test(name)).sort();
+
+  for (const chainDir of chainDirs) {
+    // Both lists point at the same logo files, so every file is renamed once
+    const renames = new Map();
+
+    for (const kind of ['common', 'popular']) {
+      const filePath = path.join(assetsDir, chainDir, `${kind}.json`);
+      if (!await fs.pathExists(filePath)) {
+        continue;
+      }
+
+      const relativePath = path.relative(root, filePath);
+      const list = JSON.parse(await fs.readFile(filePath, 'utf8'));
+      let changed = false;
+
+      for (const token of list.tokens || []) {
+        // Invalid addresses and bad checksums need a human to look at them
+        if (typeof token.address !== 'string' || !ADDRESS_PATTERN.test(token.address) || !hasValidChecksum(token.address)) {
+          result.errors.push({
+            file: relativePath,
+            token: token.address,
+            errors: getAddressErrors(token.address, policy).map(error => error.message)
+          });
+          continue;
+        }
+
+        const address = formatAddress(token.address, policy);
+        if (token.address !== address) {
+          result.tokens.push({ file: relativePath, before: token.address, after: address });
+          token.address = address;
+          changed = true;
+        }
+
+        const match = typeof token.logoURI === 'string' && token.logoURI.match(LOGO_FILE_PATTERN);
+        if (!match || match[1].toLowerCase() !== address.toLowerCase() || match[1] === address) {
+          continue;
+        }
+
+        const logosDir = path.join(assetsDir, chainDir, 'logos');
+        const from = path.join(logosDir, `${match[1]}${match[2]}`);
+        const to = path.join(logosDir, `${address}${match[2]}`);
+
+        if (!renames.has(from)) {
+          const exists = await fs.pathExists(from);
+          const taken = exists && (await fs.readdir(logosDir)).includes(path.basename(to));
+
+          if (taken) {
+            result.errors.push({
+              file: path.relative(root, from),
+              token: token.address,
+              errors: [`Cannot rename logo, ${path.relative(root, to)} already exists`]
+            });
+            renames.set(from, false);
+          } else {
+            if (exists && !options.dryRun) {
+              await renameFile(from, to);
+            }
+            if (exists) {
+              result.logos.push({ before: path.relative(root, from), after: path.relative(root, to) });
+            }
+            renames.set(from, true);
+          }
+        }
+
+        if (renames.get(from)) {
+          token.logoURI = `./logos/${address}${match[2]}`;
+          changed = true;
+        }
+      }
+
+      if (changed && !options.dryRun) {
+        await fs.writeFile(filePath, JSON.stringify(list, null, 2) + '\n');
+      }
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  ADDRESS_POLICIES,
+  DEFAULT_ADDRESS_POLICY,
+  getAddressPolicy,
+  hasValidChecksum,
+  formatAddress,
+  getAddressErrors,
+  getLogoFileErrors,
+  renameFile,
+  fixAddresses
+};
@@ -0,0 +1,77 @@
+/**
+ * Supported Chains
+ *
+ * Metadata for the chains hosted in `assets/`, including the words people use
+ * to refer to them in free text and the folder TrustWallet keeps their assets
+ * in, if it has one.
+ */
+
+const CHAINS = {
+  1: {
+    name: 'Ethereum',
+    slug: 'eth',
+    aliases: ['ethereum', 'ethereum mainnet', 'eth', 'mainnet', 'erc20'],
+    trustWalletFolder: 'ethereum'
+  },
+  43114: {
+    name: 'Avalanche',
+    slug: 'avax',
+    aliases: ['avalanche', 'avalanche c-chain', 'avax', 'c-chain', 'cchain'],
+    trustWalletFolder: 'avalanchec'
+  },
+  43113: {
+    name: 'Avalanche Fuji',
+    slug: 'avax_testnet',
+    aliases: ['fuji', 'avalanche fuji', 'fuji testnet', 'avax testnet', 'avalanche testnet']
+  }
+};
+
+/**
+ * Get the metadata of a supported chain
+ * @param {number} chainId The chain ID
+ * @returns {Object|null} The chain metadata or null if the chain is unknown
+ */
+function getChain(chainId) {
+  return CHAINS[chainId] || null;
+}
+
+/**
+ * Get the chain ID for an alias such as "avax" or "mainnet"
+ * @param {string} alias The alias, case-insensitive
+ * @returns {number|null} The chain ID or null if the alias is unknown
+ */
+function getChainIdByAlias(alias) {
+  const normalizedAlias = alias.trim().toLowerCase();
+
+  for (const [chainId, chain] of Object.entries(CHAINS)) {
+    if (chain.aliases.includes(normalizedAlias)) {
+      return parseInt(chainId, 10);
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Get every alias with its chain ID, longest alias first so that
+ * "avax testnet" is preferred over "avax"
+ * @returns {Array<Object>} Array of { alias, chainId }
+ */
+function getChainAliases() {
+  const aliases = [];
+
+  for (const [chainId, chain] of Object.entries(CHAINS)) {
+    for (const alias of chain.aliases) {
+      aliases.push({ alias, chainId: parseInt(chainId, 10) });
+    }
+  }
+
+  return aliases.sort((a, b) => b.alias.length - a.alias.length);
+}
+
+module.exports = {
+  CHAINS,
+  getChain,
+  getChainIdByAlias,
+  getChainAliases
+};
@@ -0,0 +1,128 @@
+/**
+ * Token List Diff
+ *
+ * Semantic comparison of token lists. Tokens are matched by chain ID and
+ * lowercase address, so reordering entries or changing address casing
+ * doesn't show up as a change.
+ */
+
+/**
+ * Get the key a token is matched by
+ * @param {Object} token The token
+ * @returns {string} The "<chainId>:<lowercase address>" key
+ */
+function getTokenKey(token) {
+  return `${token.chainId}:${String(token.address).toLowerCase()}`;
+}
+
+/**
+ * Accepts a token list object or a plain token array
+ * @param {Object|Array<Object>} list The list
+ * @returns {Array<Object>} The tokens
+ */
+function getTokenArray(list) {
+  if (Array.isArray(list)) {
+    return list;
+  }
+  return (list && list.tokens) || [];
+}
+
+/**
+ * Compares the fields of two versions of the same token
+ * @param {Object} before The token in the old list
+ * @param {Object} after The token in the new list
+ * @returns {Array<Object>} One { field, before, after } entry per changed field
+ */
+function diffTokenFields(before, after) {
+  const fields = Array.from(new Set([...Object.keys(before), ...Object.keys(after)]));
+
+  return fields
+    // Tokens are matched by address, so only its casing can differ
+    .filter(field => field !== 'address')
+    .filter(field => JSON.stringify(before[field]) !== JSON.stringify(after[field]))
+    .map(field => ({ field, before: before[field], after: after[field] }));
+}
+
+/**
+ * Compares two token lists
+ * @param {Object|Array<Object>} a The old list, or its tokens
+ * @param {Object|Array<Object>} b The new list, or its tokens
+ * @returns {Object} The added, removed and modified tokens
+ */
+function diffTokenLists(a, b) {
+  const before = getTokenArray(a);
+  const after = getTokenArray(b);
+
+  const beforeByKey = new Map(before.map(token => [getTokenKey(token), token]));
+  const afterByKey = new Map(after.map(token => [getTokenKey(token), token]));
+
+  const added = after.filter(token => !beforeByKey.has(getTokenKey(token)));
+  const removed = before.filter(token => !afterByKey.has(getTokenKey(token)));
+  const modified = [];
+
+  for (const token of after) {
+    const previous = beforeByKey.get(getTokenKey(token));
+    if (!previous) {
+      continue;
+    }
+
+    const changes = diffTokenFields(previous, token);
+    if (changes.length > 0) {
+      modified.push({
+        chainId: token.chainId,
+        address: token.address.toLowerCase(),
+        before: previous,
+        after: token,
+        changes
+      });
+    }
+  }
+
+  return { added, removed, modified };
+}
+
+/**
+ * Compares the asset files of two trees, chain by chain
+ * @param {Object} a Old assets: { [chainId]: { common: [...], popular: [...] } }
+ * @param {Object} b New assets in the same shape
+ * @returns {Object} Per chain: the common.json diff plus the tokens moved into and out of popular.json
+ */
+function diffAssets(a, b) {
+  const chainIds = Array.from(new Set([...Object.keys(a), ...Object.keys(b)]))
+    .map(Number)
+    .sort((x, y) => x - y);
+
+  const result = {};
+
+  for (const chainId of chainIds) {
+    const before = a[chainId] || { common: [], popular: [] };
+    const after = b[chainId] || { common: [], popular: [] };
+    const popular = diffTokenLists(before.popular, after.popular);
+
+    result[chainId] = {
+      ...diffTokenLists(before.common, after.common),
+      popularAdded: popular.added,
+      popularRemoved: popular.removed
+    };
+  }
+
+  return result;
+}
+
+/**
+ * Checks whether a diff contains any change
+ * @param {Object} diff A result of diffTokenLists() or one chain of diffAssets()
+ * @returns {boolean}
+ */
+function hasChanges(diff) {
+  return ['added', 'removed', 'modified', 'popularAdded', 'popularRemoved']
+    .some(key => diff[key] && diff[key].length > 0);
+}
+
+module.exports = {
+  getTokenKey,
+  diffTokenFields,
+  diffTokenLists,
+  diffAssets,
+  hasChanges
+};
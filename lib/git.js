@@ -0,0 +1,154 @@
+/**
+ * Git Helpers
+ *
+ * Reads the asset files of the working tree or as they were at a given git
+ * revision, so lists can be compared across commits without checking them
+ * out.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { execFileSync } = require('child_process');
+
+/**
+ * Runs a git command in a repository
+ * @param {Array<string>} args The git arguments
+ * @param {string} cwd The repository directory
+ * @returns {string} The command output
+ */
+function git(args, cwd) {
+  return execFileSync('git', args, {
+    cwd,
+    encoding: 'utf8',
+    maxBuffer: 64 * 1024 * 1024,
+    stdio: ['ignore', 'pipe', 'pipe']
+  });
+}
+
+/**
+ * Checks whether a string names a revision in the repository
+ * @param {string} ref The revision, e.g. "main" or "HEAD~1"
+ * @param {string} cwd The repository directory
+ * @returns {boolean}
+ */
+function isGitRef(ref, cwd) {
+  try {
+    git(['rev-parse', '--verify', '--quiet', `${ref}^{commit}`], cwd);
+    return true;
+  } catch (e) {
+    return false;
+  }
+}
+
+/**
+ * Reads a file as it was at a revision
+ * @param {string} ref The revision
+ * @param {string} filePath Path relative to the repository root, with forward slashes
+ * @param {string} cwd The repository directory
+ * @returns {string|null} The file content, or null if it didn't exist at that revision
+ */
+function readFileAtRef(ref, filePath, cwd) {
+  try {
+    return git(['show', `${ref}:${filePath}`], cwd);
+  } catch (e) {
+    return null;
+  }
+}
+
+/**
+ * Lists the files that differ between a revision and the working tree,
+ * including files git doesn't track yet
+ * @param {string} ref The revision
+ * @param {string} cwd The repository directory
+ * @param {Array<string>} [paths] Only look at these paths
+ * @returns {Array<string>} Paths relative to the repository root, with forward slashes
+ */
+function getChangedFiles(ref, cwd, paths = []) {
+  const changed = git(['-c', 'core.quotePath=false', 'diff', '--name-only', '--no-renames', ref, '--', ...paths], cwd);
+  const untracked = git(['-c', 'core.quotePath=false', 'ls-files', '--others', '--exclude-standard', '--', ...paths], cwd);
+
+  return Array.from(new Set(`${changed}\n${untracked}`.split('\n').filter(Boolean))).sort();
+}
+
+/**
+ * Loads the common and popular tokens of every chain at a revision
+ * @param {string} ref The revision
+ * @param {string} root The repository directory
+ * @returns {Object} { [chainId]: { common: [...], popular: [...] } }
+ */
+function loadAssetsAtRef(ref, root) {
+  const entries = git(['ls-tree', '--name-only', `${ref}:assets`], root)
+    .split('\n')
+    .filter(name => /^\d+$/.test(name));
+
+  const assets = {};
+  for (const chainId of entries) {
+    assets[chainId] = {};
+    for (const kind of ['common', 'popular']) {
+      const filePath = `assets/${chainId}/${kind}.json`;
+      const content = readFileAtRef(ref, filePath, root);
+
+      try {
+        assets[chainId][kind] = content ? (JSON.parse(content).tokens || []) : [];
+      } catch (error) {
+        throw new Error(`Invalid JSON in ${filePath} at ${ref}: ${error.message}`);
+      }
+    }
+  }
+
+  return assets;
+}
+
+/**
+ * Loads the common and popular tokens of every chain from the working tree
+ * @param {string} root Directory holding the `assets/` folder
+ * @returns {Promise<Object>} { [chainId]: { common: [...], popular: [...] } }
+ */
+async function loadAssets(root) {
+  const assetsDir = path.join(root, 'assets');
+  const entries = await fs.readdir(assetsDir, { withFileTypes: true });
+
+  const assets = {};
+  for (const entry of entries) {
+    if (!entry.isDirectory() || !/^\d+$/.test(entry.name)) {
+      continue;
+    }
+
+    assets[entry.name] = {};
+    for (const kind of ['common', 'popular']) {
+      const filePath = path.join(assetsDir, entry.name, `${kind}.json`);
+      assets[entry.name][kind] = await fs.pathExists(filePath)
+        ? ((await fs.readJson(filePath)).tokens || [])
+        : [];
+    }
+  }
+
+  return assets;
+}
+
+/**
+ * Clones a repository, or pulls it if it's already checked out
+ * @param {string} url The repository URL
+ * @param {string} dir The checkout directory
+ * @returns {string} 'cloned' or 'updated'
+ */
+function updateCheckout(url, dir) {
+  if (!fs.pathExistsSync(path.join(dir, '.git'))) {
+    fs.ensureDirSync(path.dirname(dir));
+    git(['clone', '--depth', '1', url, dir], path.dirname(dir));
+    return 'cloned';
+  }
+
+  git(['pull', '--ff-only'], dir);
+  return 'updated';
+}
+
+module.exports = {
+  git,
+  isGitRef,
+  readFileAtRef,
+  getChangedFiles,
+  loadAssetsAtRef,
+  loadAssets,
+  updateCheckout
+};
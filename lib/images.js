@@ -0,0 +1,339 @@
+/**
+ * Logo Image Inspection
+ *
+ * Reads the headers of PNG and JPEG files without decoding the pixels: the
+ * PNG IHDR chunk and the JPEG SOF segment hold the dimensions and color
+ * type. Every PNG chunk is walked and its CRC checked, so truncated or
+ * corrupt files are caught, not just files with a wrong signature.
+ *
+ * The logo rules (square, pixel size range, color types, transparency) are
+ * configurable; DEFAULT_LOGO_RULES are the ones the validators enforce.
+ */
+
+const fs = require('fs-extra');
+
+const PNG_SIGNATURE = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]);
+
+// PNG color types by their IHDR value, with the bit depths each allows
+const PNG_COLOR_TYPES = {
+  0: { name: 'grayscale', bitDepths: [1, 2, 4, 8, 16] },
+  2: { name: 'rgb', bitDepths: [8, 16] },
+  3: { name: 'palette', bitDepths: [1, 2, 4, 8] },
+  4: { name: 'grayscale-alpha', bitDepths: [8, 16] },
+  6: { name: 'rgba', bitDepths: [8, 16] }
+};
+
+// JPEG color types by number of components
+const JPEG_COLOR_TYPES = { 1: 'grayscale', 3: 'rgb', 4: 'cmyk' };
+
+const COLOR_TYPES = ['grayscale', 'grayscale-alpha', 'palette', 'rgb', 'rgba', 'cmyk'];
+
+const DEFAULT_LOGO_RULES = {
+  square: true,
+  minSize: 64,
+  maxSize: 512,
+  colorTypes: ['grayscale', 'grayscale-alpha', 'palette', 'rgb', 'rgba'],
+  requireTransparency: false
+};
+
+// Signatures of formats that are sometimes saved with a .png extension
+const OTHER_FORMATS = [
+  { name: 'WebP', test: buffer => buffer.toString('latin1', 0, 4) === 'RIFF' && buffer.toString('latin1', 8, 12) === 'WEBP' },
+  { name: 'GIF', test: buffer => buffer.toString('latin1', 0, 4) === 'GIF8' },
+  { name: 'SVG', test: buffer => /^\s*(<\?xml|<svg)/i.test(buffer.toString('utf8', 0, 256)) },
+  { name: 'ICO', test: buffer => buffer.length >= 4 && buffer.readUInt32BE(0) === 0x00000100 }
+];
+
+let crcTable = null;
+
+/**
+ * Computes the CRC-32 PNG chunks are checked with
+ * @param {Buffer} buffer The chunk type and data
+ * @returns {number} The unsigned CRC
+ */
+function crc32(buffer) {
+  if (!crcTable) {
+    crcTable = new Uint32Array(256);
+    for (let n = 0; n < 256; n++) {
+      let c = n;
+      for (let k = 0; k < 8; k++) {
+        c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+      }
+      crcTable[n] = c >>> 0;
+    }
+  }
+
+  let crc = 0xffffffff;
+  for (let i = 0; i < buffer.length; i++) {
+    crc = crcTable[(crc ^ buffer[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * Walks the chunks of a PNG file
+ * @param {Buffer} buffer The file content, starting with the PNG signature
+ * @returns {Object} The image info, see inspectImage()
+ */
+function inspectPNG(buffer) {
+  const info = { format: 'png', width: null, height: null, colorType: null, bitDepth: null, hasTransparency: false, errors: [] };
+  let offset = PNG_SIGNATURE.length;
+  let seenIDAT = false;
+  let seenIEND = false;
+
+  while (offset < buffer.length && !seenIEND) {
+    if (offset + 12 > buffer.length) {
+      info.errors.push(`truncated chunk header at byte ${offset}`);
+      return info;
+    }
+
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+
+    if (!/^[A-Za-z]{4}$/.test(type)) {
+      info.errors.push(`invalid chunk type at byte ${offset}`);
+      return info;
+    }
+    if (offset + 12 + length > buffer.length) {
+      info.errors.push(`${type} chunk is truncated`);
+      return info;
+    }
+
+    const crc = buffer.readUInt32BE(offset + 8 + length);
+    if (crc32(buffer.subarray(offset + 4, offset + 8 + length)) !== crc) {
+      info.errors.push(`${type} chunk has a bad CRC`);
+      return info;
+    }
+
+    const data = buffer.subarray(offset + 8, offset + 8 + length);
+
+    if (offset === PNG_SIGNATURE.length && type !== 'IHDR') {
+      info.errors.push('the first chunk is not IHDR');
+      return info;
+    }
+
+    if (type === 'IHDR') {
+      if (length !== 13) {
+        info.errors.push(`IHDR chunk has length ${length}, expected 13`);
+        return info;
+      }
+      info.width = data.readUInt32BE(0);
+      info.height = data.readUInt32BE(4);
+      info.bitDepth = data[8];
+
+      const colorType = PNG_COLOR_TYPES[data[9]];
+      if (!colorType || !colorType.bitDepths.includes(info.bitDepth)) {
+        info.errors.push(`unsupported color type ${data[9]} with bit depth ${info.bitDepth}`);
+        return info;
+      }
+      info.colorType = colorType.name;
+      info.hasTransparency = data[9] === 4 || data[9] === 6;
+
+      if (info.width === 0 || info.height === 0) {
+        info.errors.push('image has no pixels');
+      }
+    } else if (type === 'tRNS') {
+      info.hasTransparency = true;
+    } else if (type === 'IDAT') {
+      seenIDAT = true;
+    } else if (type === 'IEND') {
+      seenIEND = true;
+    }
+
+    offset += 12 + length;
+  }
+
+  if (!seenIDAT) {
+    info.errors.push('no image data (IDAT chunk)');
+  }
+  if (!seenIEND) {
+    info.errors.push('file is truncated, IEND chunk missing');
+  }
+
+  return info;
+}
+
+/**
+ * Walks the segments of a JPEG file up to the image data
+ * @param {Buffer} buffer The file content, starting with the SOI marker
+ * @returns {Object} The image info, see inspectImage()
+ */
+function inspectJPEG(buffer) {
+  const info = { format: 'jpeg', width: null, height: null, colorType: null, bitDepth: null, hasTransparency: false, errors: [] };
+  let offset = 2;
+
+  for (;;) {
+    if (offset + 4 > buffer.length) {
+      info.errors.push('file is truncated before the image data');
+      return info;
+    }
+    if (buffer[offset] !== 0xff) {
+      info.errors.push(`invalid segment marker at byte ${offset}`);
+      return info;
+    }
+
+    // Markers may be padded with any number of 0xFF bytes
+    let marker = buffer[offset + 1];
+    while (marker === 0xff && offset + 2 < buffer.length) {
+      offset++;
+      marker = buffer[offset + 1];
+    }
+
+    // Standalone markers carry no length
+    if (marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      offset += 2;
+      continue;
+    }
+
+    const length = buffer.readUInt16BE(offset + 2);
+    if (length < 2 || offset + 2 + length > buffer.length) {
+      info.errors.push(`segment 0x${marker.toString(16).toUpperCase()} is truncated`);
+      return info;
+    }
+
+    // SOF0-SOF15, except DHT (C4), JPG (C8) and DAC (CC)
+    const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+    if (isStartOfFrame) {
+      if (length < 8) {
+        info.errors.push('SOF segment is too short');
+        return info;
+      }
+      info.bitDepth = buffer[offset + 4];
+      info.height = buffer.readUInt16BE(offset + 5);
+      info.width = buffer.readUInt16BE(offset + 7);
+
+      const components = buffer[offset + 9];
+      info.colorType = JPEG_COLOR_TYPES[components] || null;
+      if (!info.colorType) {
+        info.errors.push(`unsupported number of color components: ${components}`);
+      }
+      if (info.width === 0 || info.height === 0) {
+        info.errors.push('image has no pixels');
+      }
+    }
+
+    if (marker === 0xda) {
+      if (info.width === null) {
+        info.errors.push('image data starts before the frame header (SOF)');
+      } else if (buffer.lastIndexOf(Buffer.from([0xff, 0xd9])) < offset + 2 + length) {
+        info.errors.push('file is truncated, end of image marker missing');
+      }
+      return info;
+    }
+
+    if (marker === 0xd9) {
+      info.errors.push('file ends before the image data');
+      return info;
+    }
+
+    offset += 2 + length;
+  }
+}
+
+/**
+ * Inspects the headers of an image file
+ * @param {Buffer} buffer The file content
+ * @returns {Object} { format, width, height, colorType, bitDepth, hasTransparency, errors }: format is 'png', 'jpeg' or
+ *   null when the file is neither; errors lists why the file is corrupt or unsupported and is empty for a sound file
+ */
+function inspectImage(buffer) {
+  if (buffer.length >= 8 && buffer.subarray(0, 8).equals(PNG_SIGNATURE)) {
+    return inspectPNG(buffer);
+  }
+  if (buffer.length >= 3 && buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+    return inspectJPEG(buffer);
+  }
+
+  const other = OTHER_FORMATS.find(format => format.test(buffer));
+  return {
+    format: null,
+    width: null,
+    height: null,
+    colorType: null,
+    bitDepth: null,
+    hasTransparency: false,
+    errors: [other ? `file is a ${other.name} image, not a PNG or JPEG` : 'file is not a PNG or JPEG image']
+  };
+}
+
+/**
+ * Get the logo rules in effect
+ * @param {Object} [rules] Rules overriding DEFAULT_LOGO_RULES
+ * @returns {Object} The rules
+ */
+function getLogoRules(rules = {}) {
+  const result = { ...DEFAULT_LOGO_RULES };
+  for (const [key, value] of Object.entries(rules)) {
+    if (value !== undefined) {
+      result[key] = value;
+    }
+  }
+
+  const unknown = result.colorTypes.filter(colorType => !COLOR_TYPES.includes(colorType));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown color type "${unknown[0]}", expected one of: ${COLOR_TYPES.join(', ')}`);
+  }
+  if (result.minSize > result.maxSize) {
+    throw new Error(`The minimum logo size ${result.minSize} is larger than the maximum ${result.maxSize}`);
+  }
+
+  return result;
+}
+
+/**
+ * Checks an inspected image against the logo rules
+ * @param {Object} info The result of inspectImage()
+ * @param {Object} [rules] Rules overriding DEFAULT_LOGO_RULES
+ * @returns {Array<Object>} One { rule, message } per problem, empty if the logo conforms; the rule is 'logo.invalid',
+ *   'logo.not-square', 'logo.dimensions', 'logo.color-type' or 'logo.transparency'
+ */
+function getLogoRuleErrors(info, rules) {
+  const config = getLogoRules(rules);
+
+  if (info.errors.length > 0) {
+    return info.errors.map(error => ({ rule: 'logo.invalid', message: `Corrupt or unsupported image: ${error}` }));
+  }
+
+  const errors = [];
+  const size = `${info.width}x${info.height}`;
+
+  if (config.square && info.width !== info.height) {
+    errors.push({ rule: 'logo.not-square', message: `Logo is ${size}, it must be square` });
+  }
+  if (Math.min(info.width, info.height) < config.minSize || Math.max(info.width, info.height) > config.maxSize) {
+    errors.push({
+      rule: 'logo.dimensions',
+      message: `Logo is ${size}, it must be between ${config.minSize} and ${config.maxSize} pixels`
+    });
+  }
+  if (!config.colorTypes.includes(info.colorType)) {
+    errors.push({
+      rule: 'logo.color-type',
+      message: `Logo is ${info.colorType}, allowed color types are ${config.colorTypes.join(', ')}`
+    });
+  }
+  if (config.requireTransparency && !info.hasTransparency) {
+    errors.push({ rule: 'logo.transparency', message: 'Logo has no transparency, it needs an alpha channel or tRNS chunk' });
+  }
+
+  return errors;
+}
+
+/**
+ * Reads an image file and inspects its headers
+ * @param {string} filePath Path to the image
+ * @returns {Promise<Object>} The result of inspectImage()
+ */
+async function inspectImageFile(filePath) {
+  return inspectImage(await fs.readFile(filePath));
+}
+
+module.exports = {
+  COLOR_TYPES,
+  DEFAULT_LOGO_RULES,
+  crc32,
+  inspectImage,
+  inspectImageFile,
+  getLogoRules,
+  getLogoRuleErrors
+};
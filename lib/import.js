@@ -0,0 +1,270 @@
+/**
+ * Token List Import
+ *
+ * Imports the tokens of a token list file into `assets/<chainId>/common.json`:
+ * any list in the token list standard (https://tokenlists.org), our own
+ * `tokenlists/*.json` and `assets/<chainId>/common.json` files, or a plain
+ * array of tokens. The tokens are split by chain and planned first, so the
+ * plan can be shown before anything is written:
+ *
+ * - added: tokens we don't have yet
+ * - conflicts: tokens we have with another name, symbol or decimals, and new
+ *   tokens using the symbol of another token on the chain; they are never
+ *   written, as the hosted entry wins until someone edits it
+ * - missingLogos: tokens without a logo we can read, which can't be hosted
+ *
+ * Logos are copied from local files, including our own published logo URLs,
+ * or downloaded when the change is applied, and JPEGs are saved as PNG.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { fileURLToPath } = require('url');
+const { readTokenListFile } = require('./sync/tokenlists');
+const { normalizeSourceToken } = require('./sync/normalize');
+const { SYNCED_FIELDS, fetchLogo } = require('./sync/changes');
+const { getTokenKey } = require('./diff');
+const { parseLogoURL, getConfiguredLogoBaseURLs } = require('./logos');
+
+/**
+ * Resolves the logoURI of an imported token to something we can read
+ * @param {*} logoURI The logoURI in the list
+ * @param {Object} options
+ * @param {string} options.listDir The directory of the list file, relative logos are resolved against it
+ * @param {string} options.root Directory holding the `assets/` folder, our own logo URLs are resolved against it
+ * @returns {Promise<Object|null>} { file } for a local file, { url } for an http(s) logo, null without a readable
+ *   logo, e.g. for ipfs:// URIs
+ */
+async function resolveImportLogo(logoURI, options) {
+  if (typeof logoURI !== 'string' || logoURI.trim() === '') {
+    return null;
+  }
+
+  // Our own published logos are already in the repository
+  const published = parseLogoURL(logoURI, getConfiguredLogoBaseURLs());
+  if (published) {
+    const filePath = path.join(options.root, ...published.path.split('/'));
+    if (await fs.pathExists(filePath)) {
+      return { file: filePath };
+    }
+  }
+
+  if (/^https?:\/\//.test(logoURI)) {
+    return { url: logoURI };
+  }
+  // fetchLogo() only downloads over HTTP, so these show up as missing logos in the preview
+  if (/^[a-z][a-z0-9+.-]*:\/\//i.test(logoURI) && !logoURI.startsWith('file://')) {
+    return null;
+  }
+
+  const filePath = logoURI.startsWith('file://') ? fileURLToPath(logoURI) : path.resolve(options.listDir, logoURI);
+  return await fs.pathExists(filePath) ? { file: filePath } : null;
+}
+
+/**
+ * Reads the tokens of a list file to import
+ * @param {string} filePath The list file
+ * @param {Object} [options]
+ * @param {string} [options.root] Directory holding the `assets/` folder, defaults to the working directory
+ * @returns {Promise<Array<Object>>} One { chainId, address, name, symbol, decimals, logo, logoURI, origin } entry
+ *   per token, logo being null without a readable logo
+ * @throws {Error} If the file is not a token list
+ */
+async function readImportFile(filePath, options = {}) {
+  const root = options.root || process.cwd();
+  const listDir = path.dirname(path.resolve(filePath));
+  const entries = [];
+
+  for (const [index, token] of (await readTokenListFile(filePath)).entries()) {
+    entries.push({
+      chainId: token.chainId,
+      address: token.address,
+      name: token.name,
+      symbol: token.symbol,
+      decimals: token.decimals,
+      logo: await resolveImportLogo(token.logoURI, { listDir, root }),
+      logoURI: token.logoURI,
+      origin: `${path.basename(filePath)}#/tokens/${index}`
+    });
+  }
+
+  return entries;
+}
+
+/**
+ * Plans the import of list entries into the hosted lists
+ * @param {Array<Object>} entries The entries, see readImportFile()
+ * @param {Object} [options]
+ * @param {string} [options.root] Directory holding the `assets/` folder, defaults to the working directory
+ * @param {Array<number>} [options.chainIds] Only import the tokens of these chains
+ * @param {boolean} [options.createChain] Plan new chain directories for chains we don't host, instead of skipping
+ *   their tokens
+ * @param {string} [options.policy] The address policy
+ * @returns {Promise<Object>} { chains, added, conflicts, missingLogos, unchanged, skipped, rejected }:
+ *   - chains: { chainId, tokens, create } per chain with tokens to import, create telling whether it is new
+ *   - added: { chainId, token, logo, origin } per new token
+ *   - conflicts: { chainId, token, existing, changes, origin } per token that clashes with a hosted one, changes
+ *     listing { field, before, after }; for a new token using another's symbol it is [{ field: 'symbol' }]
+ *   - missingLogos: { chainId, address, symbol, logoURI, origin } per token without a readable logo
+ *   - unchanged: the number of tokens we already have as they are
+ *   - skipped: { chainId, address, origin, reason } per token on a chain we don't host
+ *   - rejected: { chainId, address, origin, reason } per invalid or repeated token
+ */
+async function planImport(entries, options = {}) {
+  const root = options.root || process.cwd();
+  const inScope = chainId => !options.chainIds || options.chainIds.map(Number).includes(Number(chainId));
+  const plan = { chains: [], added: [], conflicts: [], missingLogos: [], unchanged: 0, skipped: [], rejected: [] };
+  const hostedLists = new Map();
+  const seenKeys = new Set();
+
+  const loadChain = async chainId => {
+    if (!hostedLists.has(chainId)) {
+      const commonPath = path.join(root, 'assets', String(chainId), 'common.json');
+      const hosted = await fs.pathExists(commonPath);
+      const tokens = hosted ? (await fs.readJson(commonPath)).tokens : [];
+      const chain = { chainId, tokens: 0, create: !hosted };
+      hostedLists.set(chainId, {
+        chain,
+        hosted,
+        byAddress: new Map(tokens.map(token => [String(token.address).toLowerCase(), token])),
+        bySymbol: new Map(tokens.map(token => [String(token.symbol).toUpperCase(), token]))
+      });
+    }
+    return hostedLists.get(chainId);
+  };
+
+  for (const entry of entries) {
+    const chainId = Number(entry.chainId);
+    if (!Number.isInteger(chainId) || chainId <= 0) {
+      plan.rejected.push({ chainId: entry.chainId, address: entry.address, origin: entry.origin, reason: 'invalid chainId' });
+      continue;
+    }
+    if (!inScope(chainId)) {
+      continue;
+    }
+
+    const hosted = await loadChain(chainId);
+    if (!hosted.hosted && !options.createChain) {
+      plan.skipped.push({ chainId, address: entry.address, origin: entry.origin, reason: `chain ${chainId} is not hosted` });
+      continue;
+    }
+
+    if (!entry.logo) {
+      plan.missingLogos.push({ chainId, address: entry.address, symbol: entry.symbol, logoURI: entry.logoURI, origin: entry.origin });
+      continue;
+    }
+
+    const normalized = normalizeSourceToken(entry, { policy: options.policy });
+    if (normalized.error) {
+      plan.rejected.push({ chainId, address: entry.address, origin: entry.origin, reason: normalized.error });
+      continue;
+    }
+
+    const { token } = normalized;
+    const key = getTokenKey(token);
+    if (seenKeys.has(key)) {
+      plan.rejected.push({ chainId, address: entry.address, origin: entry.origin, reason: 'listed twice' });
+      continue;
+    }
+    seenKeys.add(key);
+
+    const existing = hosted.byAddress.get(token.address.toLowerCase());
+    if (existing) {
+      const changes = SYNCED_FIELDS
+        .filter(field => existing[field] !== token[field])
+        .map(field => ({ field, before: existing[field], after: token[field] }));
+      if (changes.length > 0) {
+        plan.conflicts.push({ chainId, token, existing, changes, origin: entry.origin });
+      } else {
+        plan.unchanged++;
+      }
+      continue;
+    }
+
+    const sameSymbol = hosted.bySymbol.get(token.symbol.toUpperCase());
+    if (sameSymbol) {
+      plan.conflicts.push({
+        chainId,
+        token,
+        existing: sameSymbol,
+        changes: [{ field: 'symbol', before: sameSymbol.symbol, after: token.symbol }],
+        origin: entry.origin
+      });
+      continue;
+    }
+
+    // Later entries of the same import can't take the symbol either
+    hosted.bySymbol.set(token.symbol.toUpperCase(), token);
+    hosted.chain.tokens++;
+    plan.added.push({ chainId, token, logo: normalized.logo, origin: entry.origin });
+  }
+
+  plan.chains = Array.from(hostedLists.values())
+    .filter(hosted => hosted.chain.tokens > 0)
+    .map(hosted => hosted.chain);
+
+  return plan;
+}
+
+/**
+ * Writes the new tokens of a plan and their logos, creating chain directories where planned
+ * @param {Object} plan The result of planImport()
+ * @param {Object} [options]
+ * @param {string} [options.root] Directory holding the `assets/` folder, defaults to the working directory
+ * @param {Function} [options.fetchLogo] (logo) => Promise<Buffer>, defaults to copying or downloading it
+ * @returns {Promise<Object>} { added, created, errors }: the tokens added, the chain IDs of the directories
+ *   created, and { chainId, address, error } per token whose logo couldn't be fetched; those are not added.
+ *   The popular.json of a created chain lists all of its tokens.
+ */
+async function applyImport(plan, options = {}) {
+  const root = options.root || process.cwd();
+  const getLogo = options.fetchLogo || fetchLogo;
+  const result = { added: [], created: [], errors: [] };
+  const lists = new Map();
+
+  for (const item of plan.added) {
+    const chainDir = path.join(root, 'assets', String(item.chainId));
+    if (!lists.has(item.chainId)) {
+      const commonPath = path.join(chainDir, 'common.json');
+      lists.set(item.chainId, await fs.pathExists(commonPath) ? await fs.readJson(commonPath) : { tokens: [] });
+    }
+    const list = lists.get(item.chainId);
+    if (list.tokens.some(token => String(token.address).toLowerCase() === item.token.address.toLowerCase())) {
+      continue;
+    }
+
+    try {
+      const buffer = await getLogo(item.logo);
+      await fs.outputFile(path.join(chainDir, 'logos', `${item.token.address}.png`), buffer);
+    } catch (error) {
+      result.errors.push({ chainId: item.chainId, address: item.token.address, error: error.message });
+      continue;
+    }
+
+    list.tokens.push(item.token);
+    result.added.push(item.token);
+  }
+
+  for (const [chainId, list] of lists) {
+    const chainDir = path.join(root, 'assets', String(chainId));
+    if (!result.added.some(token => token.chainId === chainId)) {
+      continue;
+    }
+
+    // A new chain starts with every imported token as popular, to be trimmed by hand
+    if (!await fs.pathExists(path.join(chainDir, 'common.json'))) {
+      await fs.outputFile(path.join(chainDir, 'popular.json'), JSON.stringify(list, null, 2) + '\n');
+      result.created.push(chainId);
+    }
+    await fs.outputFile(path.join(chainDir, 'common.json'), JSON.stringify(list, null, 2) + '\n');
+  }
+
+  return result;
+}
+
+module.exports = {
+  resolveImportLogo,
+  readImportFile,
+  planImport,
+  applyImport
+};
@@ -0,0 +1,232 @@
+/**
+ * JSON Source Positions
+ *
+ * Parses JSON while recording where every value sits in the source text, so
+ * problems found in the parsed data can be reported at their line and column.
+ * Positions are keyed by JSON pointer (RFC 6901), e.g. "/tokens/3/decimals".
+ * Lines and columns are 1-based, as editors and CI annotations expect.
+ */
+
+/**
+ * Escapes a key for use as a JSON pointer segment
+ * @param {string|number} key The object key or array index
+ * @returns {string} The escaped segment
+ */
+function escapePointerSegment(key) {
+  return String(key).replace(/~/g, '~0').replace(/\//g, '~1');
+}
+
+/**
+ * Builds a JSON pointer from its segments
+ * @param {Array<string|number>} segments The keys and indexes
+ * @returns {string} The pointer, "" for the document root
+ */
+function toPointer(segments) {
+  return segments.map(segment => `/${escapePointerSegment(segment)}`).join('');
+}
+
+/**
+ * Parses JSON and records the source position of every value
+ * @param {string} text The JSON source
+ * @returns {Object} { data, positions }: the parsed value and a Map of pointer to
+ *   { value: { line, column, offset }, valueEnd, key } where key is set for object properties
+ * @throws {SyntaxError} With `line` and `column` properties when the source isn't valid JSON
+ */
+function parseJSONWithPositions(text) {
+  const positions = new Map();
+  const lineStarts = [0];
+  let pos = 0;
+
+  for (let i = 0; i < text.length; i++) {
+    if (text[i] === '\n') {
+      lineStarts.push(i + 1);
+    }
+  }
+
+  function location(offset) {
+    let low = 0;
+    let high = lineStarts.length - 1;
+    while (low < high) {
+      const mid = (low + high + 1) >> 1;
+      if (lineStarts[mid] <= offset) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return { line: low + 1, column: offset - lineStarts[low] + 1, offset };
+  }
+
+  function fail(message, offset = pos) {
+    const where = location(offset);
+    const error = new SyntaxError(`${message} at line ${where.line}, column ${where.column}`);
+    error.line = where.line;
+    error.column = where.column;
+    throw error;
+  }
+
+  function skipWhitespace() {
+    while (pos < text.length && ' \t\n\r'.includes(text[pos])) {
+      pos++;
+    }
+  }
+
+  function parseString() {
+    const start = pos;
+    pos++;
+    while (pos < text.length && text[pos] !== '"') {
+      if (text[pos] === '\\') {
+        pos++;
+      } else if (text.charCodeAt(pos) < 0x20) {
+        fail('Unescaped control character in string');
+      }
+      pos++;
+    }
+    if (pos >= text.length) {
+      fail('Unterminated string', start);
+    }
+    pos++;
+
+    try {
+      return JSON.parse(text.substring(start, pos));
+    } catch (e) {
+      return fail('Invalid escape in string', start);
+    }
+  }
+
+  function parseValue(segments) {
+    skipWhitespace();
+    const start = pos;
+    const pointer = toPointer(segments);
+    const entry = positions.get(pointer) || {};
+    entry.value = location(start);
+    positions.set(pointer, entry);
+
+    let value;
+    const char = text[pos];
+
+    if (char === '{') {
+      value = {};
+      pos++;
+      skipWhitespace();
+      if (text[pos] === '}') {
+        pos++;
+      } else {
+        for (;;) {
+          skipWhitespace();
+          if (text[pos] !== '"') {
+            fail('Expected a property name');
+          }
+          const keyStart = pos;
+          const key = parseString();
+          positions.set(toPointer([...segments, key]), { key: location(keyStart) });
+
+          skipWhitespace();
+          if (text[pos] !== ':') {
+            fail('Expected ":" after property name');
+          }
+          pos++;
+          value[key] = parseValue([...segments, key]);
+
+          skipWhitespace();
+          if (text[pos] === ',') {
+            pos++;
+          } else if (text[pos] === '}') {
+            pos++;
+            break;
+          } else {
+            fail('Expected "," or "}"');
+          }
+        }
+      }
+    } else if (char === '[') {
+      value = [];
+      pos++;
+      skipWhitespace();
+      if (text[pos] === ']') {
+        pos++;
+      } else {
+        for (;;) {
+          value.push(parseValue([...segments, value.length]));
+          skipWhitespace();
+          if (text[pos] === ',') {
+            pos++;
+          } else if (text[pos] === ']') {
+            pos++;
+            break;
+          } else {
+            fail('Expected "," or "]"');
+          }
+        }
+      }
+    } else if (char === '"') {
+      value = parseString();
+    } else {
+      const match = text.substring(pos).match(/^(-?(?:0|[1-9]\d*)(?:\.\d+)?(?:[eE][+-]?\d+)?|true|false|null)/);
+      if (!match) {
+        fail(pos < text.length ? `Unexpected token ${JSON.stringify(char)}` : 'Unexpected end of JSON');
+      }
+      pos += match[0].length;
+      value = JSON.parse(match[0]);
+    }
+
+    entry.valueEnd = location(pos);
+    return value;
+  }
+
+  const data = parseValue([]);
+  skipWhitespace();
+  if (pos < text.length) {
+    fail(`Unexpected token ${JSON.stringify(text[pos])} after the end of the document`);
+  }
+
+  return { data, positions };
+}
+
+/**
+ * Finds the source position of a JSON pointer, falling back to its closest parent
+ * @param {Map<string, Object>} positions The positions from parseJSONWithPositions()
+ * @param {string} pointer The JSON pointer
+ * @param {boolean} [preferKey] Point at the property name instead of its value
+ * @returns {Object|null} { line, column, offset }, or null if nothing along the pointer was recorded
+ */
+function getPosition(positions, pointer, preferKey = false) {
+  let current = pointer;
+
+  for (;;) {
+    const entry = positions.get(current);
+    if (entry) {
+      const position = (preferKey && entry.key) || entry.value || entry.key;
+      if (position) {
+        return position;
+      }
+    }
+    if (current === '') {
+      return null;
+    }
+    current = current.substring(0, current.lastIndexOf('/'));
+  }
+}
+
+/**
+ * Finds where the value at a JSON pointer starts and ends
+ * @param {Map<string, Object>} positions The positions from parseJSONWithPositions()
+ * @param {string} pointer The JSON pointer
+ * @returns {Object|null} { start, end } with { line, column, offset } each; end is just past the value.
+ *   Null if the pointer wasn't recorded.
+ */
+function getRange(positions, pointer) {
+  const entry = positions.get(pointer);
+  if (!entry || !entry.value || !entry.valueEnd) {
+    return null;
+  }
+  return { start: entry.value, end: entry.valueEnd };
+}
+
+module.exports = {
+  escapePointerSegment,
+  toPointer,
+  parseJSONWithPositions,
+  getPosition,
+  getRange
+};
@@ -0,0 +1,236 @@
+/**
+ * Logo Housekeeping
+ *
+ * Logo files whose names differ only in the casing of the address, such as
+ * 0x4D6E...png and 0x4d6e...png, can't both exist on a case-insensitive file
+ * system: which one a macOS or Windows checkout ends up with is undefined.
+ * Housekeeping groups the logos of a chain by lowercase address and compares
+ * their content hashes. Identical copies are merged into the file named
+ * after the stored address, and tokens pointing at a removed copy are
+ * repointed. Copies that differ are conflicts a person has to resolve.
+ *
+ * It also finds orphans, logo files no token in common.json references, and
+ * can prune them.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { formatAddress, renameFile } = require('./addresses');
+
+const LOGO_FILE_PATTERN = /^(0x[0-9a-fA-F]{40})\.(png|jpe?g|svg|webp|gif)$/i;
+
+/**
+ * Hashes a file
+ * @param {string} filePath The file
+ * @returns {Promise<string>} The hex SHA-256 of its content
+ */
+async function hashFile(filePath) {
+  return crypto.createHash('sha256').update(await fs.readFile(filePath)).digest('hex');
+}
+
+/**
+ * Reads the token lists of a chain
+ * @param {string} chainDir The chain directory
+ * @returns {Promise<Object>} { common, popular }: the parsed files, null if missing
+ */
+async function readLists(chainDir) {
+  const lists = {};
+  for (const kind of ['common', 'popular']) {
+    const filePath = path.join(chainDir, `${kind}.json`);
+    lists[kind] = await fs.pathExists(filePath) ? JSON.parse(await fs.readFile(filePath, 'utf8')) : null;
+  }
+  return lists;
+}
+
+/**
+ * Get the logo file names a list references
+ * @param {Object|null} list The parsed list
+ * @returns {Set<string>} The file names, as in "./logos/<file>"
+ */
+function getReferencedLogos(list) {
+  const files = new Set();
+  for (const token of (list && list.tokens) || []) {
+    if (typeof token.logoURI === 'string' && token.logoURI.startsWith('./logos/')) {
+      files.add(token.logoURI.substring('./logos/'.length));
+    }
+  }
+  return files;
+}
+
+/**
+ * Groups the logo files of a directory by lowercase address
+ * @param {string} logosDir The logos directory
+ * @returns {Promise<Map<string, Array<string>>>} The file names by lowercase address
+ */
+async function groupLogoFiles(logosDir) {
+  const groups = new Map();
+  const entries = await fs.readdir(logosDir, { withFileTypes: true });
+
+  for (const entry of entries) {
+    const match = entry.isFile() && entry.name.match(LOGO_FILE_PATTERN);
+    if (match) {
+      const address = match[1].toLowerCase();
+      groups.set(address, [...(groups.get(address) || []), entry.name].sort());
+    }
+  }
+
+  return groups;
+}
+
+/**
+ * Cleans up the logos of one chain
+ * @param {string} chainDir The chain directory, holding common.json and logos/
+ * @param {Object} [options]
+ * @param {string} [options.policy] The address policy the kept file is named by
+ * @param {boolean} [options.prune] Delete orphan logos
+ * @param {boolean} [options.dryRun] Only report what would change
+ * @returns {Promise<Object>} { merged, conflicts, orphans, repointed }; see housekeepLogos()
+ */
+async function housekeepChainLogos(chainDir, options = {}) {
+  const logosDir = path.join(chainDir, 'logos');
+  const result = { merged: [], conflicts: [], orphans: [], repointed: [] };
+
+  if (!await fs.pathExists(logosDir)) {
+    return result;
+  }
+
+  const lists = await readLists(chainDir);
+  const referenced = new Set([...getReferencedLogos(lists.common), ...getReferencedLogos(lists.popular)]);
+  const groups = await groupLogoFiles(logosDir);
+  const renamedTo = new Map();
+  const removed = new Set();
+  const conflicting = new Set();
+
+  for (const files of groups.values()) {
+    if (files.length < 2) {
+      continue;
+    }
+
+    const copies = [];
+    for (const file of files) {
+      copies.push({ file, hash: await hashFile(path.join(logosDir, file)), referenced: referenced.has(file) });
+    }
+
+    if (new Set(copies.map(copy => copy.hash)).size > 1) {
+      result.conflicts.push({ copies: copies.map(copy => ({ ...copy, file: path.join(logosDir, copy.file) })) });
+      for (const copy of copies) {
+        conflicting.add(copy.file);
+      }
+      continue;
+    }
+
+    // Keep the copy named after the stored address, else one that's referenced
+    const policyName = file => {
+      const match = file.match(LOGO_FILE_PATTERN);
+      return `${formatAddress(match[1], options.policy)}.${match[2]}`;
+    };
+    const kept = copies.find(copy => copy.file === policyName(copy.file)) ||
+      copies.find(copy => copy.referenced) ||
+      copies[0];
+    const target = policyName(kept.file);
+    const others = copies.filter(copy => copy !== kept).map(copy => copy.file);
+
+    if (!options.dryRun) {
+      for (const file of others) {
+        await fs.remove(path.join(logosDir, file));
+      }
+      if (kept.file !== target) {
+        await renameFile(path.join(logosDir, kept.file), path.join(logosDir, target));
+      }
+    }
+
+    for (const file of [...others, kept.file].filter(file => file !== target)) {
+      renamedTo.set(file, target);
+    }
+    for (const file of others) {
+      removed.add(file);
+    }
+    result.merged.push({ kept: path.join(logosDir, target), removed: others.map(file => path.join(logosDir, file)) });
+  }
+
+  // Point the tokens at the kept copies
+  for (const kind of ['common', 'popular']) {
+    const list = lists[kind];
+    let changed = false;
+
+    for (const token of (list && list.tokens) || []) {
+      const file = typeof token.logoURI === 'string' && token.logoURI.startsWith('./logos/')
+        ? token.logoURI.substring('./logos/'.length)
+        : null;
+      if (file && renamedTo.has(file)) {
+        result.repointed.push({ file: path.join(chainDir, `${kind}.json`), token: token.address, before: token.logoURI });
+        token.logoURI = `./logos/${renamedTo.get(file)}`;
+        changed = true;
+      }
+    }
+
+    if (changed && !options.dryRun) {
+      await fs.writeFile(path.join(chainDir, `${kind}.json`), JSON.stringify(list, null, 2) + '\n');
+    }
+  }
+
+  // Orphans: files no token in common.json references once the copies are merged;
+  // conflicting copies are left for the person resolving the conflict
+  const commonLogos = getReferencedLogos(lists.common);
+  for (const files of groups.values()) {
+    for (const file of files) {
+      const current = renamedTo.get(file) || file;
+      if (!removed.has(file) && !conflicting.has(file) && !commonLogos.has(current)) {
+        result.orphans.push(path.join(logosDir, current));
+      }
+    }
+  }
+
+  if (options.prune && !options.dryRun) {
+    for (const orphan of result.orphans) {
+      await fs.remove(orphan);
+    }
+  }
+
+  return result;
+}
+
+/**
+ * Cleans up the logos of every chain: merges identical copies whose names
+ * differ only in case, and finds conflicting copies and orphans
+ * @param {Object} [options]
+ * @param {string} [options.root] Directory holding the `assets/` folder, defaults to the working directory
+ * @param {Array<string>} [options.chainIds] Only these chains
+ * @param {string} [options.policy] The address policy the kept file is named by
+ * @param {boolean} [options.prune] Delete orphan logos
+ * @param {boolean} [options.dryRun] Only report what would change
+ * @returns {Promise<Object>} { merged, conflicts, orphans, repointed }: paths relative to the root.
+ *   merged holds { kept, removed } per merged group, conflicts { copies } per group whose copies differ,
+ *   with { file, hash, referenced } per copy; orphans the unreferenced logo paths; repointed
+ *   { file, token, before } per token whose logoURI was changed to the kept copy
+ */
+async function housekeepLogos(options = {}) {
+  const root = options.root || process.cwd();
+  const assetsDir = path.join(root, 'assets');
+  const result = { merged: [], conflicts: [], orphans: [], repointed: [] };
+  const relative = filePath => path.relative(root, filePath);
+
+  const chainIds = (await fs.readdir(assetsDir))
+    .filter(name => /^\d+$/.test(name))
+    .filter(name => !options.chainIds || options.chainIds.map(String).includes(name))
+    .sort((a, b) => Number(a) - Number(b));
+
+  for (const chainId of chainIds) {
+    const chain = await housekeepChainLogos(path.join(assetsDir, chainId), options);
+
+    result.merged.push(...chain.merged.map(merge => ({ kept: relative(merge.kept), removed: merge.removed.map(relative) })));
+    result.conflicts.push(...chain.conflicts.map(conflict => ({
+      copies: conflict.copies.map(copy => ({ ...copy, file: relative(copy.file) }))
+    })));
+    result.orphans.push(...chain.orphans.map(relative));
+    result.repointed.push(...chain.repointed.map(change => ({ ...change, file: relative(change.file) })));
+  }
+
+  return result;
+}
+
+module.exports = {
+  groupLogoFiles,
+  housekeepLogos
+};
@@ -0,0 +1,264 @@
+/**
+ * Logo Pipeline
+ *
+ * Turns the source logos of `assets/<chainId>/logos/` into standard square
+ * PNGs at each of LOGO_SIZES, written to `logos/<size>/<address>.png`, so
+ * apps can download a 32px icon instead of a 1000px original. Images are
+ * decoded and encoded with pure-JS codecs (pngjs, jpeg-js), so the pipeline
+ * runs anywhere Node does.
+ *
+ * Each chain keeps a manifest (`logos/sizes.json`) with the content hash of
+ * every processed source. A run only reprocesses sources whose hash changed,
+ * so running it twice writes nothing the second time.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const { PNG } = require('pngjs');
+const jpeg = require('jpeg-js');
+const { LOGO_SIZES } = require('./logos');
+const { inspectImage } = require('./images');
+
+const MANIFEST_FILE = 'sizes.json';
+
+// Bump when the output of the pipeline changes, so every logo is reprocessed
+const PIPELINE_VERSION = 1;
+
+const SOURCE_PATTERN = /^(0x[0-9a-fA-F]{40})\.(png|jpe?g)$/i;
+
+/**
+ * Decodes a PNG or JPEG file
+ * @param {Buffer} buffer The file content
+ * @returns {Object} { width, height, data } with data holding 8-bit RGBA pixels
+ * @throws {Error} If the file is not a sound PNG or JPEG
+ */
+function decodeImage(buffer) {
+  const info = inspectImage(buffer);
+  if (info.errors.length > 0) {
+    throw new Error(info.errors[0]);
+  }
+
+  if (info.format === 'png') {
+    const png = PNG.sync.read(buffer);
+    return { width: png.width, height: png.height, data: png.data };
+  }
+
+  const image = jpeg.decode(buffer, { useTArray: true, formatAsRGBA: true, maxMemoryUsageInMB: 256 });
+  return { width: image.width, height: image.height, data: Buffer.from(image.data) };
+}
+
+/**
+ * Pads an image with transparent pixels to a centered square
+ * @param {Object} image { width, height, data }
+ * @returns {Object} The square image, the same object if it already is square
+ */
+function padToSquare(image) {
+  if (image.width === image.height) {
+    return image;
+  }
+
+  const size = Math.max(image.width, image.height);
+  const left = Math.floor((size - image.width) / 2);
+  const top = Math.floor((size - image.height) / 2);
+  const data = Buffer.alloc(size * size * 4);
+
+  for (let y = 0; y < image.height; y++) {
+    const from = y * image.width * 4;
+    image.data.copy(data, ((top + y) * size + left) * 4, from, from + image.width * 4);
+  }
+
+  return { width: size, height: size, data };
+}
+
+/**
+ * Resizes a square image. Downscaling averages every source pixel a target
+ * pixel covers, upscaling interpolates bilinearly; both work on
+ * premultiplied alpha so transparent edges don't turn dark.
+ * @param {Object} image A square { width, height, data }
+ * @param {number} size The target width and height
+ * @returns {Object} The resized image
+ */
+function resizeSquare(image, size) {
+  const source = image.width;
+  const data = Buffer.alloc(size * size * 4);
+  const scale = source / size;
+
+  const pixel = (x, y) => {
+    const offset = (y * source + x) * 4;
+    const alpha = image.data[offset + 3] / 255;
+    return [image.data[offset] * alpha, image.data[offset + 1] * alpha, image.data[offset + 2] * alpha, image.data[offset + 3]];
+  };
+
+  for (let y = 0; y < size; y++) {
+    for (let x = 0; x < size; x++) {
+      const sum = [0, 0, 0, 0];
+
+      if (scale >= 1) {
+        // The target pixel covers [x0, x1) x [y0, y1) of the source
+        const x0 = x * scale;
+        const x1 = x0 + scale;
+        const y0 = y * scale;
+        const y1 = y0 + scale;
+        let weight = 0;
+
+        for (let sy = Math.floor(y0); sy < Math.min(Math.ceil(y1), source); sy++) {
+          const wy = Math.min(y1, sy + 1) - Math.max(y0, sy);
+          for (let sx = Math.floor(x0); sx < Math.min(Math.ceil(x1), source); sx++) {
+            const w = wy * (Math.min(x1, sx + 1) - Math.max(x0, sx));
+            const value = pixel(sx, sy);
+            for (let c = 0; c < 4; c++) {
+              sum[c] += value[c] * w;
+            }
+            weight += w;
+          }
+        }
+        for (let c = 0; c < 4; c++) {
+          sum[c] /= weight;
+        }
+      } else {
+        const sx = Math.min(Math.max((x + 0.5) * scale - 0.5, 0), source - 1);
+        const sy = Math.min(Math.max((y + 0.5) * scale - 0.5, 0), source - 1);
+        const left = Math.floor(sx);
+        const top = Math.floor(sy);
+        const right = Math.min(left + 1, source - 1);
+        const bottom = Math.min(top + 1, source - 1);
+        const fx = sx - left;
+        const fy = sy - top;
+        const corners = [
+          [pixel(left, top), (1 - fx) * (1 - fy)],
+          [pixel(right, top), fx * (1 - fy)],
+          [pixel(left, bottom), (1 - fx) * fy],
+          [pixel(right, bottom), fx * fy]
+        ];
+        for (const [value, w] of corners) {
+          for (let c = 0; c < 4; c++) {
+            sum[c] += value[c] * w;
+          }
+        }
+      }
+
+      // Back from premultiplied alpha
+      const offset = (y * size + x) * 4;
+      const alpha = sum[3];
+      for (let c = 0; c < 3; c++) {
+        data[offset + c] = alpha > 0 ? Math.round(Math.min(255, sum[c] * 255 / alpha)) : 0;
+      }
+      data[offset + 3] = Math.round(alpha);
+    }
+  }
+
+  return { width: size, height: size, data };
+}
+
+/**
+ * Encodes an image as an RGBA PNG
+ * @param {Object} image { width, height, data }
+ * @returns {Buffer} The PNG file
+ */
+function encodePNG(image) {
+  return PNG.sync.write(
+    { width: image.width, height: image.height, data: image.data },
+    { colorType: 6, deflateLevel: 9 }
+  );
+}
+
+/**
+ * Renders a logo at every standard size
+ * @param {Buffer} buffer The source PNG or JPEG
+ * @param {Array<number>} [sizes] The sizes to render, defaults to LOGO_SIZES
+ * @returns {Map<number, Buffer>} The PNG files by size
+ */
+function renderLogoSizes(buffer, sizes = LOGO_SIZES) {
+  const square = padToSquare(decodeImage(buffer));
+  return new Map(sizes.map(size => [size, encodePNG(resizeSquare(square, size))]));
+}
+
+/**
+ * Hashes a source logo together with the pipeline version
+ * @param {Buffer} buffer The source file
+ * @returns {string} The hex SHA-256
+ */
+function hashSource(buffer) {
+  return crypto.createHash('sha256').update(`v${PIPELINE_VERSION}:`).update(buffer).digest('hex');
+}
+
+/**
+ * Brings the standard sizes of one chain's logos up to date
+ * @param {string} logosDir The chain's logos directory
+ * @param {Object} [options]
+ * @param {boolean} [options.force] Reprocess every source, ignoring the manifest
+ * @param {boolean} [options.dryRun] Only report what would change
+ * @returns {Promise<Object>} { processed, unchanged, removed, errors }: the sources rendered, the sources that
+ *   were up to date, the sources whose outputs were removed because the source is gone, and { file, error } per
+ *   source that can't be decoded
+ */
+async function processLogoDirectory(logosDir, options = {}) {
+  const manifestPath = path.join(logosDir, MANIFEST_FILE);
+  const manifest = await fs.pathExists(manifestPath) ? await fs.readJson(manifestPath) : {};
+  const next = {};
+  const result = { processed: [], unchanged: [], removed: [], errors: [] };
+
+  const sources = (await fs.readdir(logosDir)).filter(file => SOURCE_PATTERN.test(file)).sort();
+  const outputPath = (address, size) => path.join(logosDir, String(size), `${address}.png`);
+
+  for (const file of sources) {
+    const address = file.match(SOURCE_PATTERN)[1];
+    const buffer = await fs.readFile(path.join(logosDir, file));
+    const hash = hashSource(buffer);
+
+    const outputsExist = (await Promise.all(LOGO_SIZES.map(size => fs.pathExists(outputPath(address, size))))).every(Boolean);
+    if (!options.force && manifest[file] === hash && outputsExist) {
+      next[file] = hash;
+      result.unchanged.push(file);
+      continue;
+    }
+
+    let rendered;
+    try {
+      rendered = renderLogoSizes(buffer);
+    } catch (error) {
+      result.errors.push({ file, error: error.message });
+      continue;
+    }
+
+    if (!options.dryRun) {
+      for (const [size, png] of rendered) {
+        await fs.outputFile(outputPath(address, size), png);
+      }
+    }
+    next[file] = hash;
+    result.processed.push(file);
+  }
+
+  // Drop the outputs of sources that were deleted or renamed
+  for (const file of Object.keys(manifest)) {
+    if (next[file] || !SOURCE_PATTERN.test(file)) {
+      continue;
+    }
+    const address = file.match(SOURCE_PATTERN)[1];
+    if (!options.dryRun) {
+      for (const size of LOGO_SIZES) {
+        await fs.remove(outputPath(address, size));
+      }
+    }
+    result.removed.push(file);
+  }
+
+  const changed = JSON.stringify(manifest) !== JSON.stringify(next);
+  if (changed && !options.dryRun) {
+    await fs.writeFile(manifestPath, JSON.stringify(next, null, 2) + '\n');
+  }
+
+  return result;
+}
+
+module.exports = {
+  MANIFEST_FILE,
+  decodeImage,
+  padToSquare,
+  resizeSquare,
+  encodePNG,
+  renderLogoSizes,
+  processLogoDirectory
+};
@@ -0,0 +1,258 @@
+/**
+ * Logo Similarity
+ *
+ * Scam tokens often ship the logo of a well-known token. Every logo gets an
+ * exact hash (SHA-256 of the file) and a perceptual hash: a 512-bit dHash of
+ * the image shrunk to a 16x16 grayscale grid, where each bit says whether a
+ * cell is brighter than its right neighbour, or than the one below it.
+ * Re-encoded, resized or slightly recolored copies keep nearly the same
+ * dHash, so two logos whose dHashes differ in only a few bits look the same
+ * to a person. The usual 64-bit dHash is too coarse here: most logos are a
+ * flat circle on a transparent background, and at 8x8 many of them collide.
+ *
+ * Tokens sharing a logo are fine when they are the same asset: the same
+ * symbol on another chain, a bridged variant such as USDC.e, or a pair on
+ * the allowlist (logo-allowlist.json), such as AVAX and WAVAX.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const { decodeImage } = require('./logo-pipeline');
+const { getBaseSymbol } = require('./symbols');
+
+// Cells per side of the grid the dHash is computed on
+const GRID_SIZE = 16;
+
+// dHashes at most this many bits apart (of 512) are considered the same logo
+const DEFAULT_SIMILARITY_THRESHOLD = 16;
+
+// How much brighter a cell has to be than its neighbour to set its bit; flat
+// areas would otherwise get random bits from rounding noise
+const BRIGHTER_MARGIN = 4;
+
+// Set bits per byte value
+const BIT_COUNTS = Array.from({ length: 256 }, (_, value) => {
+  let count = 0;
+  for (let bits = value; bits > 0; bits >>= 1) {
+    count += bits & 1;
+  }
+  return count;
+});
+
+/**
+ * Splits the pixels of one axis over the cells of a grid: a pixel straddling
+ * two cells counts towards both, by how much of it each one covers
+ * @param {number} pixels Pixels along the axis
+ * @param {number} cells Cells along the axis
+ * @returns {Array<Array<Array<number>>>} [cell, weight] pairs per pixel
+ */
+function getCellWeights(pixels, cells) {
+  const weights = [];
+  for (let pixel = 0; pixel < pixels; pixel++) {
+    const start = pixel * cells / pixels;
+    const end = (pixel + 1) * cells / pixels;
+    const first = Math.floor(start);
+    const last = Math.min(Math.ceil(end) - 1, cells - 1);
+    const parts = [];
+    for (let cell = first; cell <= last; cell++) {
+      parts.push([cell, Math.min(end, cell + 1) - Math.max(start, cell)]);
+    }
+    weights.push(parts);
+  }
+  return weights;
+}
+
+/**
+ * Averages the grayscale pixels of an image, composited over white, into a grid
+ * @param {Object} image { width, height, data } with 8-bit RGBA pixels
+ * @param {number} columns Cells per row
+ * @param {number} rows Cells per column
+ * @returns {Float64Array} The average brightness of each cell, row by row
+ */
+function shrinkToGrid(image, columns, rows) {
+  const sums = new Float64Array(columns * rows);
+  const weights = new Float64Array(columns * rows);
+  const columnWeights = getCellWeights(image.width, columns);
+  const rowWeights = getCellWeights(image.height, rows);
+  const line = new Float64Array(columns);
+
+  for (let y = 0; y < image.height; y++) {
+    // Average the row into columns first, then spread it over the rows of the grid
+    line.fill(0);
+    for (let x = 0; x < image.width; x++) {
+      const offset = (y * image.width + x) * 4;
+      const alpha = image.data[offset + 3] / 255;
+      const gray = 0.299 * image.data[offset] + 0.587 * image.data[offset + 1] + 0.114 * image.data[offset + 2];
+      for (const [column, weight] of columnWeights[x]) {
+        line[column] += (gray * alpha + 255 * (1 - alpha)) * weight;
+      }
+    }
+
+    for (const [row, rowWeight] of rowWeights[y]) {
+      for (let column = 0; column < columns; column++) {
+        sums[row * columns + column] += line[column] * rowWeight;
+        weights[row * columns + column] += rowWeight;
+      }
+    }
+  }
+
+  return sums.map((sum, cell) => sum / weights[cell]);
+}
+
+/**
+ * Computes the dHash of a decoded image
+ * @param {Object} image { width, height, data } with 8-bit RGBA pixels
+ * @returns {string} The 512-bit hash as 128 hex digits: the horizontal gradients, then the vertical ones
+ */
+function computeDHash(image) {
+  const size = GRID_SIZE;
+  const wide = shrinkToGrid(image, size + 1, size);
+  const tall = shrinkToGrid(image, size, size + 1);
+  const bytes = Buffer.alloc(size * size * 2 / 8);
+  let bit = 0;
+
+  const push = brighter => {
+    if (brighter) {
+      bytes[bit >> 3] |= 0x80 >> (bit & 7);
+    }
+    bit++;
+  };
+
+  for (let row = 0; row < size; row++) {
+    for (let column = 0; column < size; column++) {
+      push(wide[row * (size + 1) + column] - wide[row * (size + 1) + column + 1] > BRIGHTER_MARGIN);
+    }
+  }
+  for (let row = 0; row < size; row++) {
+    for (let column = 0; column < size; column++) {
+      push(tall[row * size + column] - tall[(row + 1) * size + column] > BRIGHTER_MARGIN);
+    }
+  }
+
+  return bytes.toString('hex');
+}
+
+/**
+ * Hashes a logo file
+ * @param {Buffer} buffer The PNG or JPEG file
+ * @returns {Object} { sha256, dhash }
+ * @throws {Error} If the file can't be decoded
+ */
+function hashLogo(buffer) {
+  return {
+    sha256: crypto.createHash('sha256').update(buffer).digest('hex'),
+    dhash: computeDHash(decodeImage(buffer))
+  };
+}
+
+/**
+ * Counts the bits two dHashes differ in
+ * @param {string} a A dHash
+ * @param {string} b Another dHash of the same length
+ * @returns {number} The Hamming distance, 0 to 512
+ */
+function hammingDistance(a, b) {
+  return countDifferentBits(Buffer.from(a, 'hex'), Buffer.from(b, 'hex'));
+}
+
+/**
+ * Counts the bits two byte strings of the same length differ in
+ * @param {Buffer} a The bytes of a dHash
+ * @param {Buffer} b The bytes of another dHash
+ * @returns {number} The Hamming distance
+ */
+function countDifferentBits(a, b) {
+  let distance = 0;
+  for (let i = 0; i < a.length; i++) {
+    distance += BIT_COUNTS[a[i] ^ b[i]];
+  }
+  return distance;
+}
+
+/**
+ * Reads an allowlist of tokens that may share a logo
+ * @param {string} filePath Path to the allowlist
+ * @returns {Promise<Object>} { symbols, tokens }: groups of symbols and groups of "<chainId>:<address>" keys;
+ *   empty if the file doesn't exist
+ */
+async function loadLogoAllowlist(filePath) {
+  if (!await fs.pathExists(filePath)) {
+    return { symbols: [], tokens: [] };
+  }
+
+  const allowlist = await fs.readJson(filePath);
+  return {
+    symbols: (allowlist.symbols || []).map(group => group.map(symbol => symbol.toLowerCase())),
+    tokens: (allowlist.tokens || []).map(group => group.map(key => key.toLowerCase()))
+  };
+}
+
+/**
+ * Checks whether two tokens may share a logo
+ * @param {Object} a A logo entry, see findLogoImpersonations()
+ * @param {Object} b Another logo entry
+ * @param {Object} allowlist The result of loadLogoAllowlist()
+ * @returns {boolean}
+ */
+function mayShareLogo(a, b, allowlist) {
+  // The same asset, also when bridged (USDC and USDC.e)
+  if (getBaseSymbol(a.symbol) === getBaseSymbol(b.symbol)) {
+    return true;
+  }
+
+  const inGroup = (groups, x, y) => groups.some(group => group.includes(x) && group.includes(y));
+  const baseA = getBaseSymbol(a.symbol);
+  const baseB = getBaseSymbol(b.symbol);
+  const keyA = `${a.chainId}:${a.address}`.toLowerCase();
+  const keyB = `${b.chainId}:${b.address}`.toLowerCase();
+
+  return inGroup(allowlist.symbols, baseA, baseB) || inGroup(allowlist.tokens, keyA, keyB);
+}
+
+/**
+ * Finds tokens with different symbols whose logos are identical or look the same
+ * @param {Array<Object>} logos One { chainId, address, symbol, sha256, dhash } entry per token
+ * @param {Object} [options]
+ * @param {number} [options.threshold] Maximum dHash distance of logos that look the same
+ * @param {Object} [options.allowlist] The result of loadLogoAllowlist()
+ * @param {Function} [options.filter] Only check the entries this returns true for, e.g. the tokens a change
+ *   added; they are still compared against every entry
+ * @returns {Array<Object>} One { token, original, identical, distance } per match: token is the entry being
+ *   checked (the later one when both are), original the one it resembles
+ */
+function findLogoImpersonations(logos, options = {}) {
+  const threshold = options.threshold === undefined ? DEFAULT_SIMILARITY_THRESHOLD : options.threshold;
+  const allowlist = options.allowlist || { symbols: [], tokens: [] };
+  const checked = logos.map(entry => !options.filter || options.filter(entry));
+  const hashes = logos.map(entry => Buffer.from(entry.dhash, 'hex'));
+  const matches = [];
+
+  for (let i = 0; i < logos.length; i++) {
+    for (let j = 0; j < i; j++) {
+      if (!checked[i] && !checked[j]) {
+        continue;
+      }
+
+      const token = checked[i] ? logos[i] : logos[j];
+      const original = checked[i] ? logos[j] : logos[i];
+      const identical = token.sha256 === original.sha256;
+      const distance = identical ? 0 : countDifferentBits(hashes[i], hashes[j]);
+      if (distance > threshold || mayShareLogo(token, original, allowlist)) {
+        continue;
+      }
+
+      matches.push({ token, original, identical, distance });
+    }
+  }
+
+  return matches;
+}
+
+module.exports = {
+  DEFAULT_SIMILARITY_THRESHOLD,
+  computeDHash,
+  hashLogo,
+  hammingDistance,
+  loadLogoAllowlist,
+  findLogoImpersonations
+};
@@ -0,0 +1,156 @@
+/**
+ * Logo URLs
+ *
+ * Builds and parses the URLs logos are published under. Published lists can
+ * pin their logos to a tag or commit, or serve them from a CDN, so a list
+ * version keeps pointing at the exact logos it shipped with. Every supported
+ * form resolves back to the file in the repository.
+ */
+
+const REPO_SLUG = 'First-Point/cosmohub-token-list';
+const DEFAULT_LOGO_REF = 'refs/heads/main';
+
+// URL forms that serve a file of this repository at a given ref
+const REPO_URL_PATTERNS = [
+  // https://raw.githubusercontent.com/<repo>/<ref>/<path>, the ref may contain slashes
+  new RegExp(`^https?://raw\\.githubusercontent\\.com/${REPO_SLUG}/(.+?)/(assets/.*)$`, 'i'),
+  // https://github.com/<repo>/raw/<ref>/<path> and .../blob/<ref>/<path>?raw=true
+  new RegExp(`^https?://github\\.com/${REPO_SLUG}/(?:raw|blob)/(.+?)/(assets/.*)$`, 'i'),
+  // https://cdn.jsdelivr.net/gh/<repo>@<ref>/<path>
+  new RegExp(`^https?://cdn\\.jsdelivr\\.net/gh/${REPO_SLUG}@([^/]+)/(assets/.*)$`, 'i')
+];
+
+const LOGO_PATH_PATTERN = /^assets\/(\d+)\/logos\/([^/]+)$/;
+
+// Pixel sizes the logo pipeline renders every logo at, see lib/logo-pipeline.js
+const LOGO_SIZES = [32, 64, 128];
+
+/**
+ * Get the base URL repository files are published under
+ * @param {Object} [options]
+ * @param {string} [options.ref] Tag or commit SHA to pin the files to, defaults to the main branch
+ * @param {string} [options.baseURL] Custom CDN prefix serving the repository root, takes precedence over ref
+ * @returns {string} The base URL, without a trailing slash
+ */
+function getLogoBaseURL(options = {}) {
+  if (options.baseURL) {
+    return options.baseURL.replace(/\/+$/, '');
+  }
+  return `https://raw.githubusercontent.com/${REPO_SLUG}/${options.ref || DEFAULT_LOGO_REF}`;
+}
+
+const DEFAULT_LOGO_BASE_URL = getLogoBaseURL();
+
+/**
+ * Turns a logo URI from an asset file into an absolute URL
+ * @param {string} logoURI The logo URI, e.g. "./logos/0x....png"
+ * @param {number} chainId The chain ID the asset file belongs to
+ * @param {string} [baseURL] Base URL the repository files are published under
+ * @returns {string} The absolute logo URL, or the input if it can't be resolved
+ */
+function toAbsoluteLogoURI(logoURI, chainId, baseURL = DEFAULT_LOGO_BASE_URL) {
+  if (typeof logoURI !== 'string' || /^[a-z][a-z0-9+.-]*:/i.test(logoURI)) {
+    return logoURI;
+  }
+
+  const base = baseURL.replace(/\/+$/, '');
+
+  if (logoURI.startsWith('./logos/')) {
+    return `${base}/assets/${chainId}/${logoURI.substring(2)}`;
+  }
+
+  if (logoURI.startsWith('/assets/')) {
+    return `${base}${logoURI}`;
+  }
+
+  return logoURI;
+}
+
+/**
+ * Splits a published logo URL into its base URL and the path of the file in the repository
+ * @param {string} logoURI The logo URL
+ * @param {Array<string>} [baseURLs] Custom CDN prefixes to recognize besides the GitHub and jsDelivr URLs
+ * @returns {Object|null} { base, path, chainId, fileName }, or null if the URL doesn't point at a repository logo
+ */
+function parseLogoURL(logoURI, baseURLs = []) {
+  if (typeof logoURI !== 'string') {
+    return null;
+  }
+
+  const url = logoURI.replace(/[?#].*$/, '');
+  let filePath = null;
+
+  for (const pattern of REPO_URL_PATTERNS) {
+    const match = url.match(pattern);
+    if (match) {
+      filePath = match[2];
+      break;
+    }
+  }
+
+  if (!filePath) {
+    const base = baseURLs
+      .map(baseURL => baseURL.replace(/\/+$/, ''))
+      .find(baseURL => url.startsWith(`${baseURL}/assets/`));
+    if (base) {
+      filePath = url.substring(base.length + 1);
+    }
+  }
+
+  const match = filePath && filePath.match(LOGO_PATH_PATTERN);
+  if (!match) {
+    return null;
+  }
+
+  return {
+    base: url.substring(0, url.length - filePath.length - 1),
+    path: filePath,
+    chainId: Number(match[1]),
+    fileName: match[2]
+  };
+}
+
+/**
+ * Reads the custom CDN prefixes configured in the LOGO_BASE_URL environment variable
+ * @returns {Array<string>} The prefixes, comma separated in the variable
+ */
+function getConfiguredLogoBaseURLs() {
+  return (process.env.LOGO_BASE_URL || '')
+    .split(',')
+    .map(baseURL => baseURL.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Picks the standard logo size to show a logo at a given pixel size
+ * @param {number} pixelSize The rendered size in device pixels, e.g. 48 for a 24px icon on a 2x screen
+ * @returns {number|null} The smallest standard size at least that large, or null if only the original is
+ *   large enough
+ */
+function getLogoSize(pixelSize) {
+  return LOGO_SIZES.find(size => size >= pixelSize) || null;
+}
+
+/**
+ * Get the URI of a logo at a standard size
+ * @param {string} logoURI A local logo URI, e.g. "./logos/0x....png"
+ * @param {number} size One of LOGO_SIZES
+ * @returns {string|null} e.g. "./logos/64/0x....png", or null if the logo isn't a local file
+ */
+function getSizedLogoURI(logoURI, size) {
+  const match = typeof logoURI === 'string' && logoURI.match(/^\.\/logos\/(0x[0-9a-fA-F]{40})\.(png|jpe?g)$/i);
+  return match ? `./logos/${size}/${match[1]}.png` : null;
+}
+
+module.exports = {
+  REPO_SLUG,
+  DEFAULT_LOGO_REF,
+  DEFAULT_LOGO_BASE_URL,
+  LOGO_SIZES,
+  getLogoBaseURL,
+  toAbsoluteLogoURI,
+  parseLogoURL,
+  getConfiguredLogoBaseURLs,
+  getLogoSize,
+  getSizedLogoURI
+};
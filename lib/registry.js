@@ -0,0 +1,418 @@
+/**
+ * Token Registry
+ *
+ * Loads the token lists of each chain once and keeps them in memory together
+ * with precomputed address and symbol indexes, so repeated lookups don't
+ * touch the filesystem.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { getBaseSymbol } = require('./symbols');
+
+const DEFAULT_ROOT = path.join(__dirname, '..');
+
+/**
+ * Builds the lookup indexes for a list of tokens
+ * @param {Array<Object>} tokens The tokens of a single list
+ * @returns {Object} The frozen tokens with their address, symbol and base symbol indexes
+ */
+function indexTokens(tokens) {
+  const byAddress = new Map();
+  const bySymbol = new Map();
+  const byBaseSymbol = new Map();
+
+  for (const token of tokens) {
+    Object.freeze(token);
+
+    if (typeof token.address === 'string') {
+      byAddress.set(token.address.toLowerCase(), token);
+    }
+
+    if (typeof token.symbol === 'string') {
+      const symbol = token.symbol.toLowerCase();
+      if (!bySymbol.has(symbol)) {
+        bySymbol.set(symbol, []);
+      }
+      bySymbol.get(symbol).push(token);
+
+      const baseSymbol = getBaseSymbol(token.symbol);
+      if (!byBaseSymbol.has(baseSymbol)) {
+        byBaseSymbol.set(baseSymbol, []);
+      }
+      byBaseSymbol.get(baseSymbol).push(token);
+    }
+  }
+
+  return {
+    tokens: Object.freeze(tokens),
+    byAddress,
+    bySymbol,
+    byBaseSymbol
+  };
+}
+
+/**
+ * Looks up several addresses in an address index
+ * @param {Map<string, Object>} byAddress The index of a list
+ * @param {Array<string>} addresses The token addresses
+ * @returns {Map<string, Object>} Found tokens keyed by lowercase address; unknown addresses are left out
+ */
+function findByAddresses(byAddress, addresses) {
+  const result = new Map();
+
+  for (const address of addresses) {
+    const normalizedAddress = address.toLowerCase();
+    const token = byAddress.get(normalizedAddress);
+    if (token) {
+      result.set(normalizedAddress, token);
+    }
+  }
+
+  return result;
+}
+
+class TokenRegistry {
+  /**
+   * @param {Object} [options]
+   * @param {string} [options.root] Directory holding the `assets/` folder, defaults to this package
+   * @param {Array<number>} [options.chains] Only expose these chain IDs
+   */
+  constructor(options = {}) {
+    this.root = path.resolve(options.root || DEFAULT_ROOT);
+    this.assetsDir = path.join(this.root, 'assets');
+    this.allowedChains = options.chains ? new Set(options.chains.map(Number)) : null;
+
+    // Chain index: chainId -> { common, popular } where each entry is the
+    // result of indexTokens()
+    this.chains = new Map();
+
+    // In-flight loads, so concurrent callers share a single read
+    this.pending = new Map();
+
+    // Bumped per chain by reload(), so a read started before it can't store stale data
+    this.generations = new Map();
+  }
+
+  /**
+   * Get all chain IDs that have a directory in the assets folder
+   * @returns {Promise<Array<number>>} Array of chain IDs
+   */
+  async getChainIds() {
+    const entries = await fs.readdir(this.assetsDir, { withFileTypes: true });
+
+    return entries
+      .filter(entry => entry.isDirectory() && /^\d+$/.test(entry.name))
+      .map(entry => parseInt(entry.name, 10))
+      .filter(chainId => this.isChainAllowed(chainId))
+      .sort((a, b) => a - b);
+  }
+
+  /**
+   * Whether a chain passes the `chains` option of this registry
+   * @param {number} chainId The chain ID
+   * @returns {boolean}
+   */
+  isChainAllowed(chainId) {
+    return !this.allowedChains || this.allowedChains.has(Number(chainId));
+  }
+
+  /**
+   * Reads and indexes one list file of a chain
+   * @param {number} chainId The chain ID
+   * @param {string} kind Either 'common' or 'popular'
+   * @returns {Promise<Object>} The indexed list
+   */
+  async readList(chainId, kind) {
+    if (!this.isChainAllowed(chainId)) {
+      throw new Error(`Chain ${chainId} is not enabled in this token list`);
+    }
+
+    const listPath = path.join(this.assetsDir, chainId.toString(), `${kind}.json`);
+    const data = await fs.readJson(listPath);
+    return indexTokens(data.tokens || []);
+  }
+
+  /**
+   * Loads a list of a chain into memory unless it is already loaded
+   * @param {number} chainId The chain ID
+   * @param {string} kind Either 'common' or 'popular'
+   * @returns {Promise<Object>} The indexed list
+   */
+  async loadList(chainId, kind) {
+    chainId = Number(chainId);
+    const chain = this.chains.get(chainId);
+    if (chain && chain[kind]) {
+      return chain[kind];
+    }
+
+    const key = `${chainId}:${kind}`;
+    if (!this.pending.has(key)) {
+      const generation = this.generations.get(chainId) || 0;
+      const loading = this.readList(chainId, kind)
+        .then(list => {
+          if ((this.generations.get(chainId) || 0) === generation) {
+            if (!this.chains.has(chainId)) {
+              this.chains.set(chainId, {});
+            }
+            this.chains.get(chainId)[kind] = list;
+          }
+          return list;
+        })
+        .finally(() => {
+          if (this.pending.get(key) === loading) {
+            this.pending.delete(key);
+          }
+        });
+
+      this.pending.set(key, loading);
+    }
+
+    return this.pending.get(key);
+  }
+
+  /**
+   * Loads the common and popular lists of a chain
+   * @param {number} chainId The chain ID
+   * @returns {Promise<void>}
+   */
+  async load(chainId) {
+    await Promise.all([
+      this.loadList(chainId, 'common'),
+      this.loadList(chainId, 'popular')
+    ]);
+  }
+
+  /**
+   * Loads every chain found in the assets folder, so that the synchronous
+   * lookups can be used afterwards
+   * @returns {Promise<void>}
+   */
+  async warmUp() {
+    const chainIds = await this.getChainIds();
+    await Promise.all(chainIds.map(chainId => this.load(chainId)));
+  }
+
+  /**
+   * Drops cached data and reads it again from disk
+   * @param {number} [chainId] Only reload this chain; reloads all loaded chains when omitted
+   * @returns {Promise<void>}
+   */
+  async reload(chainId) {
+    const loading = Array.from(this.pending.keys()).map(key => Number(key.split(':')[0]));
+    const chainIds = chainId === undefined ? [...new Set([...this.chains.keys(), ...loading])] : [Number(chainId)];
+
+    for (const id of chainIds) {
+      this.generations.set(id, (this.generations.get(id) || 0) + 1);
+      this.chains.delete(id);
+      this.pending.delete(`${id}:common`);
+      this.pending.delete(`${id}:popular`);
+    }
+
+    await Promise.all(chainIds.map(id => this.load(id)));
+  }
+
+  /**
+   * Whether the common list of a chain is in memory
+   * @param {number} chainId The chain ID
+   * @returns {boolean}
+   */
+  isLoaded(chainId) {
+    const chain = this.chains.get(Number(chainId));
+    return Boolean(chain && chain.common);
+  }
+
+  /**
+   * Returns an already loaded list, failing loudly if it isn't warmed up
+   * @param {number} chainId The chain ID
+   * @param {string} kind Either 'common' or 'popular'
+   * @returns {Object} The indexed list
+   */
+  getLoadedList(chainId, kind) {
+    const chain = this.chains.get(Number(chainId));
+    if (!chain || !chain[kind]) {
+      throw new Error(`Tokens for chain ${chainId} are not loaded, call load(${chainId}) first`);
+    }
+    return chain[kind];
+  }
+
+  /**
+   * Get all tokens for a loaded chain
+   * @param {number} chainId The chain ID
+   * @returns {Array<Object>} Array of token objects
+   */
+  getTokensSync(chainId) {
+    return this.getLoadedList(chainId, 'common').tokens;
+  }
+
+  /**
+   * Get popular tokens for a loaded chain
+   * @param {number} chainId The chain ID
+   * @returns {Array<Object>} Array of popular token objects
+   */
+  getPopularTokensSync(chainId) {
+    return this.getLoadedList(chainId, 'popular').tokens;
+  }
+
+  /**
+   * Get a token by its address for a loaded chain
+   * @param {number} chainId The chain ID
+   * @param {string} address The token address
+   * @returns {Object|null} The token object or null if not found
+   */
+  getTokenByAddressSync(chainId, address) {
+    return this.getLoadedList(chainId, 'common').byAddress.get(address.toLowerCase()) || null;
+  }
+
+  /**
+   * Check whether a loaded chain has a token at the given address
+   * @param {number} chainId The chain ID
+   * @param {string} address The token address
+   * @returns {boolean} Whether the token exists
+   */
+  hasTokenSync(chainId, address) {
+    return this.getLoadedList(chainId, 'common').byAddress.has(address.toLowerCase());
+  }
+
+  /**
+   * Get several tokens by address for a loaded chain
+   * @param {number} chainId The chain ID
+   * @param {Array<string>} addresses The token addresses
+   * @returns {Map<string, Object>} Found tokens keyed by lowercase address; unknown addresses are left out
+   */
+  getTokensByAddressesSync(chainId, addresses) {
+    return findByAddresses(this.getLoadedList(chainId, 'common').byAddress, addresses);
+  }
+
+  /**
+   * Check whether a token is in the popular list of a loaded chain
+   * @param {number} chainId The chain ID
+   * @param {string} address The token address
+   * @returns {boolean} Whether the token is popular
+   */
+  isPopularSync(chainId, address) {
+    return this.getLoadedList(chainId, 'popular').byAddress.has(address.toLowerCase());
+  }
+
+  /**
+   * Get all tokens sharing a base symbol for a loaded chain, i.e. the token
+   * and its bridged variants such as USDC and USDC.e
+   * @param {number} chainId The chain ID
+   * @param {string} symbol The token symbol, with or without bridge suffix
+   * @returns {Array<Object>} Array of matching token objects
+   */
+  getTokensByBaseSymbolSync(chainId, symbol) {
+    return this.getLoadedList(chainId, 'common').byBaseSymbol.get(getBaseSymbol(symbol)) || [];
+  }
+
+  /**
+   * Get all tokens with the given symbol (case-insensitive) for a loaded chain
+   * @param {number} chainId The chain ID
+   * @param {string} symbol The token symbol
+   * @returns {Array<Object>} Array of matching token objects
+   */
+  getTokensBySymbolSync(chainId, symbol) {
+    return this.getLoadedList(chainId, 'common').bySymbol.get(symbol.toLowerCase()) || [];
+  }
+
+  /**
+   * Get all tokens for a chain, loading it if needed
+   * @param {number} chainId The chain ID
+   * @returns {Promise<Array<Object>>} Array of token objects
+   */
+  async getTokens(chainId) {
+    return (await this.loadCommonList(chainId)).tokens;
+  }
+
+  /**
+   * Loads the common list of a chain for the asynchronous lookups, which
+   * read from the list they awaited rather than the cache, as reload() may
+   * have cleared it in between
+   * @param {number} chainId The chain ID
+   * @returns {Promise<Object>} The indexed list
+   */
+  async loadCommonList(chainId) {
+    try {
+      return await this.loadList(chainId, 'common');
+    } catch (error) {
+      throw new Error(`Failed to load tokens for chain ${chainId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get popular tokens for a chain, loading it if needed
+   * @param {number} chainId The chain ID
+   * @returns {Promise<Array<Object>>} Array of popular token objects
+   */
+  async getPopularTokens(chainId) {
+    try {
+      return (await this.loadList(chainId, 'popular')).tokens;
+    } catch (error) {
+      throw new Error(`Failed to load popular tokens for chain ${chainId}: ${error.message}`);
+    }
+  }
+
+  /**
+   * Get a token by its address, loading the chain if needed
+   * @param {number} chainId The chain ID
+   * @param {string} address The token address
+   * @returns {Promise<Object|null>} The token object or null if not found
+   */
+  async getTokenByAddress(chainId, address) {
+    const { byAddress } = await this.loadCommonList(chainId);
+    return byAddress.get(address.toLowerCase()) || null;
+  }
+
+  /**
+   * Check whether a chain has a token at the given address, loading the chain if needed
+   * @param {number} chainId The chain ID
+   * @param {string} address The token address
+   * @returns {Promise<boolean>} Whether the token exists
+   */
+  async hasToken(chainId, address) {
+    const { byAddress } = await this.loadCommonList(chainId);
+    return byAddress.has(address.toLowerCase());
+  }
+
+  /**
+   * Get several tokens by address, loading the chain if needed
+   * @param {number} chainId The chain ID
+   * @param {Array<string>} addresses The token addresses
+   * @returns {Promise<Map<string, Object>>} Found tokens keyed by lowercase address
+   */
+  async getTokensByAddresses(chainId, addresses) {
+    const { byAddress } = await this.loadCommonList(chainId);
+    return findByAddresses(byAddress, addresses);
+  }
+
+  /**
+   * Get all tokens with the given symbol, loading the chain if needed
+   * @param {number} chainId The chain ID
+   * @param {string} symbol The token symbol
+   * @returns {Promise<Array<Object>>} Array of matching token objects
+   */
+  async getTokensBySymbol(chainId, symbol) {
+    const { bySymbol } = await this.loadCommonList(chainId);
+    return bySymbol.get(symbol.toLowerCase()) || [];
+  }
+
+  /**
+   * Get all token lists for all chains
+   * @returns {Promise<Object>} Object with chain IDs as keys and token arrays as values
+   */
+  async getAllTokens() {
+    const chainIds = await this.getChainIds();
+    const lists = await Promise.all(chainIds.map(chainId => this.getTokens(chainId)));
+
+    const result = {};
+    chainIds.forEach((chainId, i) => {
+      result[chainId] = lists[i];
+    });
+
+    return result;
+  }
+}
+
+module.exports = {
+  TokenRegistry
+};
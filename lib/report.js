@@ -0,0 +1,436 @@
+/**
+ * Validation Reports
+ *
+ * The finding model shared by all validators, and the reporters that turn a
+ * run's findings into text for people, GitHub Actions annotations for pull
+ * requests, or JSON, JUnit XML and SARIF for CI dashboards. Each finding
+ * carries a stable rule ID from RULES, so results can be tracked and filtered
+ * across runs.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { Option } = require('commander');
+
+const FORMATS = ['text', 'github', 'json', 'junit', 'sarif'];
+const SEVERITIES = ['error', 'warning', 'note'];
+
+// Every rule a validator can report, with its default severity
+const RULES = {
+  'json.invalid': { severity: 'error', description: 'The file is not valid JSON' },
+  'json.format': { severity: 'error', description: 'The file is not formatted with 2-space indentation' },
+  'file.missing': { severity: 'error', description: 'A required list file is missing' },
+  'file.unreadable': { severity: 'error', description: 'A file cannot be read' },
+  'schema.violation': { severity: 'error', description: 'The file does not match its JSON schema' },
+  'address.invalid': { severity: 'error', description: 'The token address is not a valid address' },
+  'address.checksum': { severity: 'error', description: 'The mixed-case token address has an invalid EIP-55 checksum' },
+  'address.case': { severity: 'error', description: 'The token address is not cased as the address policy requires' },
+  'address.duplicate': { severity: 'error', description: 'The same address appears more than once in a file' },
+  'chain.mismatch': { severity: 'error', description: 'A file contains tokens of more than one chain' },
+  'popular.not-subset': { severity: 'error', description: 'A popular token is missing from common.json' },
+  'list.empty': { severity: 'warning', description: 'The list has no tokens' },
+  'logo.directory-missing': { severity: 'error', description: 'The chain has no logos directory' },
+  'logo.missing': { severity: 'error', description: 'The logo file a token points at does not exist' },
+  'logo.invalid': { severity: 'error', description: 'The logo file is not a valid PNG or JPEG image, or is truncated or corrupt' },
+  'logo.not-square': { severity: 'error', description: 'The logo image is not square' },
+  'logo.dimensions': { severity: 'error', description: 'The logo image is smaller or larger than the allowed pixel size' },
+  'logo.color-type': { severity: 'error', description: 'The logo image uses a color type that is not allowed' },
+  'logo.transparency': { severity: 'error', description: 'The logo image has no transparency although it is required' },
+  'logo.impersonation': { severity: 'error', description: 'The logo is a copy or look-alike of the logo of a token with another symbol' },
+  'logo.name': { severity: 'error', description: 'The logo file is not named after the stored token address' },
+  'logo.unreachable': { severity: 'error', description: 'The logo URL cannot be fetched' },
+  'logo.oversized': { severity: 'error', description: 'The logo file exceeds the maximum file size' }
+};
+
+/**
+ * Creates a finding
+ * @param {string} ruleId A rule ID from RULES, e.g. "address.case"
+ * @param {string} message What is wrong
+ * @param {Object} [details]
+ * @param {string} [details.file] Path of the file, relative to the repository root
+ * @param {string} [details.token] Address of the token the finding is about
+ * @param {string} [details.pointer] JSON pointer of the offending value
+ * @param {number} [details.line] 1-based line in the file
+ * @param {number} [details.column] 1-based column in the file
+ * @param {number} [details.endLine] Last line the finding spans, e.g. the end of the token object
+ * @param {string} [details.severity] Overrides the rule's default severity
+ * @returns {Object} The finding
+ */
+function createFinding(ruleId, message, details = {}) {
+  const rule = RULES[ruleId];
+  if (!rule) {
+    throw new Error(`Unknown rule "${ruleId}"`);
+  }
+
+  const severity = details.severity || rule.severity;
+  if (!SEVERITIES.includes(severity)) {
+    throw new Error(`Unknown severity "${severity}", expected one of: ${SEVERITIES.join(', ')}`);
+  }
+
+  return {
+    ruleId,
+    severity,
+    file: details.file ? details.file.split(path.sep).join('/') : null,
+    token: details.token || null,
+    pointer: details.pointer === undefined ? null : details.pointer,
+    line: details.line || null,
+    column: details.column || null,
+    endLine: details.endLine && details.line && details.endLine > details.line ? details.endLine : null,
+    message
+  };
+}
+
+/**
+ * Checks whether a run failed, i.e. produced at least one error
+ * @param {Array<Object>} findings The findings of the run
+ * @returns {number} The process exit code, 1 if there are errors and 0 otherwise
+ */
+function getExitCode(findings) {
+  return findings.some(finding => finding.severity === 'error') ? 1 : 0;
+}
+
+/**
+ * Formats the location of a finding as "file:line:col"
+ * @param {Object} finding The finding
+ * @returns {string} The location, or an empty string if the finding has no file
+ */
+function formatLocation(finding) {
+  if (!finding.file) {
+    return '';
+  }
+  if (!finding.line) {
+    return finding.file;
+  }
+  return `${finding.file}:${finding.line}:${finding.column || 1}`;
+}
+
+/**
+ * Formats findings for the terminal, grouped by file
+ * @param {Array<Object>} findings The findings
+ * @param {Object} [options]
+ * @param {boolean} [options.color] Colorize the output, defaults to chalk's terminal detection
+ * @returns {string} The report
+ */
+function formatText(findings, options = {}) {
+  const paint = options.color === false ? new chalk.Instance({ level: 0 }) : chalk;
+  const lines = [];
+  const colors = { error: paint.red, warning: paint.yellow, note: paint.gray };
+  let currentFile;
+
+  for (const finding of findings) {
+    if (finding.file !== currentFile) {
+      currentFile = finding.file;
+      lines.push('', paint.yellow(`File: ${currentFile || '(none)'}`));
+    }
+
+    const location = finding.line ? `${formatLocation(finding)} ` : '';
+    const token = finding.token ? ` (${finding.token})` : '';
+    lines.push(colors[finding.severity](`  - ${location}[${finding.ruleId}] ${finding.message}${token}`));
+  }
+
+  const errors = findings.filter(finding => finding.severity === 'error').length;
+  const warnings = findings.filter(finding => finding.severity === 'warning').length;
+  lines.push('', `${errors} errors, ${warnings} warnings`);
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Escapes text for the message of a GitHub Actions workflow command
+ * @param {*} value The value
+ * @returns {string} The escaped text
+ */
+function escapeCommandData(value) {
+  return String(value)
+    .replace(/%/g, '%25')
+    .replace(/\r/g, '%0D')
+    .replace(/\n/g, '%0A');
+}
+
+/**
+ * Escapes text for a property of a GitHub Actions workflow command
+ * @param {*} value The value
+ * @returns {string} The escaped text
+ */
+function escapeCommandProperty(value) {
+  return escapeCommandData(value)
+    .replace(/:/g, '%3A')
+    .replace(/,/g, '%2C');
+}
+
+/**
+ * Formats findings as GitHub Actions workflow commands, which show up as
+ * annotations on the offending lines of a pull request
+ * @param {Array<Object>} findings The findings
+ * @returns {string} The report
+ */
+function formatGitHub(findings) {
+  const commands = { error: 'error', warning: 'warning', note: 'notice' };
+  const lines = findings.map(finding => {
+    const properties = [];
+    if (finding.file) {
+      properties.push(`file=${escapeCommandProperty(finding.file)}`);
+      if (finding.line) {
+        properties.push(`line=${finding.line}`);
+        if (finding.endLine) {
+          properties.push(`endLine=${finding.endLine}`);
+        } else if (finding.column) {
+          // GitHub ignores the column of annotations that span several lines
+          properties.push(`col=${finding.column}`);
+        }
+      }
+    }
+    properties.push(`title=${escapeCommandProperty(finding.ruleId)}`);
+
+    const token = finding.token ? ` (${finding.token})` : '';
+    return `::${commands[finding.severity]} ${properties.join(',')}::${escapeCommandData(finding.message + token)}`;
+  });
+
+  const errors = findings.filter(finding => finding.severity === 'error').length;
+  const warnings = findings.filter(finding => finding.severity === 'warning').length;
+  lines.push(`${errors} errors, ${warnings} warnings`);
+
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Formats findings as JSON
+ * @param {Array<Object>} findings The findings
+ * @param {Object} options
+ * @param {string} options.tool Name of the validator
+ * @returns {string} The report
+ */
+function formatJSON(findings, options) {
+  return JSON.stringify({
+    tool: options.tool,
+    errors: findings.filter(finding => finding.severity === 'error').length,
+    warnings: findings.filter(finding => finding.severity === 'warning').length,
+    findings
+  }, null, 2) + '\n';
+}
+
+/**
+ * Escapes text for an XML attribute or element
+ * @param {*} value The value
+ * @returns {string} The escaped text
+ */
+function escapeXML(value) {
+  return String(value)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Formats findings as JUnit XML, with one test case per checked file
+ * @param {Array<Object>} findings The findings
+ * @param {Object} options
+ * @param {string} options.tool Name of the validator
+ * @param {Array<string>} [options.files] Every checked file, so files without findings show up as passed
+ * @returns {string} The report
+ */
+function formatJUnit(findings, options) {
+  const byFile = new Map((options.files || []).map(file => [file.split(path.sep).join('/'), []]));
+  for (const finding of findings) {
+    const file = finding.file || '(none)';
+    byFile.set(file, [...(byFile.get(file) || []), finding]);
+  }
+
+  const failures = Array.from(byFile.values()).filter(fileFindings =>
+    fileFindings.some(finding => finding.severity === 'error')
+  ).length;
+
+  const lines = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="${escapeXML(options.tool)}" tests="${byFile.size}" failures="${failures}">`,
+    `  <testsuite name="${escapeXML(options.tool)}" tests="${byFile.size}" failures="${failures}">`
+  ];
+
+  for (const [file, fileFindings] of byFile) {
+    const errors = fileFindings.filter(finding => finding.severity === 'error');
+    const others = fileFindings.filter(finding => finding.severity !== 'error');
+
+    if (fileFindings.length === 0) {
+      lines.push(`    <testcase classname="${escapeXML(options.tool)}" name="${escapeXML(file)}"/>`);
+      continue;
+    }
+
+    lines.push(`    <testcase classname="${escapeXML(options.tool)}" name="${escapeXML(file)}">`);
+    if (errors.length > 0) {
+      const body = errors.map(finding => `${formatLocation(finding)} [${finding.ruleId}] ${finding.message}`).join('\n');
+      lines.push(`      <failure message="${escapeXML(`${errors.length} errors`)}" type="${escapeXML(errors[0].ruleId)}">${escapeXML(body)}</failure>`);
+    }
+    if (others.length > 0) {
+      const body = others.map(finding => `${formatLocation(finding)} [${finding.ruleId}] ${finding.message}`).join('\n');
+      lines.push(`      <system-out>${escapeXML(body)}</system-out>`);
+    }
+    lines.push('    </testcase>');
+  }
+
+  lines.push('  </testsuite>', '</testsuites>');
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Formats findings as SARIF 2.1.0, the format code scanning tools ingest
+ * @param {Array<Object>} findings The findings
+ * @param {Object} options
+ * @param {string} options.tool Name of the validator
+ * @returns {string} The report
+ */
+function formatSARIF(findings, options) {
+  const ruleIds = Array.from(new Set(findings.map(finding => finding.ruleId))).sort();
+
+  const results = findings.map(finding => {
+    const result = {
+      ruleId: finding.ruleId,
+      ruleIndex: ruleIds.indexOf(finding.ruleId),
+      level: finding.severity,
+      message: { text: finding.message }
+    };
+
+    if (finding.file) {
+      const physicalLocation = { artifactLocation: { uri: finding.file } };
+      if (finding.line) {
+        physicalLocation.region = { startLine: finding.line, startColumn: finding.column || 1 };
+        if (finding.endLine) {
+          physicalLocation.region.endLine = finding.endLine;
+        }
+      }
+      result.locations = [{ physicalLocation }];
+    }
+
+    const properties = {};
+    if (finding.token) {
+      properties.token = finding.token;
+    }
+    if (finding.pointer !== null) {
+      properties.pointer = finding.pointer;
+    }
+    if (Object.keys(properties).length > 0) {
+      result.properties = properties;
+    }
+
+    return result;
+  });
+
+  return JSON.stringify({
+    $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+    version: '2.1.0',
+    runs: [{
+      tool: {
+        driver: {
+          name: options.tool,
+          rules: ruleIds.map(id => ({
+            id,
+            shortDescription: { text: RULES[id].description },
+            defaultConfiguration: { level: RULES[id].severity }
+          }))
+        }
+      },
+      results
+    }]
+  }, null, 2) + '\n';
+}
+
+/**
+ * Formats findings in one of the report formats
+ * @param {Array<Object>} findings The findings
+ * @param {Object} options
+ * @param {string} options.format 'text', 'github', 'json', 'junit' or 'sarif'
+ * @param {string} options.tool Name of the validator
+ * @param {Array<string>} [options.files] Every checked file, used by the JUnit report
+ * @param {boolean} [options.color] Colorize the text report
+ * @returns {string} The report
+ */
+function formatReport(findings, options) {
+  switch (options.format) {
+    case 'text':
+      return formatText(findings, options);
+    case 'github':
+      return formatGitHub(findings);
+    case 'json':
+      return formatJSON(findings, options);
+    case 'junit':
+      return formatJUnit(findings, options);
+    case 'sarif':
+      return formatSARIF(findings, options);
+    default:
+      throw new Error(`Unknown report format "${options.format}", expected one of: ${FORMATS.join(', ')}`);
+  }
+}
+
+/**
+ * Writes the report of a run to a file or stdout
+ * @param {Array<Object>} findings The findings
+ * @param {Object} options
+ * @param {string} options.format 'text', 'github', 'json', 'junit' or 'sarif'
+ * @param {string} options.tool Name of the validator
+ * @param {string} [options.output] File to write the report to instead of stdout
+ * @param {Array<string>} [options.files] Every checked file, used by the JUnit report
+ * @returns {Promise<void>}
+ */
+async function writeReport(findings, options) {
+  if (options.output) {
+    await fs.outputFile(options.output, formatReport(findings, { ...options, color: false }));
+    return;
+  }
+  process.stdout.write(formatReport(findings, options));
+}
+
+/**
+ * Get the report format used when none is given: annotations when running in
+ * GitHub Actions, text everywhere else
+ * @returns {string} 'github' or 'text'
+ */
+function getDefaultFormat() {
+  return process.env.GITHUB_ACTIONS === 'true' ? 'github' : 'text';
+}
+
+/**
+ * Adds the --format and --output options to a command
+ * @param {Command} command The commander command
+ * @returns {Command} The command
+ */
+function addReportOptions(command) {
+  return command
+    .addOption(new Option('--format <format>', 'report format').choices(FORMATS).default(getDefaultFormat()))
+    .option('--output <file>', 'write the report to a file instead of stdout');
+}
+
+/**
+ * Get the stream a validator writes its progress to. Progress goes to stderr
+ * while a machine-readable report is written to stdout, so the report stays
+ * parseable.
+ * @param {Object} options The --format and --output options
+ * @returns {stream.Writable} process.stdout or process.stderr
+ */
+function getProgressStream(options) {
+  return options.format !== 'text' && !options.output ? process.stderr : process.stdout;
+}
+
+/**
+ * Creates the logger a validator prints its progress with
+ * @param {Object} options The --format and --output options
+ * @returns {Function} A console.log replacement writing to the progress stream
+ */
+function createLogger(options) {
+  return getProgressStream(options) === process.stderr ? console.error : console.log;
+}
+
+module.exports = {
+  FORMATS,
+  RULES,
+  createFinding,
+  getExitCode,
+  formatLocation,
+  formatReport,
+  writeReport,
+  getDefaultFormat,
+  addReportOptions,
+  getProgressStream,
+  createLogger
+};
@@ -0,0 +1,305 @@
+/**
+ * Natural-Language Token Resolution
+ *
+ * Turns free text such as "USDC on avax" or "WETH mainnet" into a
+ * `{ chainId, address }` pair. The result always carries a confidence score
+ * and the other candidates, so callers (typically agents) can ask the user
+ * instead of guessing. Bridged variants such as DAI.e are never returned as
+ * a confident match unless the text names them explicitly.
+ */
+
+const { getChainAliases } = require('./chains');
+const { searchLoadedTokens } = require('./search');
+const { isBridgedSymbol, getBaseSymbol } = require('./symbols');
+
+// Words that introduce a chain, as in "USDC on avax"
+const CHAIN_PREPOSITIONS = ['on', 'in', 'at', 'via', '@'];
+
+// Words that carry no meaning for the lookup
+const FILLER_WORDS = ['the', 'token', 'tokens', 'network', 'chain'];
+
+// Base score for each way a candidate can match the query
+const MATCH_SCORES = {
+  'symbol:exact': 1,
+  'name:exact': 0.9,
+  'symbol:prefix': 0.6,
+  'name:prefix': 0.5,
+  'symbol:substring': 0.3,
+  'name:substring': 0.25
+};
+
+// Score for a bridged variant found through the original symbol, e.g. DAI.e for "dai"
+const BRIDGED_VARIANT_SCORE = 0.5;
+
+// Penalty for bridged variants matched in any other implicit way
+const BRIDGED_FACTOR = 0.5;
+
+// Penalty for tokens that are not in popular.json
+const NOT_POPULAR_FACTOR = 0.9;
+
+// A runner-up scoring above this share of the best candidate makes the
+// match ambiguous; an equal runner-up halves the confidence
+const AMBIGUITY_RATIO = 0.6;
+
+const DEFAULT_MIN_CONFIDENCE = 0.8;
+const DEFAULT_ALTERNATIVES = 5;
+
+/**
+ * Finds the preposition introducing a chain alias, skipping filler words as
+ * in "USDC on the c-chain"
+ * @param {Array<string>} words The lowercase words of the text
+ * @param {number} start Index of the first word of the alias
+ * @returns {number} Index of the preposition or -1
+ */
+function findPreposition(words, start) {
+  let i = start - 1;
+  while (i >= 0 && FILLER_WORDS.includes(words[i])) {
+    i--;
+  }
+  return i >= 0 && CHAIN_PREPOSITIONS.includes(words[i]) ? i : -1;
+}
+
+/**
+ * Splits free text into the token part and the chain it mentions
+ * @param {string} text The free text
+ * @returns {Object} The token query, the chain ID (or null) and an optional
+ *   fallback reading without chain
+ */
+function parseText(text) {
+  const words = text.toLowerCase().trim().split(/\s+/).filter(Boolean);
+  const aliases = getChainAliases();
+  const mentions = [];
+
+  // Find chain aliases, longest first, without overlapping matches
+  const consumed = new Array(words.length).fill(false);
+  for (const { alias, chainId } of aliases) {
+    const aliasWords = alias.split(' ');
+
+    for (let i = 0; i + aliasWords.length <= words.length; i++) {
+      const span = words.slice(i, i + aliasWords.length);
+      const isFree = consumed.slice(i, i + aliasWords.length).every(used => !used);
+
+      if (isFree && span.join(' ') === alias) {
+        for (let j = i; j < i + aliasWords.length; j++) {
+          consumed[j] = true;
+        }
+        mentions.push({
+          start: i,
+          end: i + aliasWords.length,
+          chainId,
+          preposition: findPreposition(words, i)
+        });
+      }
+    }
+  }
+
+  mentions.sort((a, b) => a.start - b.start);
+
+  // "avax on avalanche": the mention after a preposition names the chain.
+  // Otherwise the last mention does, as in "WETH mainnet".
+  let chainMention = mentions.find(mention => mention.preposition !== -1)
+    || mentions[mentions.length - 1]
+    || null;
+
+  const getQueryWords = mention => words.filter((word, i) => {
+    if (mention && i >= mention.start && i < mention.end) {
+      return false;
+    }
+    // Drop the preposition that introduced the chain
+    if (mention && i === mention.preposition) {
+      return false;
+    }
+    return !FILLER_WORDS.includes(word);
+  });
+
+  let queryWords = getQueryWords(chainMention);
+
+  // A lone alias is the token itself, e.g. "avax"
+  if (chainMention && queryWords.length === 0) {
+    chainMention = null;
+    queryWords = getQueryWords(null);
+  }
+
+  const parsed = {
+    query: queryWords.join(' '),
+    chainId: chainMention ? chainMention.chainId : null
+  };
+
+  // Without a preposition the alias may be part of the token name, as in
+  // "wrapped avax", so the whole text is worth trying as well
+  if (chainMention && chainMention.preposition === -1) {
+    parsed.fallback = {
+      query: getQueryWords(null).join(' '),
+      chainId: null
+    };
+  }
+
+  return parsed;
+}
+
+/**
+ * Scores a search result against the query
+ * @param {Object} result A result of searchLoadedTokens()
+ * @param {string} query The lowercase token query
+ * @returns {Object} The candidate with its score and whether it is a bridged variant
+ */
+function scoreCandidate(result, query) {
+  const { token } = result;
+  // Tokens without a symbol can still match by name
+  const symbol = String(token.symbol || '');
+  const bridged = isBridgedSymbol(symbol);
+  const explicit = bridged && symbol.toLowerCase() === query;
+
+  let score = MATCH_SCORES[`${result.field}:${result.match}`];
+
+  if (bridged && !explicit) {
+    score = getBaseSymbol(symbol) === query
+      ? BRIDGED_VARIANT_SCORE
+      : score * BRIDGED_FACTOR;
+  }
+
+  if (!result.popular) {
+    score *= NOT_POPULAR_FACTOR;
+  }
+
+  return {
+    chainId: result.chainId,
+    address: token.address,
+    symbol: token.symbol,
+    name: token.name,
+    token,
+    score,
+    bridged,
+    explicit
+  };
+}
+
+/**
+ * Rounds a score for reporting
+ * @param {number} value The score
+ * @returns {number} The score rounded to two decimals
+ */
+function roundScore(value) {
+  return Math.round(value * 100) / 100;
+}
+
+/**
+ * Finds and ranks the candidates for one reading of the text
+ * @param {TokenRegistry} registry The registry to resolve against
+ * @param {Object} parsed The token query and chain ID
+ * @returns {Promise<Array<Object>>} The candidates, best first
+ */
+async function rankCandidates(registry, parsed) {
+  if (!parsed.query) {
+    return [];
+  }
+
+  const chainIds = parsed.chainId !== null ? [parsed.chainId] : await registry.getChainIds();
+  await Promise.all(chainIds.map(chainId => registry.load(chainId)));
+
+  return searchLoadedTokens(registry, chainIds, parsed.query, { limit: Infinity })
+    .map(result => scoreCandidate(result, parsed.query))
+    .sort((a, b) => b.score - a.score);
+}
+
+/**
+ * Resolves free text to a token
+ * @param {TokenRegistry} registry The registry to resolve against
+ * @param {string} text Free text such as "USDC on avax"
+ * @param {Object} [options]
+ * @param {number} [options.chainId] Restrict to this chain, overriding any chain named in the text
+ * @param {number} [options.minConfidence=0.8] Below this confidence the match needs confirmation
+ * @param {number} [options.alternatives=5] Maximum number of alternative candidates
+ * @returns {Promise<Object>} The resolution result
+ */
+async function resolveToken(registry, text, options = {}) {
+  const {
+    minConfidence = DEFAULT_MIN_CONFIDENCE,
+    alternatives: maxAlternatives = DEFAULT_ALTERNATIVES
+  } = options;
+
+  const readings = [];
+  const parsed = parseText(text);
+
+  if (options.chainId !== undefined) {
+    // An explicit chain wins over anything named in the text
+    const chainId = Number(options.chainId);
+    readings.push({ query: parsed.query, chainId });
+    if (parsed.fallback) {
+      readings.push({ query: parsed.fallback.query, chainId });
+    }
+  } else {
+    readings.push(parsed);
+    if (parsed.fallback) {
+      readings.push(parsed.fallback);
+    }
+  }
+
+  let reading = readings[0];
+  let candidates = await rankCandidates(registry, reading);
+
+  for (const other of readings.slice(1)) {
+    const otherCandidates = await rankCandidates(registry, other);
+    if (otherCandidates.length > 0 && (candidates.length === 0 || otherCandidates[0].score > candidates[0].score)) {
+      reading = other;
+      candidates = otherCandidates;
+    }
+  }
+
+  const [best, second] = candidates;
+  const result = {
+    text,
+    query: reading.query,
+    chainHint: reading.chainId,
+    chainId: null,
+    address: null,
+    token: null,
+    confidence: 0,
+    bridged: false,
+    needsConfirmation: true,
+    reason: 'not-found',
+    alternatives: []
+  };
+
+  if (!best) {
+    return result;
+  }
+
+  const ratio = second ? second.score / best.score : 0;
+  const margin = ratio > AMBIGUITY_RATIO ? 1 - (ratio - AMBIGUITY_RATIO) / (1 - AMBIGUITY_RATIO) / 2 : 1;
+  const confidence = roundScore(best.score * margin);
+  const silentBridge = best.bridged && !best.explicit;
+
+  let reason = 'exact';
+  if (silentBridge) {
+    reason = 'bridged';
+  } else if (margin < 1) {
+    reason = 'ambiguous';
+  } else if (best.score < MATCH_SCORES['name:exact'] * NOT_POPULAR_FACTOR) {
+    reason = 'partial';
+  }
+
+  return {
+    ...result,
+    chainId: best.chainId,
+    address: best.address,
+    token: best.token,
+    confidence,
+    bridged: best.bridged,
+    needsConfirmation: silentBridge || confidence < minConfidence,
+    reason,
+    alternatives: candidates.slice(1, maxAlternatives + 1).map(candidate => ({
+      chainId: candidate.chainId,
+      address: candidate.address,
+      symbol: candidate.symbol,
+      name: candidate.name,
+      confidence: roundScore(candidate.score),
+      bridged: candidate.bridged
+    }))
+  };
+}
+
+module.exports = {
+  resolveToken,
+  parseText
+};
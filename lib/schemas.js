@@ -0,0 +1,133 @@
+/**
+ * JSON Schemas
+ *
+ * Compiles the schemas in `schemas/` once and reports violations with the
+ * JSON pointer of the offending value and, when the source positions are
+ * known, its line and column:
+ *   - token: a single token entry
+ *   - token-file: an assets/<chainId>/{common,popular}.json file
+ *   - tokenlist: a published list, vendored from the token list standard
+ */
+
+const Ajv = require('ajv');
+const { getPosition } = require('./json-source');
+const tokenSchema = require('../schemas/token.schema.json');
+const tokenFileSchema = require('../schemas/token-file.schema.json');
+const tokenListSchema = require('../schemas/tokenlist.schema.json');
+
+const ajv = new Ajv({ allErrors: true });
+
+// The schemas use the "uri" and "date-time" formats, which ajv leaves to
+// plugins; these checks are enough for the values we emit
+ajv.addFormat('uri', value => {
+  try {
+    return Boolean(new URL(value).protocol);
+  } catch (e) {
+    return false;
+  }
+});
+ajv.addFormat('date-time', value =>
+  /^\d{4}-\d{2}-\d{2}T\d{2}:\d{2}:\d{2}(\.\d+)?(Z|[+-]\d{2}:\d{2})$/i.test(value) && !isNaN(Date.parse(value))
+);
+
+ajv.addSchema(tokenSchema, 'token.schema.json');
+
+// Readable messages for the patterns of our own schemas
+const PATTERN_MESSAGES = {
+  '^0x[0-9a-fA-F]{40}$': 'must be a 0x-prefixed 20 byte hex address',
+  '^\\S(.*\\S)?$': 'must not start or end with whitespace',
+  '^\\S+$': 'must not contain whitespace',
+  '^(\\./logos/[^/]+|/assets/\\d+/logos/[^/]+|(https?|ipfs)://\\S+)$': 'must be a ./logos/ path or an absolute URL',
+  '^[a-z0-9-]+$': 'must be a lowercase source name',
+  '^\\d{4}-\\d{2}-\\d{2}$': 'must be a date as YYYY-MM-DD',
+  '^https?://\\S+$': 'must be an http(s) URL'
+};
+
+const validators = {
+  token: ajv.compile(tokenSchema),
+  'token-file': ajv.compile(tokenFileSchema),
+  tokenlist: ajv.compile(tokenListSchema)
+};
+
+/**
+ * Turns an ajv error into a violation pointing at the offending value
+ * @param {Object} error The ajv error
+ * @returns {Object} { pointer, keyword, message, atKey }
+ */
+function toViolation(error) {
+  const pointer = error.instancePath;
+
+  switch (error.keyword) {
+    case 'additionalProperties':
+      // Point at the unknown key itself, so a typo like "logoUri" is easy to spot
+      return {
+        pointer: `${pointer}/${error.params.additionalProperty.replace(/~/g, '~0').replace(/\//g, '~1')}`,
+        keyword: error.keyword,
+        message: `unknown property "${error.params.additionalProperty}"`,
+        atKey: true
+      };
+    case 'required':
+      return {
+        pointer,
+        keyword: error.keyword,
+        message: `missing required property "${error.params.missingProperty}"`,
+        atKey: false
+      };
+    case 'pattern':
+      return {
+        pointer,
+        keyword: error.keyword,
+        message: PATTERN_MESSAGES[error.params.pattern] || error.message,
+        atKey: false
+      };
+    default:
+      return { pointer, keyword: error.keyword, message: error.message, atKey: false };
+  }
+}
+
+/**
+ * Validates data against one of the schemas
+ * @param {string} schema 'token', 'token-file' or 'tokenlist'
+ * @param {*} data The parsed data
+ * @param {Map<string, Object>} [positions] Source positions from parseJSONWithPositions()
+ * @returns {Array<Object>} One { pointer, keyword, message, line, column } per violation, empty if the data is valid;
+ *   line and column are null without positions
+ */
+function validateSchema(schema, data, positions) {
+  const validate = validators[schema];
+  if (!validate) {
+    throw new Error(`Unknown schema "${schema}", expected one of: ${Object.keys(validators).join(', ')}`);
+  }
+
+  if (validate(data)) {
+    return [];
+  }
+
+  return validate.errors.map(error => {
+    const violation = toViolation(error);
+    const position = positions ? getPosition(positions, violation.pointer, violation.atKey) : null;
+
+    return {
+      pointer: violation.pointer,
+      keyword: violation.keyword,
+      message: violation.message,
+      line: position ? position.line : null,
+      column: position ? position.column : null
+    };
+  });
+}
+
+/**
+ * Formats a violation as "<pointer>: <message> (line <l>, column <c>)"
+ * @param {Object} violation A violation from validateSchema()
+ * @returns {string} The formatted violation
+ */
+function formatViolation(violation) {
+  const location = violation.line ? ` (line ${violation.line}, column ${violation.column})` : '';
+  return `${violation.pointer || '/'}: ${violation.message}${location}`;
+}
+
+module.exports = {
+  validateSchema,
+  formatViolation
+};
@@ -0,0 +1,153 @@
+/**
+ * Token Search
+ *
+ * Case-insensitive symbol and name search over the tokens held by a
+ * TokenRegistry. Results are ranked so that exact symbol hits come first,
+ * followed by popular tokens and then everything else, and each result
+ * reports whether other tokens on the same chain share its symbol.
+ */
+
+const DEFAULT_LIMIT = 20;
+
+// How well a field matched the query, lower sorts first
+const MATCH_RANKS = {
+  'symbol:exact': 0,
+  'symbol:prefix': 1,
+  'name:exact': 2,
+  'name:prefix': 3,
+  'symbol:substring': 4,
+  'name:substring': 5
+};
+
+/**
+ * Classifies how a text matches a query
+ * @param {string} text The text to check
+ * @param {string} query The lowercase query
+ * @returns {string|null} 'exact', 'prefix', 'substring' or null when it doesn't match
+ */
+function matchText(text, query) {
+  if (typeof text !== 'string') {
+    return null;
+  }
+
+  const lowerText = text.toLowerCase();
+  if (lowerText === query) {
+    return 'exact';
+  }
+  if (lowerText.startsWith(query)) {
+    return 'prefix';
+  }
+  if (lowerText.includes(query)) {
+    return 'substring';
+  }
+  return null;
+}
+
+/**
+ * Finds the best matching field of a token
+ * @param {Object} token The token to check
+ * @param {string} query The lowercase query
+ * @returns {Object|null} The matched field and match type, or null
+ */
+function matchToken(token, query) {
+  let best = null;
+
+  for (const field of ['symbol', 'name']) {
+    const match = matchText(token[field], query);
+    if (match && (!best || MATCH_RANKS[`${field}:${match}`] < MATCH_RANKS[`${best.field}:${best.match}`])) {
+      best = { field, match };
+    }
+  }
+
+  return best;
+}
+
+/**
+ * Searches the tokens of chains that are already loaded in the registry
+ * @param {TokenRegistry} registry The registry to search
+ * @param {Array<number>} chainIds The chains to search
+ * @param {string} query The search text
+ * @param {Object} [options]
+ * @param {number} [options.limit=20] Maximum number of results
+ * @param {boolean} [options.popularFirst=true] Rank popular tokens before the rest
+ * @returns {Array<Object>} The ranked search results
+ */
+function searchLoadedTokens(registry, chainIds, query, options = {}) {
+  const { limit = DEFAULT_LIMIT, popularFirst = true } = options;
+  const normalizedQuery = query.trim().toLowerCase();
+
+  if (!normalizedQuery) {
+    return [];
+  }
+
+  const results = [];
+
+  for (const chainId of chainIds) {
+    for (const token of registry.getTokensSync(chainId)) {
+      const matched = matchToken(token, normalizedQuery);
+      if (!matched) {
+        continue;
+      }
+
+      // Tokens without a symbol can still match by name
+      const symbol = String(token.symbol || '');
+      const popular = registry.isPopularSync(chainId, token.address);
+      const ambiguousWith = (symbol ? registry.getTokensByBaseSymbolSync(chainId, symbol) : [])
+        .filter(other => other !== token);
+
+      let tier = 2;
+      if (matched.field === 'symbol' && matched.match === 'exact') {
+        tier = 0;
+      } else if (popularFirst && popular) {
+        tier = 1;
+      }
+
+      results.push({
+        chainId,
+        token,
+        field: matched.field,
+        match: matched.match,
+        popular,
+        ambiguous: ambiguousWith.length > 0,
+        ambiguousWith,
+        rank: [tier, MATCH_RANKS[`${matched.field}:${matched.match}`], symbol.length]
+      });
+    }
+  }
+
+  results.sort((a, b) => {
+    for (let i = 0; i < a.rank.length; i++) {
+      if (a.rank[i] !== b.rank[i]) {
+        return a.rank[i] - b.rank[i];
+      }
+    }
+    return String(a.token.symbol || '').localeCompare(String(b.token.symbol || '')) || a.chainId - b.chainId;
+  });
+
+  return results.slice(0, limit).map(({ rank, ...result }) => result);
+}
+
+/**
+ * Searches tokens by symbol and name, loading the chains it needs
+ * @param {TokenRegistry} registry The registry to search
+ * @param {string} query The search text
+ * @param {Object} [options]
+ * @param {number} [options.chainId] Only search this chain; searches all chains when omitted
+ * @param {number} [options.limit=20] Maximum number of results
+ * @param {boolean} [options.popularFirst=true] Rank popular tokens before the rest
+ * @returns {Promise<Array<Object>>} The ranked search results
+ */
+async function searchTokens(registry, query, options = {}) {
+  const chainIds = options.chainId === undefined
+    ? await registry.getChainIds()
+    : [Number(options.chainId)];
+
+  await Promise.all(chainIds.map(chainId => registry.load(chainId)));
+
+  return searchLoadedTokens(registry, chainIds, query, options);
+}
+
+module.exports = {
+  searchTokens,
+  searchLoadedTokens
+};
@@ -0,0 +1,50 @@
+/**
+ * Token Symbol Helpers
+ *
+ * Bridged tokens reuse the symbol of the original asset with a suffix, e.g.
+ * `USDC.e` is USDC bridged to Avalanche. These helpers let callers group such
+ * variants with the token they were derived from.
+ */
+
+// Suffixes used by bridges on the supported chains
+const BRIDGED_SUFFIXES = ['.e', '.b'];
+
+/**
+ * Returns the bridge suffix of a symbol, if any
+ * @param {string} symbol The token symbol
+ * @returns {string|null} The lowercase suffix (e.g. '.e') or null
+ */
+function getBridgedSuffix(symbol) {
+  const lowerSymbol = symbol.toLowerCase();
+  return BRIDGED_SUFFIXES.find(suffix =>
+    lowerSymbol.length > suffix.length && lowerSymbol.endsWith(suffix)
+  ) || null;
+}
+
+/**
+ * Checks whether a symbol belongs to a bridged variant
+ * @param {string} symbol The token symbol
+ * @returns {boolean}
+ */
+function isBridgedSymbol(symbol) {
+  return getBridgedSuffix(symbol) !== null;
+}
+
+/**
+ * Returns the lowercase symbol without a bridge suffix, so `USDC.e` and
+ * `USDC` share the base symbol `usdc`
+ * @param {string} symbol The token symbol
+ * @returns {string} The base symbol
+ */
+function getBaseSymbol(symbol) {
+  const suffix = getBridgedSuffix(symbol);
+  const lowerSymbol = symbol.toLowerCase();
+  return suffix ? lowerSymbol.slice(0, -suffix.length) : lowerSymbol;
+}
+
+module.exports = {
+  BRIDGED_SUFFIXES,
+  getBridgedSuffix,
+  isBridgedSymbol,
+  getBaseSymbol
+};
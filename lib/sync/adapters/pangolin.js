@@ -0,0 +1,30 @@
+/**
+ * Pangolin Source
+ *
+ * Reads the token lists of a checkout of pangolindex/tokenlists. Their logos
+ * point into pangolindex/tokens, which is resolved against a checkout next
+ * to it when there is one.
+ */
+
+const { readTokenListSource } = require('../tokenlists');
+
+module.exports = {
+  name: 'pangolin',
+  title: 'Pangolin',
+  repositories: [
+    { url: 'https://github.com/pangolindex/tokenlists.git', dir: 'tokenlists' },
+    { url: 'https://github.com/pangolindex/tokens.git', dir: 'tokens' }
+  ],
+
+  /**
+   * Reads the tokens of the source
+   * @param {string} sourceDir The directory holding the checkouts
+   * @returns {Promise<Array<Object>>} The entries, see readTokenListSource()
+   */
+  read(sourceDir) {
+    return readTokenListSource(sourceDir, {
+      lists: ['tokenlists/**/*.tokenlist.json'],
+      checkouts: { tokenlists: 'tokenlists', tokens: 'tokens' }
+    });
+  }
+};
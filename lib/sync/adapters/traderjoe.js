@@ -0,0 +1,28 @@
+/**
+ * TraderJoe Source
+ *
+ * Reads the token lists of a checkout of traderjoe-xyz/joe-tokenlists. Their
+ * logos live in the same repository, under `logos/<address>/logo.png`.
+ */
+
+const { readTokenListSource } = require('../tokenlists');
+
+module.exports = {
+  name: 'traderjoe',
+  title: 'TraderJoe',
+  repositories: [
+    { url: 'https://github.com/traderjoe-xyz/joe-tokenlists.git', dir: 'joe-tokenlists' }
+  ],
+
+  /**
+   * Reads the tokens of the source
+   * @param {string} sourceDir The directory holding the checkout
+   * @returns {Promise<Array<Object>>} The entries, see readTokenListSource()
+   */
+  read(sourceDir) {
+    return readTokenListSource(sourceDir, {
+      lists: ['joe-tokenlists/**/*.tokenlist.json'],
+      checkouts: { 'joe-tokenlists': 'joe-tokenlists' }
+    });
+  }
+};
@@ -0,0 +1,126 @@
+/**
+ * TrustWallet Source
+ *
+ * Reads a checkout of trustwallet/assets, which keeps one directory per
+ * token: `blockchains/<chain>/assets/<ChecksumAddress>/` with the metadata in
+ * `info.json` and the logo in `logo.png`. Chains are named by TrustWallet's
+ * folder names, mapped to chain IDs by the `trustWalletFolder` of our chains.
+ *
+ * Tokens TrustWallet marks as abandoned or spam are rejected. The website,
+ * explorer and description of the others are carried over as extensions.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { CHAINS } = require('../../chains');
+
+// TrustWallet chain folders of the chains we host
+const CHAIN_FOLDERS = {};
+for (const [chainId, chain] of Object.entries(CHAINS)) {
+  if (chain.trustWalletFolder) {
+    CHAIN_FOLDERS[chain.trustWalletFolder] = parseInt(chainId, 10);
+  }
+}
+
+// Statuses of tokens TrustWallet warns its users about
+const REJECTED_STATUSES = ['abandoned', 'spam'];
+
+/**
+ * Picks the metadata of info.json we keep as extensions
+ * @param {Object} info The parsed info.json
+ * @returns {Object} { website, explorer, description }, leaving out missing or placeholder values
+ */
+function getInfoExtensions(info) {
+  const extensions = {};
+  for (const field of ['website', 'explorer']) {
+    if (typeof info[field] === 'string' && /^https?:\/\/\S+$/.test(info[field].trim())) {
+      extensions[field] = info[field].trim();
+    }
+  }
+  // TrustWallet writes "-" when a token has no description
+  if (typeof info.description === 'string' && !['', '-'].includes(info.description.trim())) {
+    extensions.description = info.description.trim();
+  }
+  return extensions;
+}
+
+/**
+ * Reads the tokens of one chain folder
+ * @param {string} checkoutDir The checkout of trustwallet/assets
+ * @param {string} folder The chain folder, e.g. "avalanchec"
+ * @returns {Promise<Array<Object>>} The entries, see read()
+ */
+async function readChainFolder(checkoutDir, folder) {
+  const assetsDir = path.join(checkoutDir, 'blockchains', folder, 'assets');
+  if (!await fs.pathExists(assetsDir)) {
+    return [];
+  }
+
+  const entries = [];
+  for (const dir of (await fs.readdir(assetsDir)).sort()) {
+    const infoPath = path.join(assetsDir, dir, 'info.json');
+    if (!await fs.pathExists(infoPath)) {
+      continue;
+    }
+
+    const origin = path.posix.join('assets/blockchains', folder, 'assets', dir, 'info.json');
+
+    // One broken file rejects its token, not the whole source
+    let info;
+    try {
+      info = await fs.readJson(infoPath);
+    } catch (error) {
+      info = null;
+    }
+    if (!info || typeof info !== 'object' || Array.isArray(info)) {
+      entries.push({ chainId: CHAIN_FOLDERS[folder], address: dir, origin, error: 'invalid info.json' });
+      continue;
+    }
+
+    const logoPath = path.join(assetsDir, dir, 'logo.png');
+    const status = typeof info.status === 'string' ? info.status.toLowerCase() : null;
+
+    entries.push({
+      chainId: CHAIN_FOLDERS[folder],
+      address: info.id || dir,
+      name: info.name,
+      symbol: info.symbol,
+      decimals: info.decimals,
+      logo: await fs.pathExists(logoPath) ? { file: logoPath } : null,
+      extensions: getInfoExtensions(info),
+      origin,
+      error: REJECTED_STATUSES.includes(status) ? `marked as ${status}` : undefined
+    });
+  }
+
+  return entries;
+}
+
+module.exports = {
+  name: 'trustwallet',
+  title: 'TrustWallet',
+  repositories: [
+    { url: 'https://github.com/trustwallet/assets.git', dir: 'assets' }
+  ],
+  CHAIN_FOLDERS,
+
+  /**
+   * Reads the tokens of the source
+   * @param {string} sourceDir The directory holding the checkout
+   * @returns {Promise<Array<Object>>} One { chainId, address, name, symbol, decimals, logo, extensions, origin, error }
+   *   entry per token, error being set for abandoned and spam tokens and for unreadable info.json files
+   * @throws {Error} If the checkout has no blockchains directory
+   */
+  async read(sourceDir) {
+    const checkoutDir = path.join(sourceDir, 'assets');
+    if (!await fs.pathExists(path.join(checkoutDir, 'blockchains'))) {
+      throw new Error(`No TrustWallet assets found in ${checkoutDir}`);
+    }
+
+    const entries = [];
+    for (const folder of Object.keys(CHAIN_FOLDERS)) {
+      entries.push(...await readChainFolder(checkoutDir, folder));
+    }
+    return entries;
+  }
+};
@@ -0,0 +1,30 @@
+/**
+ * Uniswap Source
+ *
+ * Reads the Uniswap default token list from a checkout of
+ * Uniswap/default-token-list: the built list if `npm run build` was run in
+ * the checkout, else the per-chain token files in `src/tokens/`. Its logos
+ * are URLs on other sites, so they are downloaded when applied.
+ */
+
+const { readTokenListSource } = require('../tokenlists');
+
+module.exports = {
+  name: 'uniswap',
+  title: 'Uniswap',
+  repositories: [
+    { url: 'https://github.com/Uniswap/default-token-list.git', dir: 'default-token-list' }
+  ],
+
+  /**
+   * Reads the tokens of the source
+   * @param {string} sourceDir The directory holding the checkout
+   * @returns {Promise<Array<Object>>} The entries, see readTokenListSource()
+   */
+  read(sourceDir) {
+    return readTokenListSource(sourceDir, {
+      lists: ['default-token-list/build/*.tokenlist.json', 'default-token-list/src/tokens/*.json'],
+      checkouts: { 'default-token-list': 'default-token-list' }
+    });
+  }
+};
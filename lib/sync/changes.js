@@ -0,0 +1,386 @@
+/**
+ * Sync Changes
+ *
+ * Compares merged source entries with `assets/<chainId>/common.json` and
+ * proposes changes: tokens to add, fields of existing tokens to update, and
+ * tokens to remove because every source that listed them dropped them. A
+ * proposal is plain data, so it can be printed, reviewed and applied later.
+ * Applying it writes the lists and copies or downloads the logos.
+ *
+ * Tokens record where they come from in their extensions:
+ * - sources: the sources that list the token, most trusted first
+ * - firstSeen, lastSeen: the dates (YYYY-MM-DD) a sync first and last saw it
+ * Tokens without sources were added by hand and are never removed by a sync.
+ */
+
+const crypto = require('crypto');
+const fs = require('fs-extra');
+const path = require('path');
+const axios = require('axios');
+const { getTokenKey } = require('../diff');
+const { inspectImage } = require('../images');
+const { decodeImage, encodePNG } = require('../logo-pipeline');
+const { resolveLogoPath } = require('../validation');
+const { getLocalLogoURI } = require('./normalize');
+
+// Fields a source may change on an existing token
+const SYNCED_FIELDS = ['name', 'symbol', 'decimals'];
+
+const DOWNLOAD_TIMEOUT_MS = 15000;
+
+/**
+ * Describes where a logo comes from
+ * @param {Object} logo { file } or { url }
+ * @returns {string} The file or URL
+ */
+function describeLogo(logo) {
+  return logo.file || logo.url;
+}
+
+/**
+ * Hashes a file
+ * @param {string} filePath The file
+ * @returns {Promise<string>} The hex SHA-256 of its content
+ */
+async function hashFile(filePath) {
+  return crypto.createHash('sha256').update(await fs.readFile(filePath)).digest('hex');
+}
+
+/**
+ * Get today's date as sync dates are recorded
+ * @returns {string} YYYY-MM-DD in UTC
+ */
+function getSyncDate() {
+  return new Date().toISOString().substring(0, 10);
+}
+
+/**
+ * Loads the lists of the hosted chains on demand
+ * @param {string} root Directory holding the `assets/` folder
+ * @returns {Function} (chainId) => Promise<Object|null> resolving to { list, byAddress, popularList, popular }:
+ *   the parsed common.json and popular.json, and their tokens by lowercase address; null if the chain isn't hosted
+ */
+function createListLoader(root) {
+  const lists = new Map();
+
+  return async chainId => {
+    if (!lists.has(chainId)) {
+      const chainDir = path.join(root, 'assets', String(chainId));
+      if (await fs.pathExists(path.join(chainDir, 'common.json'))) {
+        const list = await fs.readJson(path.join(chainDir, 'common.json'));
+        const popularPath = path.join(chainDir, 'popular.json');
+        const popularList = await fs.pathExists(popularPath) ? await fs.readJson(popularPath) : null;
+        lists.set(chainId, {
+          list,
+          byAddress: new Map(list.tokens.map(token => [String(token.address).toLowerCase(), token])),
+          popularList,
+          popular: new Map((popularList ? popularList.tokens : []).map(token => [String(token.address).toLowerCase(), token]))
+        });
+      } else {
+        lists.set(chainId, null);
+      }
+    }
+    return lists.get(chainId);
+  };
+}
+
+/**
+ * Works out whether the logo of an existing token has to change
+ * @param {Object} existing The token in common.json
+ * @param {Object} logo The logo the source has for it
+ * @param {string} root Directory holding the `assets/` folder
+ * @returns {Promise<string|null>} 'missing' if we have no logo file, 'different' if it differs from the source's
+ *   local file, else null
+ */
+async function getLogoChange(existing, logo, root) {
+  const logoPath = typeof existing.logoURI === 'string' ? resolveLogoPath(existing.logoURI, existing.chainId) : null;
+  if (!logoPath || !await fs.pathExists(path.join(root, logoPath))) {
+    return 'missing';
+  }
+
+  // Remote logos would have to be downloaded to compare them, so only missing ones are proposed
+  return logo.file && await hashFile(logo.file) !== await hashFile(path.join(root, logoPath)) ? 'different' : null;
+}
+
+/**
+ * Get the sources a token is listed by after a sync
+ * @param {Object} existing The token in common.json
+ * @param {Array<string>} synced The sources that were read
+ * @param {Array<string>} listing The synced sources that list the token
+ * @returns {Array<string>} The sources that didn't take part, followed by the ones that list it
+ */
+function getNextSources(existing, synced, listing) {
+  const previous = (existing.extensions && existing.extensions.sources) || [];
+  return [...previous.filter(source => !synced.includes(source)), ...listing];
+}
+
+/**
+ * Proposes the changes the sources bring to the hosted lists
+ * @param {Array<Object>} entries Merged { token, logo, origin, sources, conflicts } entries, see mergeSources()
+ * @param {Object} [options]
+ * @param {string} [options.root] Directory holding the `assets/` folder, defaults to the working directory
+ * @param {Array<number>} [options.chainIds] Only propose changes for these chains
+ * @param {Array<string>} [options.sources] The sources that were read in full; tokens all of them dropped are
+ *   proposed for removal, unless another source still lists them. Without it nothing is removed.
+ * @param {string} [options.date] The sync date, defaults to today
+ * @returns {Promise<Object>} { date, sources, added, updated, removed, conflicts, skipped, seen }:
+ *   - added: { chainId, token, logo, logoSource, sources, origin } per new token, the token carrying its
+ *     provenance
+ *   - updated: { chainId, address, token, logo, logoSource, logoChange, changes, sources, origin } per existing
+ *     token with changes, changes listing { field, before, after }; logo and logoSource are null unless the logo
+ *     changes, logoChange telling why: 'missing' or 'different'
+ *   - removed: { chainId, address, token, sources } per token no source lists anymore, sources being the ones
+ *     that did
+ *   - conflicts: { chainId, address, field, values, resolved } per field the sources disagree on, values being
+ *     { source, value } with the winning value first; when the policy leaves it to a person (resolved false) the
+ *     field is not changed and a new token is not added until then
+ *   - skipped: { chainId, address, origin, reason } per token that can't be synced, e.g. on a chain we don't host
+ *   - seen: { chainId, address, sources, extensions } per existing token the sources list, to update its
+ *     provenance and fill in the metadata extensions it lacks
+ */
+async function proposeChanges(entries, options = {}) {
+  const root = options.root || process.cwd();
+  const synced = options.sources || [];
+  const inScope = chainId => !options.chainIds || options.chainIds.map(Number).includes(chainId);
+  const loadList = createListLoader(root);
+  const date = options.date || getSyncDate();
+  const proposal = { date, sources: synced, added: [], updated: [], removed: [], conflicts: [], skipped: [], seen: [] };
+  const seenKeys = new Set();
+
+  for (const { token, logo, logoSource = null, origin, sources = [], conflicts = [] } of entries) {
+    const key = getTokenKey(token);
+    if (seenKeys.has(key) || !inScope(token.chainId)) {
+      continue;
+    }
+    seenKeys.add(key);
+
+    const hosted = await loadList(token.chainId);
+    if (!hosted) {
+      proposal.skipped.push({ chainId: token.chainId, address: token.address, origin, reason: `chain ${token.chainId} is not hosted` });
+      continue;
+    }
+
+    for (const { field, values, resolved } of conflicts) {
+      proposal.conflicts.push({ chainId: token.chainId, address: token.address, field, values, resolved });
+    }
+    const unresolved = conflicts.filter(conflict => !conflict.resolved);
+
+    const existing = hosted.byAddress.get(token.address.toLowerCase());
+    if (!existing) {
+      if (unresolved.length === 0) {
+        const extensions = { ...token.extensions, sources, firstSeen: date, lastSeen: date };
+        proposal.added.push({ chainId: token.chainId, token: { ...token, extensions }, logo, logoSource, sources, origin });
+      }
+      continue;
+    }
+
+    proposal.seen.push({
+      chainId: token.chainId,
+      address: existing.address,
+      sources: getNextSources(existing, synced, sources),
+      extensions: token.extensions || {}
+    });
+
+    const changes = SYNCED_FIELDS
+      .filter(field => existing[field] !== token[field] && !unresolved.some(conflict => conflict.field === field))
+      .map(field => ({ field, before: existing[field], after: token[field] }));
+
+    const logoChange = await getLogoChange(existing, logo, root);
+    if (logoChange) {
+      changes.push({ field: 'logo', before: existing.logoURI, after: describeLogo(logo) });
+      const logoURI = getLocalLogoURI(existing.address);
+      if (existing.logoURI !== logoURI) {
+        changes.push({ field: 'logoURI', before: existing.logoURI, after: logoURI });
+      }
+    }
+
+    if (changes.length > 0) {
+      const updated = { ...existing };
+      for (const change of changes.filter(change => change.field !== 'logo')) {
+        updated[change.field] = change.after;
+      }
+      proposal.updated.push({
+        chainId: token.chainId,
+        address: existing.address,
+        token: updated,
+        logo: logoChange ? logo : null,
+        logoSource: logoChange ? logoSource : null,
+        logoChange,
+        changes,
+        sources,
+        origin
+      });
+    }
+  }
+
+  // Tokens only the synced sources listed, and none of them anymore
+  if (synced.length > 0) {
+    const chainIds = (await fs.readdir(path.join(root, 'assets'))).filter(name => /^\d+$/.test(name)).map(Number);
+    for (const chainId of chainIds.filter(inScope)) {
+      const hosted = await loadList(chainId);
+      for (const existing of hosted ? hosted.list.tokens : []) {
+        const previous = (existing.extensions && existing.extensions.sources) || [];
+        if (previous.length === 0 || seenKeys.has(getTokenKey(existing)) || getNextSources(existing, synced, []).length > 0) {
+          continue;
+        }
+
+        if (hosted.popular.has(existing.address.toLowerCase())) {
+          proposal.skipped.push({
+            chainId,
+            address: existing.address,
+            origin: null,
+            reason: `no longer listed by ${previous.join(', ')}, but in popular.json`
+          });
+        } else {
+          proposal.removed.push({ chainId, address: existing.address, token: existing, sources: previous });
+        }
+      }
+    }
+  }
+
+  return proposal;
+}
+
+/**
+ * Reads a logo from a local file or downloads it
+ * @param {Object} logo { file } or { url }
+ * @returns {Promise<Buffer>} The image as a PNG, JPEGs being re-encoded as logos are saved as .png
+ * @throws {Error} If it can't be read or is not a sound PNG or JPEG
+ */
+async function fetchLogo(logo) {
+  let buffer;
+  if (logo.file) {
+    buffer = await fs.readFile(logo.file);
+  } else if (/^https?:\/\//.test(logo.url)) {
+    const response = await axios.get(logo.url, { responseType: 'arraybuffer', timeout: DOWNLOAD_TIMEOUT_MS });
+    buffer = Buffer.from(response.data);
+  } else {
+    throw new Error(`cannot download ${logo.url}`);
+  }
+
+  const { format, errors } = inspectImage(buffer);
+  if (errors.length > 0) {
+    throw new Error(`logo ${describeLogo(logo)}: ${errors[0]}`);
+  }
+  return format === 'png' ? buffer : encodePNG(decodeImage(buffer));
+}
+
+/**
+ * Applies a proposal: adds, updates and removes the tokens in common.json,
+ * writes their logos and records which sources list them. Updates and
+ * provenance of popular tokens are written to popular.json too, so both
+ * lists keep the same entry.
+ * @param {Object} proposal The result of proposeChanges(), possibly with items removed
+ * @param {Object} [options]
+ * @param {string} [options.root] Directory holding the `assets/` folder, defaults to the working directory
+ * @param {Function} [options.fetchLogo] (logo) => Promise<Buffer>, defaults to copying or downloading it
+ * @returns {Promise<Object>} { added, updated, removed, errors }: the tokens added, updated and removed, and
+ *   { chainId, address, error } per token whose logo couldn't be fetched; those are not added, and keep their
+ *   old logo when updated. The logo files of removed tokens are left for `npm run clean-logos -- --prune`.
+ */
+async function applyChanges(proposal, options = {}) {
+  const root = options.root || process.cwd();
+  const getLogo = options.fetchLogo || fetchLogo;
+  const date = proposal.date || getSyncDate();
+  const loadList = createListLoader(root);
+  const result = { added: [], updated: [], removed: [], errors: [] };
+  const changedChains = new Set();
+  const changedPopular = new Set();
+
+  const writeLogo = async (chainId, address, logo) => {
+    try {
+      const buffer = await getLogo(logo);
+      await fs.outputFile(path.join(root, 'assets', String(chainId), 'logos', `${address}.png`), buffer);
+      return true;
+    } catch (error) {
+      result.errors.push({ chainId, address, error: error.message });
+      return false;
+    }
+  };
+
+  for (const item of proposal.added) {
+    const hosted = await loadList(item.chainId);
+    if (!hosted || hosted.byAddress.has(item.token.address.toLowerCase())) {
+      continue;
+    }
+    if (await writeLogo(item.chainId, item.token.address, item.logo)) {
+      hosted.list.tokens.push(item.token);
+      hosted.byAddress.set(item.token.address.toLowerCase(), item.token);
+      changedChains.add(item.chainId);
+      result.added.push(item.token);
+    }
+  }
+
+  for (const item of proposal.updated) {
+    const hosted = await loadList(item.chainId);
+    const token = hosted && hosted.byAddress.get(item.address.toLowerCase());
+    if (!token) {
+      continue;
+    }
+
+    const logoWritten = item.logo ? await writeLogo(item.chainId, token.address, item.logo) : false;
+    const changes = item.changes.filter(change => change.field !== 'logo' && (change.field !== 'logoURI' || logoWritten));
+    const popularToken = hosted.popular.get(item.address.toLowerCase());
+    for (const change of changes) {
+      token[change.field] = change.after;
+      if (popularToken) {
+        popularToken[change.field] = change.after;
+      }
+    }
+
+    if (changes.length > 0 && popularToken) {
+      changedPopular.add(item.chainId);
+    }
+    if (changes.length > 0 || logoWritten) {
+      changedChains.add(item.chainId);
+      result.updated.push(token);
+    }
+  }
+
+  for (const item of proposal.seen || []) {
+    const hosted = await loadList(item.chainId);
+    const token = hosted && hosted.byAddress.get(item.address.toLowerCase());
+    if (token) {
+      const extensions = { ...item.extensions, ...token.extensions };
+      token.extensions = { ...extensions, sources: item.sources, firstSeen: extensions.firstSeen || date, lastSeen: date };
+      changedChains.add(item.chainId);
+
+      const popularToken = hosted.popular.get(item.address.toLowerCase());
+      if (popularToken) {
+        popularToken.extensions = token.extensions;
+        changedPopular.add(item.chainId);
+      }
+    }
+  }
+
+  for (const item of proposal.removed || []) {
+    const hosted = await loadList(item.chainId);
+    const token = hosted && hosted.byAddress.get(item.address.toLowerCase());
+    if (token) {
+      hosted.list.tokens.splice(hosted.list.tokens.indexOf(token), 1);
+      hosted.byAddress.delete(item.address.toLowerCase());
+      changedChains.add(item.chainId);
+      result.removed.push(token);
+    }
+  }
+
+  for (const chainId of changedChains) {
+    const { list } = await loadList(chainId);
+    await fs.writeFile(path.join(root, 'assets', String(chainId), 'common.json'), JSON.stringify(list, null, 2) + '\n');
+  }
+  for (const chainId of changedPopular) {
+    const { popularList } = await loadList(chainId);
+    await fs.writeFile(path.join(root, 'assets', String(chainId), 'popular.json'), JSON.stringify(popularList, null, 2) + '\n');
+  }
+
+  return result;
+}
+
+module.exports = {
+  SYNCED_FIELDS,
+  hashFile,
+  getSyncDate,
+  proposeChanges,
+  fetchLogo,
+  applyChanges
+};
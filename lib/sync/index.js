@@ -0,0 +1,108 @@
+/**
+ * Token Sync
+ *
+ * Keeps `assets/` in step with the upstream sources named in the README.
+ * Each source has an adapter in `adapters/` that reads a local checkout of
+ * its repositories into plain entries; the entries are normalized into our
+ * token format (normalize.js), merged into one entry per token by a
+ * source-priority policy (merge.js) and compared with the hosted lists to
+ * propose changes (changes.js), which can be reviewed item by item before
+ * they are applied (review.js). Adapters never touch the network or
+ * `assets/`, so they can be tested against fixture checkouts.
+ *
+ * An adapter is an object with:
+ * - name: the source name used on the command line, e.g. "traderjoe"
+ * - title: the name shown to people
+ * - repositories: { url, dir } per git repository the source reads, checked out into its source directory
+ * - read(sourceDir): resolves to { chainId, address, name, symbol, decimals, logo, origin } entries, optionally
+ *   with the token's extensions and an error if the source warns against it
+ */
+
+const path = require('path');
+const { normalizeSourceToken } = require('./normalize');
+const { DEFAULT_MERGE_POLICY, loadMergePolicy, mergeSources } = require('./merge');
+const { proposeChanges, fetchLogo, applyChanges } = require('./changes');
+const { loadRejections, createSyncPlan, loadReviewRules, applyReviewRules, applySyncPlan } = require('./review');
+
+// Where the checkouts live, one directory per source
+const DEFAULT_SYNC_DIR = 'token-sync';
+
+// Where a sync leaves its plan for review, and where rejected items are remembered
+const DEFAULT_PLAN_FILE = path.join(DEFAULT_SYNC_DIR, 'sync-plan.json');
+const DEFAULT_REJECTIONS_FILE = 'sync-rejections.json';
+
+const ADAPTERS = [
+  require('./adapters/uniswap'),
+  require('./adapters/traderjoe'),
+  require('./adapters/pangolin'),
+  require('./adapters/trustwallet')
+];
+
+/**
+ * Get the names of all sources
+ * @returns {Array<string>} The source names, in sync order
+ */
+function getSourceNames() {
+  return ADAPTERS.map(adapter => adapter.name);
+}
+
+/**
+ * Get the adapter of a source
+ * @param {string} name The source name
+ * @returns {Object} The adapter
+ * @throws {Error} If there is no such source
+ */
+function getAdapter(name) {
+  const adapter = ADAPTERS.find(candidate => candidate.name === name);
+  if (!adapter) {
+    throw new Error(`Unknown source "${name}", expected one of: ${getSourceNames().join(', ')}`);
+  }
+  return adapter;
+}
+
+/**
+ * Reads and normalizes the tokens of a source
+ * @param {string} name The source name
+ * @param {Object} [options]
+ * @param {string} [options.sourceDir] The directory holding the source's checkouts, defaults to <syncDir>/<name>
+ * @param {string} [options.syncDir] The directory holding every source's checkouts, defaults to token-sync
+ * @param {string} [options.policy] The address policy
+ * @returns {Promise<Object>} { entries, rejected }: the normalized { token, logo, origin } entries, and
+ *   { address, origin, reason } per upstream entry that can't be used
+ */
+async function readSource(name, options = {}) {
+  const adapter = getAdapter(name);
+  const sourceDir = path.resolve(options.sourceDir || path.join(options.syncDir || DEFAULT_SYNC_DIR, name));
+  const result = { entries: [], rejected: [] };
+
+  for (const entry of await adapter.read(sourceDir)) {
+    const normalized = normalizeSourceToken(entry, { policy: options.policy });
+    if (normalized.error) {
+      result.rejected.push({ address: entry.address, origin: normalized.origin, reason: normalized.error });
+    } else {
+      result.entries.push(normalized);
+    }
+  }
+
+  return result;
+}
+
+module.exports = {
+  DEFAULT_SYNC_DIR,
+  DEFAULT_PLAN_FILE,
+  DEFAULT_REJECTIONS_FILE,
+  getSourceNames,
+  getAdapter,
+  readSource,
+  DEFAULT_MERGE_POLICY,
+  loadMergePolicy,
+  mergeSources,
+  proposeChanges,
+  fetchLogo,
+  applyChanges,
+  loadRejections,
+  createSyncPlan,
+  loadReviewRules,
+  applyReviewRules,
+  applySyncPlan
+};
@@ -0,0 +1,142 @@
+/**
+ * Source Merging
+ *
+ * The sources often list the same token with a different name, symbol or
+ * logo. Merging combines the normalized entries of every source into one
+ * entry per token, deciding each field by a source-priority policy:
+ *
+ * - priority: the sources from most to least trusted
+ * - fields: a priority per field overriding it, e.g. { "logo": ["trustwallet", ...] }
+ * - conflicts: per field, "resolve" to take the value of the most trusted
+ *   source, or "report" to leave the field alone until a person decides
+ *
+ * The policy is read from sync-policy.json; sources it doesn't name come
+ * last. Logos are always resolved by priority: files and URLs can't be
+ * compared without fetching them, so they never count as a conflict. Token
+ * extensions are combined, the most trusted source winning per key.
+ */
+
+const fs = require('fs-extra');
+const { getTokenKey } = require('../diff');
+
+// Fields the sources can disagree on
+const MERGED_FIELDS = ['name', 'symbol', 'decimals'];
+
+const DEFAULT_MERGE_POLICY = {
+  priority: ['trustwallet', 'traderjoe', 'pangolin', 'uniswap'],
+  fields: {},
+  // A wrong decimals value misstates every balance, so it is never picked automatically
+  conflicts: { decimals: 'report' }
+};
+
+/**
+ * Reads a merge policy, filling in the defaults
+ * @param {string} filePath Path to the policy file
+ * @returns {Promise<Object>} The policy; the default one if the file doesn't exist
+ * @throws {Error} If the file names an unknown conflict mode
+ */
+async function loadMergePolicy(filePath) {
+  const policy = await fs.pathExists(filePath) ? await fs.readJson(filePath) : {};
+  const merged = {
+    priority: policy.priority || DEFAULT_MERGE_POLICY.priority,
+    fields: { ...DEFAULT_MERGE_POLICY.fields, ...policy.fields },
+    conflicts: { ...DEFAULT_MERGE_POLICY.conflicts, ...policy.conflicts }
+  };
+
+  for (const [field, mode] of Object.entries(merged.conflicts)) {
+    if (!['resolve', 'report'].includes(mode)) {
+      throw new Error(`Unknown conflict mode "${mode}" for ${field}, expected "resolve" or "report"`);
+    }
+  }
+
+  return merged;
+}
+
+/**
+ * Orders source names by the priority of a field, unknown sources last in their given order
+ * @param {Array<string>} names The source names
+ * @param {Object} policy The merge policy
+ * @param {string} field The field
+ * @returns {Array<string>} The names, most trusted first
+ */
+function sortByPriority(names, policy, field) {
+  const priority = (policy.fields && policy.fields[field]) || policy.priority || [];
+  const rank = name => priority.includes(name) ? priority.indexOf(name) : priority.length;
+  return [...names].sort((a, b) => rank(a) - rank(b));
+}
+
+/**
+ * Merges the entries of several sources into one entry per token
+ * @param {Array<Object>} sources { name, entries } per source, entries being normalized { token, logo, origin }
+ * @param {Object} [policy] The merge policy, defaults to DEFAULT_MERGE_POLICY
+ * @returns {Array<Object>} One { token, logo, logoSource, origin, sources, conflicts } entry per token, in the
+ *   order the tokens first appear: logoSource names the source the logo is from; sources lists the sources that
+ *   have the token, most trusted first; conflicts holds
+ *   { field, values, resolved } per field the sources disagree on, values being { source, value } per distinct
+ *   value, and resolved whether the policy picked one. Unresolved fields carry the most trusted value.
+ */
+function mergeSources(sources, policy = DEFAULT_MERGE_POLICY) {
+  const byKey = new Map();
+
+  for (const { name, entries } of sources) {
+    for (const entry of entries) {
+      const key = getTokenKey(entry.token);
+      if (!byKey.has(key)) {
+        byKey.set(key, new Map());
+      }
+      // A source listing a token twice keeps its first entry
+      if (!byKey.get(key).has(name)) {
+        byKey.get(key).set(name, entry);
+      }
+    }
+  }
+
+  return Array.from(byKey.values()).map(bySource => {
+    const names = sortByPriority(Array.from(bySource.keys()), policy, null);
+    const token = { ...bySource.get(names[0]).token };
+    const conflicts = [];
+
+    for (const field of MERGED_FIELDS) {
+      const ordered = sortByPriority(names, policy, field);
+      token[field] = bySource.get(ordered[0]).token[field];
+
+      const values = [];
+      for (const name of ordered) {
+        const value = bySource.get(name).token[field];
+        if (!values.some(existing => existing.value === value)) {
+          values.push({ source: name, value });
+        }
+      }
+      if (values.length > 1) {
+        conflicts.push({ field, values, resolved: (policy.conflicts || {})[field] !== 'report' });
+      }
+    }
+
+    // Metadata such as a website only one source has is taken from whichever has it
+    const extensions = {};
+    for (const name of [...names].reverse()) {
+      Object.assign(extensions, bySource.get(name).token.extensions);
+    }
+    if (Object.keys(extensions).length > 0) {
+      token.extensions = extensions;
+    }
+
+    const logoSource = sortByPriority(names, policy, 'logo')[0];
+    return {
+      token,
+      logo: bySource.get(logoSource).logo,
+      logoSource,
+      origin: bySource.get(names[0]).origin,
+      sources: names,
+      conflicts
+    };
+  });
+}
+
+module.exports = {
+  MERGED_FIELDS,
+  DEFAULT_MERGE_POLICY,
+  loadMergePolicy,
+  sortByPriority,
+  mergeSources
+};
@@ -0,0 +1,80 @@
+/**
+ * Source Token Normalization
+ *
+ * Every sync adapter reads its upstream format into plain entries, which are
+ * normalized here into the format of `assets/<chainId>/common.json`: the
+ * address in the casing of the address policy, trimmed name and symbol, and
+ * a logoURI pointing at the chain's logos directory. Where the logo comes
+ * from (a file in a local checkout or a URL) is kept beside the token, so it
+ * can be copied in when the change is applied.
+ */
+
+const { formatAddress, getAddressErrors } = require('../addresses');
+const { validateSchema } = require('../schemas');
+
+/**
+ * Get the local logoURI of a token
+ * @param {string} address The token address, as stored
+ * @returns {string} "./logos/<address>.png"
+ */
+function getLocalLogoURI(address) {
+  return `./logos/${address}.png`;
+}
+
+/**
+ * Normalizes one upstream entry
+ * @param {Object} entry The entry an adapter read
+ * @param {number|string} entry.chainId The chain ID
+ * @param {string} entry.address The token address, in any casing
+ * @param {string} entry.name The token name
+ * @param {string} entry.symbol The token symbol
+ * @param {number|string} entry.decimals The token decimals
+ * @param {Object|null} [entry.logo] { file } or { url } of the logo
+ * @param {Object} [entry.extensions] Metadata the source has for the token, e.g. { website }
+ * @param {string} [entry.origin] Where the entry was read from, e.g. the file in the checkout
+ * @param {string} [entry.error] Why the source itself warns against the token, e.g. "marked as spam"
+ * @param {Object} [options]
+ * @param {string} [options.policy] The address policy, defaults to ADDRESS_POLICY
+ * @returns {Object} { token, logo, origin } when the entry is usable, else { error, origin }
+ */
+function normalizeSourceToken(entry, options = {}) {
+  const origin = entry.origin || null;
+
+  if (entry.error) {
+    return { error: entry.error, origin };
+  }
+
+  // Upstream casing doesn't matter, but a broken checksum hints at a mistyped address
+  const addressErrors = getAddressErrors(entry.address).filter(error => error.rule !== 'address.case');
+  if (addressErrors.length > 0) {
+    return { error: addressErrors[0].message, origin };
+  }
+  if (!entry.logo) {
+    return { error: 'no logo', origin };
+  }
+
+  const address = formatAddress(entry.address, options.policy);
+  const token = {
+    chainId: Number(entry.chainId),
+    address,
+    name: typeof entry.name === 'string' ? entry.name.trim() : entry.name,
+    symbol: typeof entry.symbol === 'string' ? entry.symbol.trim() : entry.symbol,
+    decimals: Number(entry.decimals),
+    logoURI: getLocalLogoURI(address)
+  };
+  if (entry.extensions && Object.keys(entry.extensions).length > 0) {
+    token.extensions = entry.extensions;
+  }
+
+  const violations = validateSchema('token', token);
+  if (violations.length > 0) {
+    return { error: violations.map(violation => violation.message).join(', '), origin };
+  }
+
+  return { token, logo: entry.logo, origin };
+}
+
+module.exports = {
+  getLocalLogoURI,
+  normalizeSourceToken
+};
@@ -0,0 +1,357 @@
+/**
+ * Sync Review
+ *
+ * A full sync can propose hundreds of edits, so instead of applying a
+ * proposal at once it can be turned into a plan: one item per token to add,
+ * per field to update and per token to remove, each with the sources behind
+ * it and the reason it is proposed. Items are accepted or rejected one by one,
+ * by a person or by rules such as:
+ *
+ *   { "rules": [
+ *     { "action": "update", "field": "symbol", "popular": true, "decision": "reject" },
+ *     { "action": "update", "field": "logo", "decision": "accept" }
+ *   ] }
+ *
+ * A rule matches items by action ("add", "update" or "remove"), field,
+ * chainId, popular and source (one of the item's sources); the first rule
+ * that matches decides. Only accepted items are applied. Rejected items are
+ * recorded in sync-rejections.json and left out of later plans; a rejected
+ * update comes back only once the sources propose another value.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { applyChanges, hashFile } = require('./changes');
+
+const ACTIONS = ['add', 'update', 'remove'];
+const DECISIONS = ['accept', 'reject'];
+const RULE_KEYS = ['action', 'field', 'chainId', 'popular', 'source', 'decision'];
+
+/**
+ * Get the key an item is remembered by when it is rejected
+ * @param {Object} item The plan item, with action, chainId, address, field and after
+ * @param {string} [fingerprint] What the item proposes, defaults to its after value; logos use their content hash
+ * @returns {string} e.g. "update:43114:0xabc...:symbol:\"USDC\""
+ */
+function getItemKey(item, fingerprint) {
+  const value = fingerprint !== undefined ? fingerprint : JSON.stringify(item.after === undefined ? null : item.after);
+  return [item.action, item.chainId, item.address.toLowerCase(), item.field || '', value].join(':');
+}
+
+/**
+ * Reads the rejected items
+ * @param {string} filePath The rejections file
+ * @returns {Promise<Array<Object>>} { key, action, chainId, address, symbol, field, after, date } per rejected
+ *   item, none if the file doesn't exist
+ */
+async function loadRejections(filePath) {
+  return await fs.pathExists(filePath) ? (await fs.readJson(filePath)).rejected || [] : [];
+}
+
+/**
+ * Records rejected items, keeping the ones recorded before
+ * @param {string} filePath The rejections file
+ * @param {Array<Object>} items The rejected plan items
+ * @param {string} date The date they were rejected
+ */
+async function saveRejections(filePath, items, date) {
+  const rejected = await loadRejections(filePath);
+  const keys = new Set(rejected.map(item => item.key));
+
+  for (const item of items.filter(candidate => !keys.has(candidate.key))) {
+    const { key, action, chainId, address, symbol, field = null, after = null } = item;
+    rejected.push({ key, action, chainId, address, symbol, field, after, date });
+    keys.add(key);
+  }
+
+  await fs.outputFile(filePath, JSON.stringify({ rejected }, null, 2) + '\n');
+}
+
+/**
+ * Loads the popular addresses of the chains in a proposal
+ * @param {string} root Directory holding the `assets/` folder
+ * @param {Array<number>} chainIds The chain IDs
+ * @returns {Promise<Set<string>>} "<chainId>:<lowercase address>" per popular token
+ */
+async function loadPopularKeys(root, chainIds) {
+  const keys = new Set();
+  for (const chainId of new Set(chainIds)) {
+    const popularPath = path.join(root, 'assets', String(chainId), 'popular.json');
+    if (await fs.pathExists(popularPath)) {
+      for (const token of (await fs.readJson(popularPath)).tokens) {
+        keys.add(`${chainId}:${String(token.address).toLowerCase()}`);
+      }
+    }
+  }
+  return keys;
+}
+
+/**
+ * Explains a field value, naming the sources that disagree
+ * @param {Object} conflict The resolved conflict of the field, if any
+ * @param {Array<string>} sources The sources of the token
+ * @param {*} value The value taken
+ * @returns {string} e.g. 'traderjoe has "USD Coin", uniswap has "USDC"'
+ */
+function describeValue(conflict, sources, value) {
+  if (!conflict) {
+    return `${sources.join(', ')} ${sources.length > 1 ? 'have' : 'has'} ${JSON.stringify(value)}`;
+  }
+  return conflict.values.map(({ source, value: other }) => `${source} has ${JSON.stringify(other)}`).join(', ') +
+    `, ${conflict.values[0].source} is trusted most`;
+}
+
+/**
+ * Turns a proposal into a plan of items to review
+ * @param {Object} proposal The result of proposeChanges()
+ * @param {Object} [options]
+ * @param {string} [options.root] Directory holding the `assets/` folder, defaults to the working directory
+ * @param {Array<Object>} [options.rejections] The items rejected before, see loadRejections(); they are left out
+ * @returns {Promise<Object>} { date, sources, items, conflicts, seen }: items holds { key, action, chainId,
+ *   address, symbol, sources, popular, reason, decision } per change, with token and logo for "add", field,
+ *   before, after and, for logos, logo and logoURI for "update"; decision is null until reviewed. conflicts
+ *   holds the conflicts left for a person, seen the provenance applied with the first accepted change to a token.
+ */
+async function createSyncPlan(proposal, options = {}) {
+  const root = options.root || process.cwd();
+  const rejectedKeys = new Set((options.rejections || []).map(item => item.key));
+  const chainIds = [...proposal.added, ...proposal.updated, ...proposal.removed].map(item => item.chainId);
+  const popularKeys = await loadPopularKeys(root, chainIds);
+  const isPopular = (chainId, address) => popularKeys.has(`${chainId}:${address.toLowerCase()}`);
+  const findConflict = (chainId, address, field) => proposal.conflicts.find(conflict =>
+    conflict.resolved && conflict.chainId === chainId && conflict.address.toLowerCase() === address.toLowerCase() && conflict.field === field);
+  const items = [];
+
+  const push = async (item, fingerprint) => {
+    const key = getItemKey(item, fingerprint);
+    if (!rejectedKeys.has(key)) {
+      items.push({ key, ...item, decision: null });
+    }
+  };
+
+  for (const { chainId, token, logo, logoSource, sources, origin } of proposal.added) {
+    const resolved = proposal.conflicts.filter(conflict =>
+      conflict.resolved && conflict.chainId === chainId && conflict.address === token.address);
+    const reasons = [`new token listed by ${sources.join(', ')}`];
+    for (const conflict of resolved) {
+      reasons.push(`${conflict.field}: ${describeValue(conflict, sources, token[conflict.field])}`);
+    }
+    if (logoSource) {
+      reasons.push(`logo from ${logoSource}`);
+    }
+
+    await push({
+      action: 'add',
+      chainId,
+      address: token.address,
+      symbol: token.symbol,
+      sources,
+      popular: false,
+      reason: reasons.join('; '),
+      origin,
+      token,
+      logo
+    });
+  }
+
+  for (const item of proposal.updated) {
+    const { chainId, address, token, sources, origin } = item;
+    const symbolChange = item.changes.find(change => change.field === 'symbol');
+    const symbol = symbolChange ? symbolChange.before : token.symbol;
+    const common = { action: 'update', chainId, address, symbol, sources, popular: isPopular(chainId, address), origin };
+
+    for (const change of item.changes.filter(candidate => !['logo', 'logoURI'].includes(candidate.field))) {
+      await push({
+        ...common,
+        field: change.field,
+        before: change.before,
+        after: change.after,
+        reason: describeValue(findConflict(chainId, address, change.field), sources, change.after)
+      });
+    }
+
+    const logoChange = item.changes.find(change => change.field === 'logo');
+    if (logoChange) {
+      const logoURIChange = item.changes.find(change => change.field === 'logoURI');
+      const source = item.logoSource || 'the source';
+      const reason = item.logoChange === 'missing' ? `our logo file is missing, ${source} has one` : `our logo differs from ${source}'s`;
+      // A logo file is known by its content, as the checkout path stays the same when it changes
+      const fingerprint = item.logo.file ? await hashFile(item.logo.file) : item.logo.url;
+      await push({
+        ...common,
+        field: 'logo',
+        before: logoChange.before,
+        after: logoChange.after,
+        reason,
+        logo: item.logo,
+        logoURI: logoURIChange ? { before: logoURIChange.before, after: logoURIChange.after } : null
+      }, fingerprint);
+    }
+  }
+
+  for (const { chainId, address, token, sources } of proposal.removed) {
+    await push({
+      action: 'remove',
+      chainId,
+      address,
+      symbol: token.symbol,
+      sources,
+      popular: false,
+      reason: `no longer listed by ${sources.join(', ')}`
+    });
+  }
+
+  return {
+    date: proposal.date,
+    sources: proposal.sources,
+    items,
+    conflicts: proposal.conflicts.filter(conflict => !conflict.resolved),
+    seen: proposal.seen
+  };
+}
+
+/**
+ * Reads review rules
+ * @param {string} filePath The rules file, { rules: [...] }
+ * @returns {Promise<Array<Object>>} The rules
+ * @throws {Error} If a rule has an unknown key, action or decision
+ */
+async function loadReviewRules(filePath) {
+  const { rules } = await fs.readJson(filePath);
+  if (!Array.isArray(rules)) {
+    throw new Error(`${filePath} has no "rules" array`);
+  }
+
+  rules.forEach((rule, index) => {
+    const unknown = Object.keys(rule).filter(key => !RULE_KEYS.includes(key));
+    if (unknown.length > 0) {
+      throw new Error(`Rule ${index + 1} in ${filePath} has unknown keys: ${unknown.join(', ')}`);
+    }
+    if (!DECISIONS.includes(rule.decision)) {
+      throw new Error(`Rule ${index + 1} in ${filePath} needs a decision of "accept" or "reject"`);
+    }
+    if (rule.action !== undefined && !ACTIONS.includes(rule.action)) {
+      throw new Error(`Rule ${index + 1} in ${filePath} has an unknown action "${rule.action}"`);
+    }
+  });
+
+  return rules;
+}
+
+/**
+ * Tells whether a rule matches a plan item
+ * @param {Object} rule The rule
+ * @param {Object} item The plan item
+ * @returns {boolean} Whether every criterion of the rule holds
+ */
+function matchesRule(rule, item) {
+  return ['action', 'field', 'popular'].every(key => rule[key] === undefined || rule[key] === item[key]) &&
+    (rule.chainId === undefined || Number(rule.chainId) === item.chainId) &&
+    (rule.source === undefined || item.sources.includes(rule.source));
+}
+
+/**
+ * Decides the undecided items of a plan by the first rule matching each
+ * @param {Object} plan The plan, changed in place
+ * @param {Array<Object>} rules The rules
+ * @returns {number} The number of items decided
+ */
+function applyReviewRules(plan, rules) {
+  let decided = 0;
+  for (const item of plan.items.filter(candidate => !candidate.decision)) {
+    const rule = rules.find(candidate => matchesRule(candidate, item));
+    if (rule) {
+      item.decision = rule.decision;
+      decided++;
+    }
+  }
+  return decided;
+}
+
+/**
+ * Applies the accepted items of a plan and records the rejected ones. The
+ * provenance of a token is only recorded with an accepted change to it, so
+ * rejecting everything leaves the lists as they were.
+ * @param {Object} plan The reviewed plan; accepted items whose logo can't be fetched are made undecided again
+ * @param {Object} [options]
+ * @param {string} [options.root] Directory holding the `assets/` folder, defaults to the working directory
+ * @param {string} [options.rejectionsPath] Where rejected items are recorded, defaults to <root>/sync-rejections.json
+ * @param {Function} [options.fetchLogo] (logo) => Promise<Buffer>, see applyChanges()
+ * @param {boolean} [options.recordAllSeen] Record the provenance of every token in plan.seen, as `--apply` does
+ * @returns {Promise<Object>} The result of applyChanges(), plus rejected, pending and seen: the items rejected,
+ *   the ones still undecided including those whose logo couldn't be fetched, and the provenance of the tokens
+ *   with undecided items, to apply with them
+ */
+async function applySyncPlan(plan, options = {}) {
+  const root = options.root || process.cwd();
+  const rejectionsPath = options.rejectionsPath || path.join(root, 'sync-rejections.json');
+  const tokenKey = ({ chainId, address }) => `${chainId}:${address.toLowerCase()}`;
+  const accepted = plan.items.filter(item => item.decision === 'accept');
+  const seen = plan.seen || [];
+  const proposal = { date: plan.date, added: [], updated: [], removed: [], seen: [] };
+  const updates = new Map();
+
+  for (const item of accepted) {
+    const { chainId, address, sources, origin } = item;
+    if (item.action === 'add') {
+      proposal.added.push({ chainId, token: item.token, logo: item.logo, sources, origin });
+    } else if (item.action === 'remove') {
+      proposal.removed.push({ chainId, address, sources });
+    } else {
+      const key = `${chainId}:${address.toLowerCase()}`;
+      if (!updates.has(key)) {
+        updates.set(key, { chainId, address, logo: null, changes: [], sources, origin });
+      }
+      const update = updates.get(key);
+      update.changes.push({ field: item.field, before: item.before, after: item.after });
+      if (item.field === 'logo') {
+        update.logo = item.logo;
+        if (item.logoURI) {
+          update.changes.push({ field: 'logoURI', ...item.logoURI });
+        }
+      }
+    }
+  }
+  proposal.updated = Array.from(updates.values());
+
+  const result = await applyChanges(proposal, { root, fetchLogo: options.fetchLogo });
+
+  // Items that need a logo we couldn't fetch wait for the next review
+  const failedKeys = new Set(result.errors.map(tokenKey));
+  for (const item of accepted.filter(candidate => candidate.action === 'add' || candidate.field === 'logo')) {
+    if (failedKeys.has(tokenKey(item))) {
+      item.decision = null;
+    }
+  }
+
+  // The provenance goes with the changes that were made
+  const appliedKeys = new Set(plan.items.filter(item => item.decision === 'accept').map(tokenKey));
+  const applied = options.recordAllSeen ? seen : seen.filter(item => appliedKeys.has(tokenKey(item)));
+  if (applied.length > 0) {
+    await applyChanges({ date: plan.date, added: [], updated: [], removed: [], seen: applied }, { root });
+  }
+
+  const rejected = plan.items.filter(item => item.decision === 'reject');
+  if (rejected.length > 0) {
+    await saveRejections(rejectionsPath, rejected, plan.date);
+  }
+
+  const pending = plan.items.filter(item => !item.decision);
+  const pendingKeys = new Set(pending.map(tokenKey));
+  return {
+    ...result,
+    rejected,
+    pending,
+    seen: seen.filter(item => pendingKeys.has(tokenKey(item)) && !applied.includes(item))
+  };
+}
+
+module.exports = {
+  getItemKey,
+  loadRejections,
+  saveRejections,
+  createSyncPlan,
+  loadReviewRules,
+  applyReviewRules,
+  applySyncPlan
+};
@@ -0,0 +1,113 @@
+/**
+ * Token List Sources
+ *
+ * Uniswap, TraderJoe and Pangolin publish their tokens as token lists
+ * (https://tokenlists.org) in a git repository. Reading them from a local
+ * checkout keeps syncs reproducible and lets the tests run offline. Their
+ * logoURIs mostly point back into one of the source's repositories on
+ * GitHub; those are resolved to the file in the checkout, so logos are
+ * copied instead of downloaded.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { glob } = require('glob');
+
+// raw.githubusercontent.com/<owner>/<repo>/<ref>/<path> and github.com/<owner>/<repo>/(raw|blob)/<ref>/<path>
+const GITHUB_FILE_PATTERNS = [
+  /^https:\/\/raw\.githubusercontent\.com\/[^/]+\/([^/]+)\/[^/]+\/(.+)$/,
+  /^https:\/\/github\.com\/[^/]+\/([^/]+)\/(?:raw|blob)\/[^/]+\/(.+)$/
+];
+
+/**
+ * Reads the tokens of a token list file
+ * @param {string} filePath The file: a token list, or a plain array of tokens as in Uniswap's src/tokens/
+ * @returns {Promise<Array<Object>>} The tokens
+ * @throws {Error} If the file holds neither
+ */
+async function readTokenListFile(filePath) {
+  const data = await fs.readJson(filePath);
+  const tokens = Array.isArray(data) ? data : data && data.tokens;
+
+  if (!Array.isArray(tokens)) {
+    throw new Error(`${filePath} is not a token list`);
+  }
+  return tokens;
+}
+
+/**
+ * Resolves a logo URL to a file in a local checkout of the repository it points into
+ * @param {string} url The logoURI
+ * @param {Object} checkouts Checkout directories by repository name, e.g. { tokens: '/sync/pangolin/tokens' }
+ * @returns {Promise<string|null>} The local file, null if the URL doesn't point into a checkout or the file is missing
+ */
+async function resolveCheckoutFile(url, checkouts) {
+  for (const pattern of GITHUB_FILE_PATTERNS) {
+    const match = url.match(pattern);
+    if (match && checkouts[match[1]]) {
+      const filePath = path.join(checkouts[match[1]], ...decodeURIComponent(match[2].split(/[?#]/)[0]).split('/'));
+      return await fs.pathExists(filePath) ? filePath : null;
+    }
+  }
+  return null;
+}
+
+/**
+ * Reads the tokens of every token list file of a source
+ * @param {string} sourceDir The source directory, holding the checkouts
+ * @param {Object} options
+ * @param {Array<string>} options.lists Glob patterns of the list files, relative to sourceDir; the first
+ *   pattern that matches any file is used
+ * @param {Object} [options.checkouts] Checkout directories relative to sourceDir, by repository name, to
+ *   resolve logo URLs against
+ * @returns {Promise<Array<Object>>} One { chainId, address, name, symbol, decimals, logo, origin } entry per token,
+ *   logo being { file } for logos in a checkout, { url } for others and null without a logoURI
+ * @throws {Error} If no list file is found
+ */
+async function readTokenListSource(sourceDir, options) {
+  let files = [];
+  for (const pattern of options.lists) {
+    files = (await glob(pattern, { cwd: sourceDir, posix: true, ignore: '**/node_modules/**' })).sort();
+    if (files.length > 0) {
+      break;
+    }
+  }
+
+  if (files.length === 0) {
+    throw new Error(`No token lists found in ${sourceDir} (looked for ${options.lists.join(', ')})`);
+  }
+
+  const checkouts = {};
+  for (const [repository, dir] of Object.entries(options.checkouts || {})) {
+    checkouts[repository] = path.join(sourceDir, dir);
+  }
+
+  const entries = [];
+  for (const file of files) {
+    for (const token of await readTokenListFile(path.join(sourceDir, file))) {
+      let logo = null;
+      if (typeof token.logoURI === 'string' && token.logoURI.length > 0) {
+        const logoFile = await resolveCheckoutFile(token.logoURI, checkouts);
+        logo = logoFile ? { file: logoFile } : { url: token.logoURI };
+      }
+
+      entries.push({
+        chainId: token.chainId,
+        address: token.address,
+        name: token.name,
+        symbol: token.symbol,
+        decimals: token.decimals,
+        logo,
+        origin: file
+      });
+    }
+  }
+
+  return entries;
+}
+
+module.exports = {
+  readTokenListFile,
+  resolveCheckoutFile,
+  readTokenListSource
+};
@@ -0,0 +1,195 @@
+/**
+ * Standard Token Lists
+ *
+ * Converts the per-chain asset files into lists that follow the token list
+ * standard (https://tokenlists.org) and validates them against the official
+ * schema. `schemas/tokenlist.schema.json` is vendored unchanged from the
+ * `@uniswap/token-lists` package (1.0.0-beta.35).
+ */
+
+const { getChain } = require('./chains');
+const { isBridgedSymbol } = require('./symbols');
+const { DEFAULT_LOGO_BASE_URL, toAbsoluteLogoURI } = require('./logos');
+const { validateSchema } = require('./schemas');
+
+const NATIVE_TOKEN_ADDRESS = '0x0000000000000000000000000000000000000000';
+const DEFAULT_VERSION = { major: 1, minor: 0, patch: 0 };
+
+// Tags attached to tokens, defined once at the list level
+const TAGS = {
+  popular: {
+    name: 'Popular',
+    description: 'Curated as one of the most important tokens on this network'
+  },
+  native: {
+    name: 'Native',
+    description: 'The native currency of the network'
+  },
+  bridged: {
+    name: 'Bridged',
+    description: 'A bridged variant of a token that originates on another network'
+  }
+};
+
+const LIST_KINDS = ['common', 'popular'];
+
+// Extensions the sync keeps for itself, never published
+const PROVENANCE_EXTENSIONS = ['sources', 'firstSeen', 'lastSeen'];
+
+// The standard limits extension strings to 42 characters
+const MAX_EXTENSION_STRING_LENGTH = 42;
+
+/**
+ * Get the file name a chain's list is published under, e.g. "common_avax.json"
+ * @param {number} chainId The chain ID
+ * @param {string} kind Either 'common' or 'popular'
+ * @returns {string} The file name
+ */
+function getListFileName(chainId, kind) {
+  const chain = getChain(chainId);
+  return `${kind}_${chain ? chain.slug : chainId}.json`;
+}
+
+/**
+ * Builds the list name, which the standard limits to 30 word characters
+ * @param {number} chainId The chain ID
+ * @param {string} kind Either 'common' or 'popular'
+ * @returns {string} The list name
+ */
+function getListName(chainId, kind) {
+  const chain = getChain(chainId);
+  const chainName = chain ? chain.name.replace('Avalanche Fuji', 'Fuji') : `Chain ${chainId}`;
+  const kindName = kind.charAt(0).toUpperCase() + kind.slice(1);
+  return `Cosmohub ${chainName} ${kindName}`;
+}
+
+/**
+ * Get the extensions of a token that are published: without the sync
+ * provenance, and without strings too long for the standard, such as most
+ * explorer URLs and descriptions
+ * @param {Object} [extensions] The token's extensions
+ * @returns {Object|undefined} The published extensions, undefined if none are left
+ */
+function getPublishedExtensions(extensions) {
+  if (!extensions) {
+    return undefined;
+  }
+
+  const published = {};
+  for (const [key, value] of Object.entries(extensions)) {
+    const tooLong = typeof value === 'string' && value.length > MAX_EXTENSION_STRING_LENGTH;
+    if (!PROVENANCE_EXTENSIONS.includes(key) && !tooLong) {
+      published[key] = value;
+    }
+  }
+  return Object.keys(published).length > 0 ? published : undefined;
+}
+
+/**
+ * Builds a standard token list from the tokens of one asset file
+ * @param {Array<Object>} tokens The tokens from assets/<chainId>/<kind>.json
+ * @param {Object} options
+ * @param {number} options.chainId The chain ID
+ * @param {string} options.kind Either 'common' or 'popular'
+ * @param {Set<string>} [options.popularAddresses] Lowercase addresses to tag as popular
+ * @param {Object} [options.version] The list version, defaults to 1.0.0
+ * @param {string} [options.timestamp] ISO timestamp of this version, defaults to now
+ * @param {string} [options.logoBaseURL] Base URL the logos are published under
+ * @returns {Object} The token list
+ */
+function buildTokenList(tokens, options) {
+  const {
+    chainId,
+    kind,
+    popularAddresses = new Set(),
+    version = DEFAULT_VERSION,
+    timestamp = new Date().toISOString(),
+    logoBaseURL = DEFAULT_LOGO_BASE_URL
+  } = options;
+
+  const chain = getChain(chainId);
+  const usedTags = new Set();
+
+  const listTokens = tokens.map(token => {
+    const tags = [];
+    const address = token.address.toLowerCase();
+
+    if (address === NATIVE_TOKEN_ADDRESS) {
+      tags.push('native');
+    }
+    if (popularAddresses.has(address)) {
+      tags.push('popular');
+    }
+    if (isBridgedSymbol(token.symbol)) {
+      tags.push('bridged');
+    }
+    tags.forEach(tag => usedTags.add(tag));
+
+    const listToken = {
+      chainId: token.chainId,
+      address: token.address,
+      name: token.name,
+      symbol: token.symbol,
+      decimals: token.decimals
+    };
+
+    if (token.logoURI) {
+      listToken.logoURI = toAbsoluteLogoURI(token.logoURI, chainId, logoBaseURL);
+    }
+    if (tags.length > 0) {
+      listToken.tags = tags;
+    }
+    const extensions = getPublishedExtensions(token.extensions);
+    if (extensions) {
+      listToken.extensions = extensions;
+    }
+
+    return listToken;
+  });
+
+  const tags = {};
+  for (const tag of Object.keys(TAGS)) {
+    if (usedTags.has(tag)) {
+      tags[tag] = TAGS[tag];
+    }
+  }
+
+  const keywords = ['cosmohub', kind];
+  if (chain) {
+    keywords.push(chain.name.toLowerCase());
+  }
+
+  return {
+    name: getListName(chainId, kind),
+    timestamp,
+    version: { ...version },
+    logoURI: toAbsoluteLogoURI(`./logos/${NATIVE_TOKEN_ADDRESS}.png`, chainId, logoBaseURL),
+    keywords,
+    tags,
+    tokens: listTokens
+  };
+}
+
+/**
+ * Validates a token list against the official token list schema
+ * @param {Object} list The token list
+ * @returns {Array<Object>} The schema errors, empty if the list is valid
+ */
+function getSchemaErrors(list) {
+  return validateSchema('tokenlist', list).map(violation => ({
+    path: violation.pointer || '/',
+    message: violation.message
+  }));
+}
+
+module.exports = {
+  DEFAULT_LOGO_BASE_URL,
+  LIST_KINDS,
+  TAGS,
+  toAbsoluteLogoURI,
+  getListFileName,
+  getListName,
+  getPublishedExtensions,
+  buildTokenList,
+  getSchemaErrors
+};
@@ -0,0 +1,384 @@
+/**
+ * Token Validation
+ *
+ * The validation rules behind `scripts/validate.js`, usable from other code,
+ * e.g. to check a user-submitted custom token before showing it. Every check
+ * returns findings in the model of lib/report.js and never exits the process.
+ * The filesystem is only read when asked to with `checkLogoFiles`.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { parseLogoURL, getConfiguredLogoBaseURLs } = require('./logos');
+const { getAddressErrors, getLogoFileErrors } = require('./addresses');
+const { getPosition, getRange } = require('./json-source');
+const { validateSchema } = require('./schemas');
+const { inspectImageFile, getLogoRuleErrors } = require('./images');
+const { createFinding } = require('./report');
+const { hashLogo, findLogoImpersonations } = require('./logo-similarity');
+
+/**
+ * Creates a finding, locating it in the file when the positions are known.
+ * Findings inside a token span to the end of the token object, so CI
+ * annotations cover the whole entry.
+ * @param {string} ruleId The rule ID
+ * @param {string} message What is wrong
+ * @param {Object} details
+ * @param {string} [details.file] Path of the file
+ * @param {string} [details.token] Address of the token
+ * @param {string} [details.pointer] JSON pointer of the offending value
+ * @param {Map<string, Object>} [details.positions] Source positions of the file
+ * @param {boolean} [details.atKey] Point at the property name instead of its value
+ * @param {string} [details.severity] Overrides the rule's default severity
+ * @returns {Object} The finding
+ */
+function locateFinding(ruleId, message, details) {
+  const hasPositions = details.positions && details.pointer !== undefined;
+  const position = hasPositions ? getPosition(details.positions, details.pointer, details.atKey) : null;
+  const tokenPointer = hasPositions ? details.pointer.match(/^\/tokens\/\d+/) : null;
+  const tokenRange = tokenPointer ? getRange(details.positions, tokenPointer[0]) : null;
+
+  return createFinding(ruleId, message, {
+    file: details.file,
+    token: details.token,
+    pointer: details.pointer,
+    line: position ? position.line : undefined,
+    column: position ? position.column : undefined,
+    endLine: tokenRange ? tokenRange.end.line : undefined,
+    severity: details.severity
+  });
+}
+
+/**
+ * Turns schema violations into findings
+ * @param {Array<Object>} violations Violations from validateSchema()
+ * @param {Object} details The file, token and positions of the findings
+ * @returns {Array<Object>} The findings
+ */
+function toSchemaFindings(violations, details) {
+  return violations.map(violation => locateFinding('schema.violation', violation.message, {
+    ...details,
+    pointer: violation.pointer,
+    // Unknown properties are reported at their key
+    atKey: violation.keyword === 'additionalProperties'
+  }));
+}
+
+/**
+ * Checks if a file exists and is a sound PNG or JPEG image
+ * @param {string} filePath The path to the image file
+ * @returns {Promise<boolean>} Whether the file exists and is a valid image
+ */
+async function isValidImageFile(filePath) {
+  try {
+    return (await inspectImageFile(filePath)).errors.length === 0;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Resolves a logo URI to a local file path
+ * @param {string} logoURI The logo URI from the token list
+ * @param {number} chainId The chain ID
+ * @returns {string|null} The resolved path relative to the repository root, or null if it's an external URL
+ */
+function resolveLogoPath(logoURI, chainId) {
+  // Published URLs of our own logos, pinned to any ref or served from a CDN
+  const published = parseLogoURL(logoURI, getConfiguredLogoBaseURLs());
+  if (published) {
+    return published.chainId === chainId ? published.path : null;
+  }
+
+  if (logoURI.startsWith('http')) {
+    // External URL, we don't validate these
+    return null;
+  }
+
+  // Handle relative paths in asset directory: "./logos/0x..."
+  if (logoURI.startsWith('./logos/')) {
+    return path.join('assets', chainId.toString(), logoURI.substring(2));
+  }
+
+  // Handle absolute paths: "/assets/43114/logos/0x..."
+  if (logoURI.startsWith('/assets/')) {
+    return logoURI.substring(1); // Remove leading slash
+  }
+
+  // Can't resolve the path
+  return null;
+}
+
+/**
+ * Runs the checks a schema can't express on a token whose schema violations are already known
+ * @param {Object} token The token
+ * @param {Array<Object>} violations Schema violations inside this token
+ * @param {Object} options See validateTokenEntry()
+ * @returns {Promise<Array<Object>>} The findings
+ */
+async function checkToken(token, violations, options) {
+  const pointer = options.pointer || '';
+  const address = typeof token.address === 'string' ? token.address : undefined;
+  const details = { file: options.file, token: address, positions: options.positions };
+  const findings = toSchemaFindings(violations, details);
+
+  const isWellFormed = field => !violations.some(violation =>
+    violation.pointer === `${pointer}/${field}` || (violation.pointer === pointer && violation.keyword === 'type')
+  );
+
+  if (isWellFormed('chainId') && options.chainId !== undefined && token.chainId !== options.chainId) {
+    findings.push(locateFinding('chain.mismatch', `chainId ${token.chainId} does not match chain ${options.chainId}`, {
+      ...details,
+      pointer: `${pointer}/chainId`
+    }));
+  }
+
+  if (isWellFormed('address') && address) {
+    for (const error of getAddressErrors(address, options.policy)) {
+      findings.push(locateFinding(error.rule, error.message, { ...details, pointer: `${pointer}/address` }));
+    }
+  }
+
+  if (isWellFormed('logoURI') && typeof token.logoURI === 'string') {
+    const logoPointer = `${pointer}/logoURI`;
+
+    for (const error of getLogoFileErrors(token, options.policy)) {
+      findings.push(locateFinding(error.rule, error.message, { ...details, pointer: logoPointer }));
+    }
+
+    // Validate that the logo file exists if it's a local path
+    const logoPath = options.checkLogoFiles && Number.isInteger(token.chainId)
+      ? resolveLogoPath(token.logoURI, token.chainId)
+      : null;
+    if (logoPath) {
+      const filePath = path.join(options.root || process.cwd(), logoPath);
+      if (!await fs.pathExists(filePath)) {
+        findings.push(locateFinding('logo.missing', `Logo file does not exist: ${logoPath}`, { ...details, pointer: logoPointer }));
+      } else {
+        const info = await inspectImageFile(filePath);
+
+        if (info.errors.length > 0) {
+          findings.push(locateFinding('logo.invalid', `Logo file is not a valid PNG or JPEG image: ${logoPath}, ${info.errors[0]}`, {
+            ...details,
+            pointer: logoPointer
+          }));
+        } else if (options.logoRules) {
+          for (const error of getLogoRuleErrors(info, options.logoRules)) {
+            findings.push(locateFinding(error.rule, `${error.message}: ${logoPath}`, { ...details, pointer: logoPointer }));
+          }
+        }
+      }
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Validates a single token entry
+ * @param {Object} token The token
+ * @param {Object} [options]
+ * @param {number} [options.chainId] The chain the token must be on
+ * @param {string} [options.policy] The address policy, see lib/addresses.js
+ * @param {boolean} [options.checkLogoFiles] Check that a local logo file exists and is a valid image
+ * @param {Object} [options.logoRules] Also check the logo file against these rules, see lib/images.js
+ * @param {string} [options.root] Directory holding the `assets/` folder, defaults to the working directory
+ * @param {string} [options.file] Path of the file the token is in, for the findings
+ * @param {string} [options.pointer] JSON pointer of the token in the file, "" for a standalone token
+ * @param {Map<string, Object>} [options.positions] Source positions of the file, from parseJSONWithPositions()
+ * @returns {Promise<Array<Object>>} The findings, empty if the token is valid
+ */
+async function validateTokenEntry(token, options = {}) {
+  const pointer = options.pointer || '';
+  const violations = validateSchema('token', token).map(violation => ({
+    ...violation,
+    pointer: `${pointer}${violation.pointer}`
+  }));
+
+  return checkToken(token, violations, options);
+}
+
+/**
+ * Validates a token list: an assets/<chainId>/{common,popular}.json file by default
+ * @param {Object} list The parsed list
+ * @param {Object} [options] The options of validateTokenEntry(), except pointer, plus:
+ * @param {string} [options.schema] 'token-file', or 'tokenlist' for a published list
+ * @param {Set<string>} [options.scope] Lowercase addresses of the tokens to validate, all tokens if not given;
+ *   duplicates and chain IDs are always checked across the whole list
+ * @returns {Promise<Array<Object>>} The findings, empty if the list is valid
+ */
+async function validateTokenList(list, options = {}) {
+  const { file, positions } = options;
+  const violations = validateSchema(options.schema || 'token-file', list);
+
+  // Split the violations by token
+  const tokenViolations = new Map();
+  const listViolations = [];
+
+  for (const violation of violations) {
+    const match = violation.pointer.match(/^\/tokens\/(\d+)(\/|$)/);
+    if (match) {
+      const index = Number(match[1]);
+      tokenViolations.set(index, [...(tokenViolations.get(index) || []), violation]);
+    } else {
+      listViolations.push(violation);
+    }
+  }
+
+  const findings = toSchemaFindings(listViolations, { file, positions });
+
+  // Without a tokens array there is nothing more to check
+  if (!list || !Array.isArray(list.tokens)) {
+    return findings;
+  }
+
+  // No tokens is valid, but unusual
+  if (list.tokens.length === 0) {
+    findings.push(locateFinding('list.empty', `${file || 'The list'} has an empty tokens array`, {
+      file,
+      pointer: '/tokens',
+      positions
+    }));
+    return findings;
+  }
+
+  const addresses = new Set();
+
+  for (const [index, token] of list.tokens.entries()) {
+    const pointer = `/tokens/${index}`;
+    const inScope = !options.scope ||
+      (token && typeof token.address === 'string' && options.scope.has(token.address.toLowerCase()));
+
+    if (inScope) {
+      findings.push(...await checkToken(token || {}, tokenViolations.get(index) || [], { ...options, pointer }));
+    }
+
+    // Check for duplicates
+    if (token && typeof token.address === 'string') {
+      const address = token.address.toLowerCase();
+      if (addresses.has(address)) {
+        findings.push(locateFinding('address.duplicate', `Duplicate address ${token.address}`, {
+          file,
+          token: token.address,
+          pointer: `${pointer}/address`,
+          positions
+        }));
+      } else {
+        addresses.add(address);
+      }
+    }
+  }
+
+  // Check chainId consistency
+  const chainIds = new Set(list.tokens.map(token => token && token.chainId));
+  if (options.chainId === undefined && chainIds.size > 1) {
+    findings.push(locateFinding('chain.mismatch', `Multiple chainIds found: ${Array.from(chainIds).join(', ')}`, { file }));
+  }
+
+  return findings;
+}
+
+/**
+ * Validates that the popular tokens of a chain are a subset of its common tokens
+ * @param {Object} common The parsed common.json
+ * @param {Object} popular The parsed popular.json
+ * @param {Object} [options]
+ * @param {string} [options.file] Path of popular.json, for the findings
+ * @param {Map<string, Object>} [options.positions] Source positions of popular.json
+ * @returns {Array<Object>} One finding per popular token missing from the common list
+ */
+function validatePopularSubset(common, popular, options = {}) {
+  const commonAddresses = new Set(common.tokens.map(token => String(token.address).toLowerCase()));
+  const findings = [];
+
+  for (const [index, token] of popular.tokens.entries()) {
+    if (!commonAddresses.has(String(token.address).toLowerCase())) {
+      findings.push(locateFinding('popular.not-subset', `Token ${token.address} is not in common.json`, {
+        file: options.file,
+        token: token.address,
+        pointer: `/tokens/${index}`,
+        positions: options.positions
+      }));
+    }
+  }
+
+  return findings;
+}
+
+/**
+ * Validates that no token uses a copy or a look-alike of the logo of a token
+ * with another symbol, across all the given lists. Byte-identical copies are
+ * errors; logos that only look the same are warnings, as simple logos can
+ * resemble each other by chance. Logos that are missing or can't be decoded
+ * are skipped, the per-token checks report them.
+ * @param {Array<Object>} lists { list, file, positions } per token list, e.g. the common.json of every chain
+ * @param {Object} [options]
+ * @param {string} [options.root] Directory the logo paths are resolved against, defaults to the working directory
+ * @param {Object} [options.allowlist] Tokens that may share a logo, see loadLogoAllowlist() in lib/logo-similarity.js
+ * @param {number} [options.threshold] Maximum dHash distance of logos that look the same
+ * @param {Function} [options.filter] Only check the tokens this returns true for; they are still compared with all
+ * @param {Map<string, Object>} [options.hashes] Logo hashes by path, reused and filled across calls
+ * @returns {Promise<Array<Object>>} One finding per token whose logo matches another, on its logoURI; a token
+ *   matching several logos is reported against the first of them
+ */
+async function validateLogoSimilarity(lists, options = {}) {
+  const hashes = options.hashes || new Map();
+  const logos = [];
+
+  for (const { list, file, positions } of lists) {
+    for (const [index, token] of ((list && list.tokens) || []).entries()) {
+      const logoPath = token && typeof token.logoURI === 'string' && Number.isInteger(token.chainId)
+        ? resolveLogoPath(token.logoURI, token.chainId)
+        : null;
+      if (!logoPath || typeof token.symbol !== 'string' || typeof token.address !== 'string') {
+        continue;
+      }
+
+      if (!hashes.has(logoPath)) {
+        try {
+          hashes.set(logoPath, hashLogo(await fs.readFile(path.join(options.root || process.cwd(), logoPath))));
+        } catch (error) {
+          hashes.set(logoPath, null);
+        }
+      }
+
+      const hash = hashes.get(logoPath);
+      if (hash) {
+        logos.push({ chainId: token.chainId, address: token.address, symbol: token.symbol, ...hash, file, index, positions });
+      }
+    }
+  }
+
+  const matches = findLogoImpersonations(logos, {
+    allowlist: options.allowlist,
+    threshold: options.threshold,
+    filter: options.filter
+  });
+
+  const reported = new Set();
+  const firstMatches = matches.filter(({ token }) => !reported.has(token) && reported.add(token));
+
+  return firstMatches.map(({ token, original, identical, distance }) => {
+    const other = `${original.symbol} (chain ${original.chainId}, ${original.address})`;
+    const message = identical
+      ? `Logo is identical to the logo of ${other}`
+      : `Logo looks like the logo of ${other}, ${distance} bits apart`;
+
+    return locateFinding('logo.impersonation', `${message}; if both are the same asset, add them to logo-allowlist.json`, {
+      file: token.file,
+      token: token.address,
+      pointer: `/tokens/${token.index}/logoURI`,
+      positions: token.positions,
+      severity: identical ? 'error' : 'warning'
+    });
+  });
+}
+
+module.exports = {
+  isValidImageFile,
+  resolveLogoPath,
+  validateTokenEntry,
+  validateTokenList,
+  validatePopularSubset,
+  validateLogoSimilarity
+};
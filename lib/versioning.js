@@ -0,0 +1,183 @@
+/**
+ * List Versioning
+ *
+ * Computes the version of a chain's published lists by comparing the current
+ * asset files with the snapshot stored at the last release, following the
+ * token list standard:
+ *   - major: a token is removed, or its address or decimals change
+ *   - minor: a token is added
+ *   - patch: anything else changes, e.g. a name, symbol or logo
+ *
+ * Each chain keeps its version, release timestamp and snapshot in
+ * `versions/<chainId>.json`.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { diffTokenLists } = require('./diff');
+
+const INITIAL_VERSION = { major: 1, minor: 0, patch: 0 };
+const BUMP_ORDER = ['patch', 'minor', 'major'];
+
+// Fields that break consumers when they change. An address change shows up
+// as a removal plus an addition, which is major as well.
+const MAJOR_FIELDS = ['decimals'];
+
+/**
+ * Determines the version bump a set of changes requires
+ * @param {Object} changes The result of diffTokenLists()
+ * @returns {string|null} 'major', 'minor', 'patch' or null when nothing changed
+ */
+function getBumpType(changes) {
+  if (changes.removed.length > 0) {
+    return 'major';
+  }
+  if (changes.modified.some(token => token.changes.some(change => MAJOR_FIELDS.includes(change.field)))) {
+    return 'major';
+  }
+  if (changes.added.length > 0) {
+    return 'minor';
+  }
+  if (changes.modified.length > 0) {
+    return 'patch';
+  }
+  return null;
+}
+
+/**
+ * Returns the larger of two bump types
+ * @param {string|null} a A bump type
+ * @param {string|null} b A bump type
+ * @returns {string|null} The larger bump type
+ */
+function maxBumpType(a, b) {
+  return BUMP_ORDER.indexOf(a) >= BUMP_ORDER.indexOf(b) ? a : b;
+}
+
+/**
+ * Applies a bump to a version
+ * @param {Object} version The version to bump
+ * @param {string|null} bump 'major', 'minor', 'patch' or null
+ * @returns {Object} The bumped version
+ */
+function bumpVersion(version, bump) {
+  switch (bump) {
+    case 'major':
+      return { major: version.major + 1, minor: 0, patch: 0 };
+    case 'minor':
+      return { major: version.major, minor: version.minor + 1, patch: 0 };
+    case 'patch':
+      return { major: version.major, minor: version.minor, patch: version.patch + 1 };
+    default:
+      return { ...version };
+  }
+}
+
+/**
+ * Formats a version as "major.minor.patch"
+ * @param {Object} version The version
+ * @returns {string} The formatted version
+ */
+function formatVersion(version) {
+  return `${version.major}.${version.minor}.${version.patch}`;
+}
+
+/**
+ * Get the path of a chain's version file
+ * @param {string} root Directory holding the `versions/` folder
+ * @param {number} chainId The chain ID
+ * @returns {string} The version file path
+ */
+function getVersionFilePath(root, chainId) {
+  return path.join(root, 'versions', `${chainId}.json`);
+}
+
+/**
+ * Reads a chain's version file
+ * @param {string} root Directory holding the `versions/` folder
+ * @param {number} chainId The chain ID
+ * @returns {Promise<Object|null>} The version record or null if the chain was never released
+ */
+async function readVersionFile(root, chainId) {
+  const filePath = getVersionFilePath(root, chainId);
+  if (!await fs.pathExists(filePath)) {
+    return null;
+  }
+  return fs.readJson(filePath);
+}
+
+/**
+ * Writes a chain's version file
+ * @param {string} root Directory holding the `versions/` folder
+ * @param {Object} release The release from getNextRelease()
+ * @returns {Promise<void>}
+ */
+async function writeVersionFile(root, release) {
+  const record = {
+    chainId: release.chainId,
+    version: release.version,
+    timestamp: release.timestamp,
+    snapshot: release.snapshot
+  };
+
+  await fs.outputFile(getVersionFilePath(root, release.chainId), JSON.stringify(record, null, 2) + '\n');
+}
+
+/**
+ * Computes the next release of a chain from its current lists
+ * @param {string} root Directory holding the `versions/` folder
+ * @param {number} chainId The chain ID
+ * @param {Object} lists The current tokens
+ * @param {Array<Object>} lists.common Tokens of common.json
+ * @param {Array<Object>} lists.popular Tokens of popular.json
+ * @param {Object} [options]
+ * @param {string} [options.timestamp] Timestamp to use if the version changes, defaults to now
+ * @returns {Promise<Object>} The release: version, timestamp, bump, per-list changes and the new snapshot
+ */
+async function getNextRelease(root, chainId, lists, options = {}) {
+  const previous = await readVersionFile(root, chainId);
+  const snapshot = {
+    common: lists.common.map(token => ({ ...token })),
+    popular: lists.popular.map(token => ({ ...token }))
+  };
+
+  if (!previous) {
+    return {
+      chainId,
+      version: { ...INITIAL_VERSION },
+      timestamp: options.timestamp || new Date().toISOString(),
+      bump: 'initial',
+      changes: null,
+      snapshot
+    };
+  }
+
+  const changes = {};
+  let bump = null;
+
+  for (const kind of Object.keys(snapshot)) {
+    changes[kind] = diffTokenLists(previous.snapshot[kind] || [], snapshot[kind]);
+    bump = maxBumpType(bump, getBumpType(changes[kind]));
+  }
+
+  return {
+    chainId,
+    version: bumpVersion(previous.version, bump),
+    // An unchanged list keeps its release timestamp, so rebuilding it is reproducible
+    timestamp: bump ? (options.timestamp || new Date().toISOString()) : previous.timestamp,
+    bump,
+    changes,
+    snapshot
+  };
+}
+
+module.exports = {
+  INITIAL_VERSION,
+  getBumpType,
+  bumpVersion,
+  formatVersion,
+  getVersionFilePath,
+  readVersionFile,
+  writeVersionFile,
+  getNextRelease
+};
@@ -0,0 +1,122 @@
+#!/usr/bin/env node
+
+/**
+ * Build Token Lists Script
+ *
+ * Generates the files in `tokenlists/` from the asset files, so the two can't
+ * drift apart. Each `assets/<chainId>/{common,popular}.json` becomes
+ * `tokenlists/{common,popular}_<chain>.json` with the relative `./logos/...`
+ * URIs rewritten to absolute published URLs.
+ *
+ * Usage:
+ *   node scripts/build.js            # Regenerate tokenlists/
+ *   node scripts/build.js --check    # Fail if tokenlists/ differs from a fresh build
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { TokenRegistry } = require('../lib/registry');
+const { LIST_KINDS, getListFileName, getPublishedExtensions, toAbsoluteLogoURI } = require('../lib/tokenlist');
+
+// Configuration
+const REPO_ROOT = path.resolve(__dirname, '../');
+const TOKENLISTS_DIR = path.join(REPO_ROOT, 'tokenlists');
+const CHECK = process.argv.includes('--check');
+
+/**
+ * Builds the content of every tokenlists/ file
+ * @param {Object} [options]
+ * @param {string} [options.root] Directory holding the `assets/` folder
+ * @returns {Promise<Map<string, string>>} File contents keyed by file name
+ */
+async function buildTokenListFiles(options = {}) {
+  const registry = new TokenRegistry({ root: options.root || REPO_ROOT });
+  const files = new Map();
+
+  for (const chainId of await registry.getChainIds()) {
+    await registry.load(chainId);
+
+    for (const kind of LIST_KINDS) {
+      const tokens = kind === 'common'
+        ? registry.getTokensSync(chainId)
+        : registry.getPopularTokensSync(chainId);
+
+      const list = {
+        tokens: tokens.map(({ extensions, ...token }) => {
+          const published = getPublishedExtensions(extensions);
+          return {
+            ...token,
+            logoURI: toAbsoluteLogoURI(token.logoURI, chainId),
+            ...(published ? { extensions: published } : {})
+          };
+        })
+      };
+
+      files.set(getListFileName(chainId, kind), JSON.stringify(list, null, 2) + '\n');
+    }
+  }
+
+  return files;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  console.log(`${CHECK ? '[CHECK] ' : ''}Token List Builder`);
+  console.log('==========================================');
+
+  const files = await buildTokenListFiles();
+  const outdated = [];
+
+  for (const [fileName, content] of files) {
+    const filePath = path.join(TOKENLISTS_DIR, fileName);
+    const current = await fs.pathExists(filePath) ? await fs.readFile(filePath, 'utf8') : null;
+
+    if (current === content) {
+      console.log(chalk.gray(`  Up to date: tokenlists/${fileName}`));
+      continue;
+    }
+
+    outdated.push(fileName);
+
+    if (CHECK) {
+      console.log(chalk.red(`  Out of date: tokenlists/${fileName}`));
+    } else {
+      await fs.outputFile(filePath, content);
+      console.log(chalk.green(`  Written: tokenlists/${fileName}`));
+    }
+  }
+
+  // Files that no chain produces anymore are stale as well
+  const existing = (await fs.pathExists(TOKENLISTS_DIR)) ? await fs.readdir(TOKENLISTS_DIR) : [];
+  const stale = existing.filter(fileName => fileName.endsWith('.json') && !files.has(fileName));
+  for (const fileName of stale) {
+    console.log(chalk.red(`  Not generated from assets: tokenlists/${fileName}`));
+  }
+
+  console.log('\nSummary:');
+  console.log(`Files generated: ${files.size}`);
+  console.log(`Files ${CHECK ? 'out of date' : 'written'}: ${outdated.length}`);
+
+  if (CHECK && (outdated.length > 0 || stale.length > 0)) {
+    console.log(chalk.red('\ntokenlists/ is out of date. Run `npm run build` and commit the result.'));
+    process.exit(1);
+  }
+
+  if (stale.length > 0) {
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Unexpected error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  buildTokenListFiles
+};
@@ -0,0 +1,94 @@
+#!/usr/bin/env node
+
+/**
+ * Logo Housekeeping
+ *
+ * Groups the logo files of every chain by lowercase address and compares
+ * their content:
+ * 1. Identical copies that differ only in name casing are merged into the
+ *    file named after the stored address, and tokens are repointed to it
+ * 2. Copies with different content are reported as conflicts, for a person
+ *    to choose the right one; they are never touched
+ * 3. Logos no token in common.json references are listed as orphans, and
+ *    deleted with --prune
+ *
+ * Exits with 1 while conflicts remain.
+ *
+ * Usage:
+ *   node scripts/clean-logos.js                # Merge identical copies, list conflicts and orphans
+ *   node scripts/clean-logos.js --dry-run      # Show what would change without making changes
+ *   node scripts/clean-logos.js --prune        # Also delete orphan logos
+ *   node scripts/clean-logos.js --chain 43114  # Only one chain
+ */
+
+const path = require('path');
+const chalk = require('chalk');
+const { Command } = require('commander');
+const { housekeepLogos } = require('../lib/logo-housekeeping');
+
+const ROOT = path.resolve(__dirname, '..');
+
+/**
+ * Main function
+ */
+async function main() {
+  const program = new Command()
+    .option('--dry-run', 'show what would change without making changes')
+    .option('--prune', 'delete logos no token references')
+    .option('--chain <chainId>', 'only clean the logos of one chain')
+    .parse(process.argv);
+
+  const options = program.opts();
+  const prefix = options.dryRun ? '[DRY RUN] ' : '';
+
+  console.log(chalk.green(`${prefix}Logo Housekeeping`));
+
+  const result = await housekeepLogos({
+    root: ROOT,
+    chainIds: options.chain ? [options.chain] : undefined,
+    prune: options.prune,
+    dryRun: options.dryRun
+  });
+
+  for (const merge of result.merged) {
+    console.log(chalk.green(`${prefix}Merged into ${merge.kept}: removed ${merge.removed.join(', ')}`));
+  }
+  for (const change of result.repointed) {
+    console.log(chalk.green(`${prefix}Repointed ${change.token} in ${change.file}`));
+  }
+
+  for (const conflict of result.conflicts) {
+    console.log(chalk.red('\nConflicting copies, choose one and delete the others:'));
+    for (const copy of conflict.copies) {
+      const usage = copy.referenced ? 'referenced by a token' : 'not referenced';
+      console.log(chalk.red(`  ${copy.file} (sha256 ${copy.hash.substring(0, 12)}, ${usage})`));
+    }
+  }
+
+  if (result.orphans.length > 0) {
+    console.log(chalk.yellow(`\n${options.prune ? `${prefix}Pruned` : 'Orphan'} logos, not referenced by any token in common.json:`));
+    for (const orphan of result.orphans) {
+      console.log(chalk.yellow(`  ${orphan}`));
+    }
+  }
+
+  // Print summary
+  console.log(chalk.blue('\n-----------------------------------'));
+  console.log(chalk.blue('Logo Housekeeping Summary:'));
+  console.log(chalk.blue('-----------------------------------'));
+  console.log(`Merged groups: ${chalk.green(result.merged.length)}`);
+  console.log(`Repointed tokens: ${result.repointed.length}`);
+  console.log(`Conflicts: ${chalk.red(result.conflicts.length)}`);
+  console.log(`Orphans: ${chalk.yellow(result.orphans.length)}${options.prune ? ' (pruned)' : ''}`);
+
+  if (result.merged.length > 0 || result.repointed.length > 0) {
+    console.log(chalk.green('\nRun `npm run build` and `npm run logos` to update the generated files'));
+  }
+
+  process.exitCode = result.conflicts.length > 0 ? 1 : 0;
+}
+
+main().catch(error => {
+  console.error(chalk.red(`Error: ${error.message}`));
+  process.exit(1);
+});
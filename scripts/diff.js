@@ -0,0 +1,149 @@
+#!/usr/bin/env node
+
+/**
+ * Token List Diff
+ *
+ * Shows the semantic changes between two token lists: tokens added, removed
+ * and modified field by field, plus tokens moved into or out of popular.json.
+ * Tokens are matched by chain ID and lowercase address.
+ *
+ * Usage:
+ *   node scripts/diff.js <old.json> <new.json>    # Compare two list files
+ *   node scripts/diff.js <ref>                     # Compare assets at a git revision with the working tree
+ *   node scripts/diff.js <ref> <ref>               # Compare assets between two git revisions
+ *   node scripts/diff.js ... --chain 43114         # Only show one chain
+ *   node scripts/diff.js ... --json                # Print the diff as JSON
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { Command } = require('commander');
+const { diffTokenLists, diffAssets, hasChanges } = require('../lib/diff');
+const { isGitRef, loadAssetsAtRef, loadAssets } = require('../lib/git');
+
+const REPO_ROOT = path.resolve(__dirname, '../');
+
+/**
+ * Formats a field value for display
+ * @param {*} value The value
+ * @returns {string} The formatted value
+ */
+function formatValue(value) {
+  return value === undefined ? '(none)' : JSON.stringify(value);
+}
+
+/**
+ * Formats one token as a table row
+ * @param {string} marker The change marker
+ * @param {Object} token The token
+ * @returns {string} The row
+ */
+function formatRow(marker, token) {
+  return `  ${marker.padEnd(10)} ${String(token.symbol).padEnd(12)} ${token.address.toLowerCase()}  ${token.name}`;
+}
+
+/**
+ * Formats the diff of one chain as a human-readable table
+ * @param {string} title The section title
+ * @param {Object} diff The diff of the chain
+ * @returns {Array<string>} The output lines
+ */
+function formatDiff(title, diff) {
+  const lines = [chalk.cyan(title)];
+
+  if (!hasChanges(diff)) {
+    lines.push(chalk.gray('  No changes'));
+    return lines;
+  }
+
+  for (const token of diff.added) {
+    lines.push(chalk.green(formatRow('+ added', token)));
+  }
+  for (const token of diff.removed) {
+    lines.push(chalk.red(formatRow('- removed', token)));
+  }
+  for (const entry of diff.modified) {
+    lines.push(chalk.yellow(formatRow('~ modified', entry.after)));
+    for (const change of entry.changes) {
+      lines.push(`      ${change.field}: ${formatValue(change.before)} -> ${formatValue(change.after)}`);
+    }
+  }
+  for (const token of diff.popularAdded || []) {
+    lines.push(chalk.blue(formatRow('* popular+', token)));
+  }
+  for (const token of diff.popularRemoved || []) {
+    lines.push(chalk.magenta(formatRow('* popular-', token)));
+  }
+
+  const summary = [
+    `${diff.added.length} added`,
+    `${diff.removed.length} removed`,
+    `${diff.modified.length} modified`
+  ];
+  if (diff.popularAdded) {
+    summary.push(`${diff.popularAdded.length} into popular`, `${diff.popularRemoved.length} out of popular`);
+  }
+  lines.push(chalk.gray(`  ${summary.join(', ')}`));
+
+  return lines;
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const program = new Command()
+    .argument('<old>', 'old list file or git revision')
+    .argument('[new]', 'new list file or git revision, defaults to the working tree')
+    .option('--chain <chainId>', 'only show this chain')
+    .option('--json', 'print the diff as JSON')
+    .parse(process.argv);
+
+  const [oldArg, newArg] = program.args;
+  const options = program.opts();
+
+  const isFileMode = await fs.pathExists(oldArg) && (newArg === undefined || await fs.pathExists(newArg));
+  let sections;
+
+  if (isFileMode) {
+    if (newArg === undefined) {
+      throw new Error('Comparing files needs two paths');
+    }
+
+    const diff = diffTokenLists(await fs.readJson(oldArg), await fs.readJson(newArg));
+    sections = { [`${oldArg} -> ${newArg}`]: diff };
+  } else {
+    for (const ref of [oldArg, newArg].filter(Boolean)) {
+      if (!isGitRef(ref, REPO_ROOT)) {
+        throw new Error(`'${ref}' is neither a file nor a git revision`);
+      }
+    }
+
+    const before = loadAssetsAtRef(oldArg, REPO_ROOT);
+    const after = newArg ? loadAssetsAtRef(newArg, REPO_ROOT) : await loadAssets(REPO_ROOT);
+    const diffs = diffAssets(before, after);
+
+    sections = {};
+    for (const [chainId, diff] of Object.entries(diffs)) {
+      if (!options.chain || Number(options.chain) === Number(chainId)) {
+        sections[`Chain ${chainId}`] = diff;
+      }
+    }
+  }
+
+  if (options.json) {
+    console.log(JSON.stringify(sections, null, 2));
+    return;
+  }
+
+  for (const [title, diff] of Object.entries(sections)) {
+    console.log(formatDiff(title, diff).join('\n'));
+    console.log();
+  }
+}
+
+main().catch(err => {
+  console.error(chalk.red(`Error: ${err.message}`));
+  process.exit(1);
+});
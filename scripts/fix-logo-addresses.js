@@ -4,19 +4,21 @@
  * Fix Logo Addresses Script
  * 
  * This script scans all logo files in the assets directory and renames
- * any files with uppercase characters in their names to lowercase.
+ * any file whose address isn't cased as the address policy stores it
+ * (lowercase by default, see lib/addresses.js).
  * 
- * It helps ensure consistency across the codebase by enforcing the
- * standard that all token addresses (and thus logo filenames) should
- * be in lowercase format.
+ * A file is never renamed over another one: `npm run clean-logos` merges
+ * copies whose names differ only in case, and `npm run validate -- --fix`
+ * renames logo files together with the token entries that point at them.
  * 
  * Usage:
- *   node fix-logo-addresses.js             # Rename all uppercase logo files to lowercase
+ *   node fix-logo-addresses.js             # Rename all logo files to the policy casing
  *   node fix-logo-addresses.js --dry-run   # Show what would be renamed without making changes
  */
 
 const fs = require('fs');
 const path = require('path');
+const { formatAddress } = require('../lib/addresses');
 
 // Configuration
 const REPO_ROOT = path.resolve(__dirname, '../');
@@ -33,16 +35,18 @@ const stats = {
 };
 
 /**
- * Checks if a filename has uppercase characters (excluding file extension)
+ * Get the name a logo file should have under the address policy
  * @param {string} filename - Filename to check
- * @returns {boolean} - True if filename has uppercase characters
+ * @returns {string} - The expected filename, the input if it isn't named after an address
  */
-function hasUppercase(filename) {
-  // Extract the part of the filename without extension (assumed to be an address)
-  const address = path.parse(filename).name;
+function getPolicyFileName(filename) {
+  const { name, ext } = path.parse(filename);
   
-  // Check if the address has uppercase characters
-  return address.toLowerCase() !== address;
+  if (!/^0x[0-9a-fA-F]{40}$/.test(name)) {
+    return filename;
+  }
+  
+  return `${formatAddress(name)}${ext}`;
 }
 
 /**
@@ -65,18 +69,27 @@ function processLogosDirectory(logosDir) {
         continue;
       }
       
-      // Check if the filename has uppercase characters
-      if (hasUppercase(file)) {
+      // Check if the filename follows the address policy
+      const newFile = getPolicyFileName(file);
+      if (newFile !== file) {
         const oldPath = path.join(logosDir, file);
-        const newPath = path.join(logosDir, file.toLowerCase());
+        const newPath = path.join(logosDir, newFile);
+        
+        // Renaming over a file that differs only in case would lose a logo
+        if (files.includes(newFile)) {
+          console.error(`Skipping ${file}: ${newFile} already exists, run \`npm run clean-logos\` to merge them`);
+          stats.errors++;
+          continue;
+        }
         
         if (DRY_RUN) {
-          console.log(`Would rename: ${file} -> ${file.toLowerCase()}`);
+          console.log(`Would rename: ${file} -> ${newFile}`);
           stats.filesRenamed++;
         } else {
           try {
-            fs.renameSync(oldPath, newPath);
-            console.log(`Renamed: ${file} -> ${file.toLowerCase()}`);
+            fs.renameSync(oldPath, `${oldPath}.rename`);
+            fs.renameSync(`${oldPath}.rename`, newPath);
+            console.log(`Renamed: ${file} -> ${newFile}`);
             stats.filesRenamed++;
           } catch (error) {
             console.error(`Error renaming ${file}: ${error.message}`);
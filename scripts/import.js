@@ -0,0 +1,179 @@
+#!/usr/bin/env node
+
+/**
+ * Token List Import
+ *
+ * Imports the tokens of a token list file into assets/<chainId>/common.json.
+ * The file may be any list in the tokenlists.org format, one of our own
+ * tokenlists/*.json files or a plain array of tokens. The tokens are split by
+ * chain, and a preview shows the new tokens, the ones that conflict with a
+ * hosted token and the ones without a logo. Only the new tokens are written,
+ * after confirmation, and their logos copied from local paths or downloaded.
+ *
+ * Usage:
+ *   node scripts/import.js <file>                   # Preview, then ask before writing
+ *   node scripts/import.js <file> --yes             # Write without asking, for scripts
+ *   node scripts/import.js <file> --chain 43114     # Only import one chain
+ *   node scripts/import.js <file> --create-chain    # Add chains we don't host yet
+ */
+
+const path = require('path');
+const readline = require('readline/promises');
+const chalk = require('chalk');
+const { Command } = require('commander');
+const { readImportFile, planImport, applyImport } = require('../lib/import');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Stats tracking
+const stats = {
+  added: 0,
+  conflicts: 0,
+  missingLogos: 0,
+  unchanged: 0,
+  skipped: 0,
+  rejected: 0,
+  errors: 0
+};
+
+/**
+ * Formats one token as a table row
+ * @param {string} marker The row marker
+ * @param {number} chainId The chain ID
+ * @param {string} address The token address
+ * @param {string} symbol The token symbol
+ * @param {string} detail The last column
+ * @returns {string} The row
+ */
+function formatRow(marker, chainId, address, symbol, detail) {
+  return `  ${marker.padEnd(10)} ${String(chainId).padEnd(8)} ${String(symbol).padEnd(12)} ${String(address).toLowerCase()}  ${detail}`;
+}
+
+/**
+ * Prints the preview of an import plan
+ * @param {Object} plan The result of planImport()
+ */
+function printPlan(plan) {
+  for (const chain of plan.chains.filter(candidate => candidate.create)) {
+    console.log(chalk.blue(`  Creating assets/${chain.chainId}/ for ${chain.tokens} tokens`));
+  }
+
+  console.log(chalk.cyan(`\nNew tokens (${plan.added.length})`));
+  for (const { chainId, token, logo } of plan.added) {
+    const logoSource = logo.file ? path.relative(ROOT, logo.file) : logo.url;
+    console.log(chalk.green(formatRow('+ new', chainId, token.address, token.symbol, `${token.name}, ${token.decimals} decimals, logo from ${logoSource}`)));
+  }
+
+  console.log(chalk.cyan(`\nConflicts, not imported (${plan.conflicts.length})`));
+  for (const { chainId, token, existing, changes } of plan.conflicts) {
+    const detail = existing.address.toLowerCase() === token.address.toLowerCase()
+      ? changes.map(change => `${change.field}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`).join(', ')
+      : `symbol already used by ${existing.address}`;
+    console.log(chalk.yellow(formatRow('~ conflict', chainId, token.address, token.symbol, detail)));
+  }
+
+  console.log(chalk.cyan(`\nMissing logos, not imported (${plan.missingLogos.length})`));
+  for (const { chainId, address, symbol, logoURI } of plan.missingLogos) {
+    console.log(chalk.red(formatRow('! no logo', chainId, address, symbol, logoURI ? `cannot read ${logoURI}` : 'no logoURI')));
+  }
+
+  for (const { address, origin, reason } of plan.rejected) {
+    console.log(chalk.gray(`  Rejected ${address} from ${origin}: ${reason}`));
+  }
+}
+
+/**
+ * Asks whether to write the new tokens
+ * @param {number} count The number of new tokens
+ * @returns {Promise<boolean>} Whether the answer was yes
+ */
+async function confirm(count) {
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+  try {
+    const answer = await rl.question(`\nImport ${count} tokens? [y/N] `);
+    return /^y(es)?$/i.test(answer.trim());
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const program = new Command()
+    .argument('<file>', 'token list file to import')
+    .option('--chain <chainId>', 'only import the tokens of one chain')
+    .option('--create-chain', 'create the directories of chains we don\'t host yet')
+    .option('-y, --yes', 'write without asking')
+    .parse(process.argv);
+
+  const options = program.opts();
+  const file = path.resolve(program.args[0]);
+
+  console.log(chalk.green(`Importing ${path.relative(process.cwd(), file) || file}`));
+
+  const entries = await readImportFile(file, { root: ROOT });
+  const plan = await planImport(entries, {
+    root: ROOT,
+    chainIds: options.chain ? [Number(options.chain)] : undefined,
+    createChain: options.createChain
+  });
+  printPlan(plan);
+
+  stats.conflicts = plan.conflicts.length;
+  stats.missingLogos = plan.missingLogos.length;
+  stats.unchanged = plan.unchanged;
+  stats.skipped = plan.skipped.length;
+  stats.rejected = plan.rejected.length;
+
+  const skippedChains = [...new Set(plan.skipped.map(item => item.chainId))];
+  if (skippedChains.length > 0) {
+    console.log(chalk.gray(`\nSkipped ${plan.skipped.length} tokens of chains we don't host: ${skippedChains.join(', ')} (use --create-chain to add them)`));
+  }
+
+  let written = false;
+  if (plan.added.length > 0) {
+    if (!options.yes && !process.stdin.isTTY) {
+      throw new Error('Cannot ask for confirmation without a terminal, run with --yes to write the new tokens');
+    }
+
+    if (options.yes || await confirm(plan.added.length)) {
+      const result = await applyImport(plan, { root: ROOT });
+      for (const { chainId, address, error } of result.errors) {
+        console.log(chalk.red(`  Cannot fetch the logo of ${chainId} ${address}: ${error}`));
+      }
+      for (const chainId of result.created) {
+        console.log(chalk.blue(`  Created assets/${chainId}/`));
+      }
+      stats.added = result.added.length;
+      stats.errors = result.errors.length;
+      written = true;
+    } else {
+      console.log(chalk.yellow('Nothing written'));
+    }
+  }
+
+  // Print summary
+  console.log(chalk.blue('\n-----------------------------------'));
+  console.log(chalk.blue('Import Summary:'));
+  console.log(chalk.blue('-----------------------------------'));
+  console.log(`${written ? 'Added' : 'New tokens'}: ${chalk.green(written ? stats.added : plan.added.length)}`);
+  console.log(`Conflicts: ${chalk.yellow(stats.conflicts)}`);
+  console.log(`Missing logos: ${chalk.red(stats.missingLogos)}`);
+  console.log(`Already hosted: ${stats.unchanged}`);
+  console.log(`Skipped, chain not hosted: ${stats.skipped}`);
+  console.log(`Rejected: ${stats.rejected}`);
+  console.log(`Errors: ${chalk.red(stats.errors)}`);
+
+  if (written && stats.added > 0) {
+    console.log(chalk.green('\nRun `npm run logos`, `npm run validate` and `npm run build` to size the new logos, check and publish the changes'));
+  }
+
+  process.exitCode = stats.errors > 0 ? 1 : 0;
+}
+
+main().catch(error => {
+  console.error(chalk.red(`Error: ${error.message}`));
+  process.exit(1);
+});
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * Logo Processor
+ *
+ * Renders every source logo in assets/<chainId>/logos/ as a square PNG at
+ * each standard size (32, 64 and 128px), written to
+ * assets/<chainId>/logos/<size>/<address>.png. Only sources whose content
+ * hash differs from the chain's logos/sizes.json manifest are processed, and
+ * the outputs of deleted sources are removed.
+ *
+ * Usage:
+ *   node scripts/process-logos.js                # Process new and changed logos
+ *   node scripts/process-logos.js --chain 43114  # Only one chain
+ *   node scripts/process-logos.js --force        # Reprocess every logo
+ *   node scripts/process-logos.js --check        # Fail if any sized logo is out of date or can't be made, write nothing
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { Command } = require('commander');
+const { LOGO_SIZES } = require('../lib/logos');
+const { processLogoDirectory } = require('../lib/logo-pipeline');
+
+const ASSETS_DIR = path.resolve(__dirname, '../assets');
+
+// Stats tracking
+const stats = {
+  processed: 0,
+  unchanged: 0,
+  removed: 0,
+  errors: 0
+};
+
+/**
+ * Main function
+ */
+async function main() {
+  const program = new Command()
+    .option('--chain <chainId>', 'only process the logos of one chain')
+    .option('--force', 'reprocess every logo, ignoring the content hashes')
+    .option('--check', 'only check that the sized logos are up to date, exit 1 if not')
+    .parse(process.argv);
+
+  const options = program.opts();
+
+  const chainIds = (await fs.readdir(ASSETS_DIR))
+    .filter(name => /^\d+$/.test(name))
+    .filter(name => !options.chain || name === String(options.chain))
+    .sort((a, b) => Number(a) - Number(b));
+
+  if (chainIds.length === 0) {
+    throw new Error(`No assets found for chain ${options.chain}`);
+  }
+
+  console.log(chalk.green(`Rendering logos at ${LOGO_SIZES.join(', ')}px`));
+
+  for (const chainId of chainIds) {
+    const logosDir = path.join(ASSETS_DIR, chainId, 'logos');
+    if (!await fs.pathExists(logosDir)) {
+      continue;
+    }
+
+    console.log(chalk.blue(`\nProcessing logos of chain ${chainId}...`));
+    const result = await processLogoDirectory(logosDir, { force: options.force, dryRun: options.check });
+
+    for (const file of result.processed) {
+      console.log(chalk.green(`  ${options.check ? 'Out of date' : 'Processed'}: ${file}`));
+    }
+    for (const file of result.removed) {
+      console.log(chalk.yellow(`  ${options.check ? 'Stale' : 'Removed sizes of'}: ${file}`));
+    }
+    for (const { file, error } of result.errors) {
+      console.log(chalk.red(`  Cannot process ${file}: ${error}`));
+    }
+
+    stats.processed += result.processed.length;
+    stats.unchanged += result.unchanged.length;
+    stats.removed += result.removed.length;
+    stats.errors += result.errors.length;
+  }
+
+  // Print summary
+  console.log(chalk.blue('\n-----------------------------------'));
+  console.log(chalk.blue('Logo Processing Summary:'));
+  console.log(chalk.blue('-----------------------------------'));
+  console.log(`${options.check ? 'Out of date' : 'Processed'}: ${chalk.green(stats.processed)}`);
+  console.log(`Unchanged: ${stats.unchanged}`);
+  console.log(`${options.check ? 'Stale' : 'Removed'}: ${chalk.yellow(stats.removed)}`);
+  console.log(`Errors: ${chalk.red(stats.errors)}`);
+
+  if (options.check && (stats.processed > 0 || stats.removed > 0)) {
+    console.error(chalk.red('\nSized logos are out of date, run `npm run logos`'));
+    process.exitCode = 1;
+  }
+  if (stats.errors > 0) {
+    console.error(chalk.red('\nSome logos cannot be sized, replace them with PNG or JPEG files'));
+    process.exitCode = 1;
+  }
+}
+
+main().catch(error => {
+  console.error(chalk.red(`Error: ${error.message}`));
+  process.exit(1);
+});
@@ -0,0 +1,209 @@
+#!/usr/bin/env node
+
+/**
+ * Publish Token Lists Script
+ *
+ * Builds token lists that follow the token list standard (tokenlists.org)
+ * from the asset files of every chain, validates them against the official
+ * schema and writes them to the output directory.
+ *
+ * The version of each chain's lists is bumped by comparing the assets with
+ * the snapshot in `versions/<chainId>.json`, which is updated on publish.
+ *
+ * Usage:
+ *   node scripts/publish-lists.js                   # Write lists to dist/
+ *   node scripts/publish-lists.js --out <dir>       # Write lists to another directory
+ *   node scripts/publish-lists.js --root <dir>      # Read assets from another checkout
+ *   node scripts/publish-lists.js --dry-run         # Validate without writing lists or version files
+ *   node scripts/publish-lists.js --logo-ref v1.2.0 # Pin logo URLs to a tag or commit
+ *   node scripts/publish-lists.js --logo-base-url https://cdn.example.com/tokens  # Serve logos from a CDN
+ *
+ * Logo URLs point at the main branch unless pinned. A branch name or HEAD
+ * passed to --logo-ref is resolved to its commit SHA, since branches move.
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { Command } = require('commander');
+const { TokenRegistry } = require('../lib/registry');
+const { LIST_KINDS, buildTokenList, getSchemaErrors, getListFileName } = require('../lib/tokenlist');
+const { getNextRelease, writeVersionFile, formatVersion } = require('../lib/versioning');
+const { getLogoBaseURL } = require('../lib/logos');
+const { git, isGitRef } = require('../lib/git');
+
+const REPO_ROOT = path.resolve(__dirname, '../');
+
+/**
+ * Builds and validates the standard lists of every chain
+ * @param {Object} options
+ * @param {string} options.root Directory holding the `assets/` folder
+ * @param {string} [options.timestamp] ISO timestamp for all lists
+ * @param {string} [options.logoRef] Tag or commit SHA to pin logo URLs to
+ * @param {string} [options.logoBaseURL] Custom CDN prefix serving the repository root
+ * @returns {Promise<Object>} The releases per chain and one entry per list with its file name,
+ *   list and schema errors; empty lists are marked as skipped
+ */
+async function buildLists(options) {
+  const registry = new TokenRegistry({ root: options.root });
+  const timestamp = options.timestamp || new Date().toISOString();
+  const logoBaseURL = getLogoBaseURL({ ref: options.logoRef, baseURL: options.logoBaseURL });
+  const releases = [];
+  const results = [];
+
+  for (const chainId of await registry.getChainIds()) {
+    await registry.load(chainId);
+
+    const release = await getNextRelease(options.root, chainId, {
+      common: registry.getTokensSync(chainId),
+      popular: registry.getPopularTokensSync(chainId)
+    }, { timestamp });
+    releases.push(release);
+
+    const popularAddresses = new Set(
+      registry.getPopularTokensSync(chainId).map(token => token.address.toLowerCase())
+    );
+
+    for (const kind of LIST_KINDS) {
+      const tokens = kind === 'common'
+        ? registry.getTokensSync(chainId)
+        : registry.getPopularTokensSync(chainId);
+
+      // The standard requires at least one token per list
+      if (tokens.length === 0) {
+        results.push({
+          chainId,
+          kind,
+          fileName: getListFileName(chainId, kind),
+          list: null,
+          errors: [],
+          skipped: true
+        });
+        continue;
+      }
+
+      const list = buildTokenList(tokens, {
+        chainId,
+        kind,
+        popularAddresses,
+        version: release.version,
+        timestamp: release.timestamp,
+        logoBaseURL
+      });
+
+      results.push({
+        chainId,
+        kind,
+        fileName: getListFileName(chainId, kind),
+        list,
+        errors: getSchemaErrors(list)
+      });
+    }
+  }
+
+  return { releases, results };
+}
+
+/**
+ * Resolves the ref logo URLs are pinned to, turning branch names and HEAD into commit SHAs
+ * @param {string} ref The tag, branch, commit SHA or HEAD
+ * @param {string} root The repository directory
+ * @returns {string} The ref to put into logo URLs
+ */
+function resolveLogoRef(ref, root) {
+  if (!isGitRef(ref, root) || isGitRef(`refs/tags/${ref}`, root)) {
+    return ref;
+  }
+  return git(['rev-parse', `${ref}^{commit}`], root).trim();
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const program = new Command()
+    .option('--root <dir>', 'directory holding the assets folder', REPO_ROOT)
+    .option('--out <dir>', 'directory to write the lists to', path.join(REPO_ROOT, 'dist'))
+    .option('--dry-run', 'validate the lists without writing them')
+    .option('--logo-ref <ref>', 'tag or commit to pin logo URLs to')
+    .option('--logo-base-url <url>', 'CDN prefix serving the repository root, used for logo URLs')
+    .parse(process.argv);
+
+  const options = program.opts();
+
+  console.log(`${options.dryRun ? '[DRY RUN] ' : ''}Token List Publisher`);
+  console.log('==========================================');
+
+  const logoRef = options.logoRef && resolveLogoRef(options.logoRef, options.root);
+  const { releases, results } = await buildLists({
+    root: options.root,
+    logoRef,
+    logoBaseURL: options.logoBaseUrl
+  });
+
+  console.log(chalk.gray(`Logos: ${getLogoBaseURL({ ref: logoRef, baseURL: options.logoBaseUrl })}`));
+  let invalidLists = 0;
+
+  for (const release of releases) {
+    const bump = release.bump ? `${release.bump} release` : 'unchanged';
+    console.log(chalk.cyan(`Chain ${release.chainId}: v${formatVersion(release.version)} (${bump})`));
+  }
+
+  for (const result of results) {
+    if (result.skipped) {
+      console.log(chalk.yellow(`- ${result.fileName}: no tokens, skipped`));
+      continue;
+    }
+
+    if (result.errors.length > 0) {
+      invalidLists++;
+      console.log(chalk.red(`✗ ${result.fileName}: ${result.errors.length} schema errors`));
+      for (const error of result.errors.slice(0, 10)) {
+        console.log(chalk.red(`  - ${error.path}: ${error.message}`));
+      }
+      if (result.errors.length > 10) {
+        console.log(chalk.red(`  ... and ${result.errors.length - 10} more`));
+      }
+      continue;
+    }
+
+    console.log(chalk.green(`✓ ${result.fileName}: ${result.list.tokens.length} tokens`));
+
+    if (!options.dryRun) {
+      await fs.outputFile(
+        path.join(options.out, result.fileName),
+        JSON.stringify(result.list, null, 2) + '\n'
+      );
+    }
+  }
+
+  // Only record the release once every list of it was published
+  if (!options.dryRun && invalidLists === 0) {
+    for (const release of releases.filter(release => release.bump)) {
+      await writeVersionFile(options.root, release);
+    }
+  }
+
+  console.log('\nSummary:');
+  console.log(`Lists built: ${results.length}`);
+  console.log(`Invalid lists: ${invalidLists}`);
+
+  if (!options.dryRun) {
+    console.log(`Output directory: ${path.relative(process.cwd(), options.out) || '.'}`);
+  }
+
+  if (invalidLists > 0) {
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Unexpected error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  buildLists
+};
@@ -0,0 +1,152 @@
+#!/usr/bin/env node
+
+/**
+ * Sync Review
+ *
+ * Steps through the plan `npm run sync` leaves in token-sync/sync-plan.json
+ * and accepts or rejects each proposed change: by the rules of a rules file
+ * first, then by asking about the rest. Only the accepted changes are written
+ * to assets/. Rejected changes are recorded in sync-rejections.json, so later
+ * syncs don't propose them again. Items left undecided stay in the plan for
+ * the next review.
+ *
+ * Usage:
+ *   node scripts/review.js                                   # Ask about every change
+ *   node scripts/review.js --rules sync-review-rules.json    # Decide by rules, ask about the rest
+ *   node scripts/review.js --rules rules.json --no-prompt    # Decide by rules only, for scripts
+ *   node scripts/review.js --plan plan.json                  # Review another plan
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const readline = require('readline/promises');
+const chalk = require('chalk');
+const { Command } = require('commander');
+const {
+  DEFAULT_PLAN_FILE,
+  DEFAULT_REJECTIONS_FILE,
+  loadReviewRules,
+  applyReviewRules,
+  applySyncPlan
+} = require('../lib/sync');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Stats tracking
+const stats = {
+  byRules: 0,
+  accepted: 0,
+  rejected: 0,
+  pending: 0,
+  errors: 0
+};
+
+/**
+ * Formats a plan item for a question
+ * @param {Object} item The plan item
+ * @returns {string} The item, with its reason on a second line
+ */
+function formatItem(item) {
+  const value = value => typeof value === 'string' && path.isAbsolute(value) ? path.relative(ROOT, value) : JSON.stringify(value);
+  const change = item.action === 'update' ? ` ${item.field}: ${value(item.before)} -> ${value(item.after)}` : '';
+  const popular = item.popular ? ' (popular)' : '';
+  return `${item.action} ${item.chainId} ${item.address} ${item.symbol}${popular}${change}\n    ${chalk.gray(item.reason)}`;
+}
+
+/**
+ * Asks about every undecided item of a plan
+ * @param {Object} plan The plan, changed in place
+ */
+async function askDecisions(plan) {
+  const pending = plan.items.filter(item => !item.decision);
+  const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+
+  try {
+    for (const [index, item] of pending.entries()) {
+      console.log(`\n[${index + 1}/${pending.length}] ${formatItem(item)}`);
+      const answer = (await rl.question('  [a]ccept, [r]eject, [s]kip, [q]uit? ')).trim().toLowerCase();
+      if (answer === 'q') {
+        break;
+      }
+      if (answer === 'a' || answer === 'r') {
+        item.decision = answer === 'a' ? 'accept' : 'reject';
+      }
+    }
+  } finally {
+    rl.close();
+  }
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const program = new Command()
+    .option('--plan <file>', 'the plan to review', path.join(ROOT, DEFAULT_PLAN_FILE))
+    .option('--rules <file>', 'decide by the rules in this file before asking')
+    .option('--no-prompt', 'don\'t ask about the items the rules leave undecided')
+    .parse(process.argv);
+
+  const options = program.opts();
+  const planPath = path.resolve(options.plan);
+
+  if (!await fs.pathExists(planPath)) {
+    throw new Error(`No plan at ${path.relative(process.cwd(), planPath)}, run \`npm run sync\` first`);
+  }
+  const plan = await fs.readJson(planPath);
+
+  console.log(chalk.green(`Reviewing ${plan.items.length} changes from the ${plan.date} sync of ${plan.sources.join(', ')}`));
+
+  if (options.rules) {
+    stats.byRules = applyReviewRules(plan, await loadReviewRules(path.resolve(options.rules)));
+    console.log(chalk.gray(`  ${stats.byRules} decided by ${options.rules}`));
+  }
+
+  if (options.prompt && plan.items.some(item => !item.decision)) {
+    if (!process.stdin.isTTY) {
+      throw new Error('Cannot ask without a terminal, pass --rules with --no-prompt to review by rules only');
+    }
+    await askDecisions(plan);
+  }
+
+  const result = await applySyncPlan(plan, { root: ROOT, rejectionsPath: path.join(ROOT, DEFAULT_REJECTIONS_FILE) });
+  for (const { chainId, address, error } of result.errors) {
+    console.log(chalk.red(`  Cannot fetch the logo of ${chainId} ${address}, left for the next review: ${error}`));
+  }
+
+  stats.accepted = plan.items.filter(item => item.decision === 'accept').length;
+  stats.rejected = result.rejected.length;
+  stats.pending = result.pending.length;
+  stats.errors = result.errors.length;
+
+  // Undecided items, and the provenance of their tokens, wait for the next review
+  if (result.pending.length > 0) {
+    await fs.outputFile(planPath, JSON.stringify({ ...plan, items: result.pending, seen: result.seen }, null, 2) + '\n');
+  } else {
+    await fs.remove(planPath);
+  }
+
+  // Print summary
+  console.log(chalk.blue('\n-----------------------------------'));
+  console.log(chalk.blue('Review Summary:'));
+  console.log(chalk.blue('-----------------------------------'));
+  console.log(`Decided by rules: ${stats.byRules}`);
+  console.log(`Accepted: ${chalk.green(stats.accepted)} (${result.added.length} added, ${result.updated.length} updated, ${result.removed.length} removed)`);
+  console.log(`Rejected: ${chalk.red(stats.rejected)}`);
+  console.log(`Still to review: ${chalk.yellow(stats.pending)}`);
+  console.log(`Errors: ${chalk.red(stats.errors)}`);
+
+  if (stats.rejected > 0) {
+    console.log(chalk.gray(`\nRejected changes were recorded in ${DEFAULT_REJECTIONS_FILE}`));
+  }
+  if (stats.accepted > 0) {
+    console.log(chalk.green('\nRun `npm run logos`, `npm run validate` and `npm run build` to size the new logos, check and publish the changes'));
+  }
+
+  process.exitCode = stats.errors > 0 ? 1 : 0;
+}
+
+main().catch(error => {
+  console.error(chalk.red(`Error: ${error.message}`));
+  process.exit(1);
+});
@@ -0,0 +1,225 @@
+#!/usr/bin/env node
+
+/**
+ * Token Sync
+ *
+ * Reads the upstream sources (Uniswap, TraderJoe, Pangolin and TrustWallet)
+ * from local checkouts under token-sync/<source>/, merges them into one entry
+ * per token following sync-policy.json, and proposes the changes they bring
+ * to assets/<chainId>/common.json: new tokens, name, symbol, decimals and logo
+ * updates of existing ones, and removal of tokens every source has dropped.
+ * Conflicts between sources are resolved by the policy or reported.
+ *
+ * The changes are written to a plan file (token-sync/sync-plan.json), one
+ * item per add, field update and removal with its sources and reason, to be
+ * accepted or rejected with `npm run review`. Items rejected before are left
+ * out. With --apply every item is accepted at once; the tokens are written
+ * with the sources that list them, and their logos copied from the checkout
+ * or downloaded.
+ *
+ * Usage:
+ *   node scripts/sync.js                                # Plan the changes of every source for review
+ *   node scripts/sync.js --update                       # Clone or pull the source repositories first
+ *   node scripts/sync.js traderjoe pangolin             # Only some sources
+ *   node scripts/sync.js --chain 43114                  # Only one chain
+ *   node scripts/sync.js --source-dir uniswap=../list   # Read a source from another checkout
+ *   node scripts/sync.js --policy my-policy.json         # Merge with another policy
+ *   node scripts/sync.js --plan plan.json               # Write the plan somewhere else
+ *   node scripts/sync.js --apply                        # Write every proposed change to assets/
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const chalk = require('chalk');
+const { Command } = require('commander');
+const { updateCheckout } = require('../lib/git');
+const {
+  DEFAULT_SYNC_DIR,
+  DEFAULT_PLAN_FILE,
+  DEFAULT_REJECTIONS_FILE,
+  getSourceNames,
+  getAdapter,
+  readSource,
+  loadMergePolicy,
+  mergeSources,
+  proposeChanges,
+  loadRejections,
+  createSyncPlan,
+  applySyncPlan
+} = require('../lib/sync');
+
+const ROOT = path.resolve(__dirname, '..');
+
+// Stats tracking
+const stats = {
+  added: 0,
+  updated: 0,
+  removed: 0,
+  conflicts: 0,
+  rejectedBefore: 0,
+  rejected: 0,
+  skipped: 0,
+  errors: 0
+};
+
+/**
+ * Collects repeated "<source>=<dir>" options
+ * @param {string} value The option value
+ * @param {Object} previous The directories collected so far
+ * @returns {Object} The directories by source name
+ */
+function collectSourceDir(value, previous) {
+  const [name, dir] = value.split('=');
+  if (!name || !dir) {
+    throw new Error(`Invalid source directory "${value}", expected <source>=<dir>`);
+  }
+  getAdapter(name);
+  return { ...previous, [name]: dir };
+}
+
+/**
+ * Formats a proposed value, showing files in a checkout relative to the repository
+ * @param {*} value The value
+ * @returns {string} The value to print
+ */
+function formatValue(value) {
+  return typeof value === 'string' && path.isAbsolute(value) ? path.relative(ROOT, value) : JSON.stringify(value);
+}
+
+/**
+ * Prints a plan
+ * @param {Object} plan The result of createSyncPlan()
+ */
+function printPlan(plan) {
+  const colors = { add: chalk.green, update: chalk.yellow, remove: chalk.red };
+  const markers = { add: '+', update: '~', remove: '-' };
+
+  for (const item of plan.items) {
+    const change = item.action === 'update' ? ` ${item.field}: ${formatValue(item.before)} -> ${formatValue(item.after)}` : '';
+    console.log(colors[item.action](`  ${markers[item.action]} ${item.chainId} ${item.address} ${item.symbol}${change}`));
+    console.log(chalk.gray(`      ${item.reason}`));
+  }
+  for (const { chainId, address, field, values } of plan.conflicts) {
+    const listed = values.map(({ source, value }) => `${source} ${formatValue(value)}`).join(', ');
+    console.log(chalk.magenta(`  ! ${chainId} ${address} ${field}: ${listed}, left for review`));
+  }
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const program = new Command()
+    .argument('[sources...]', `sources to sync: ${getSourceNames().join(', ')}`)
+    .option('--chain <chainId>', 'only sync the tokens of one chain')
+    .option('--sync-dir <dir>', 'directory holding the checkouts of every source', path.join(ROOT, DEFAULT_SYNC_DIR))
+    .option('--source-dir <source=dir>', 'read a source from another directory, repeatable', collectSourceDir, {})
+    .option('--policy <file>', 'merge policy', path.join(ROOT, 'sync-policy.json'))
+    .option('--plan <file>', 'where to write the plan for review', path.join(ROOT, DEFAULT_PLAN_FILE))
+    .option('--update', 'clone or pull the source repositories before reading them')
+    .option('--apply', 'accept every proposed change and write it to assets/')
+    .parse(process.argv);
+
+  const options = program.opts();
+  const sources = program.args.length > 0 ? program.args : getSourceNames();
+  sources.forEach(getAdapter);
+  const policy = await loadMergePolicy(path.resolve(options.policy));
+
+  console.log(chalk.green(`${options.apply ? 'Syncing' : 'Proposing changes from'} ${sources.join(', ')}`));
+
+  const read = [];
+  for (const name of sources) {
+    const adapter = getAdapter(name);
+    console.log(chalk.blue(`\n=== ${adapter.title} ===`));
+
+    const sourceDir = options.sourceDir[name] || path.join(options.syncDir, name);
+    let source;
+    try {
+      if (options.update) {
+        for (const repository of adapter.repositories) {
+          console.log(chalk.gray(`  ${updateCheckout(repository.url, path.join(sourceDir, repository.dir)) === 'cloned' ? 'Cloned' : 'Updated'} ${repository.url}`));
+        }
+      }
+      source = await readSource(name, { sourceDir });
+    } catch (error) {
+      console.log(chalk.red(`  Cannot read ${adapter.title}: ${error.message}`));
+      stats.errors++;
+      continue;
+    }
+
+    for (const { address, origin, reason } of source.rejected) {
+      console.log(chalk.gray(`  Rejected ${address} from ${origin}: ${reason}`));
+    }
+    console.log(chalk.gray(`  ${source.entries.length} tokens`));
+
+    stats.rejected += source.rejected.length;
+    read.push({ name, entries: source.entries });
+  }
+
+  // A source that couldn't be read doesn't count as dropping its tokens
+  const proposal = await proposeChanges(mergeSources(read, policy), {
+    root: ROOT,
+    chainIds: options.chain ? [Number(options.chain)] : undefined,
+    sources: read.map(source => source.name)
+  });
+
+  const rejections = await loadRejections(path.join(ROOT, DEFAULT_REJECTIONS_FILE));
+  const plan = await createSyncPlan(proposal, { root: ROOT, rejections });
+
+  console.log(chalk.blue('\n=== Changes ==='));
+  printPlan(plan);
+
+  const proposed = proposal.added.length + proposal.removed.length +
+    proposal.updated.reduce((count, item) => count + item.changes.filter(change => change.field !== 'logoURI').length, 0);
+  stats.rejectedBefore = proposed - plan.items.length;
+  stats.skipped += proposal.skipped.length;
+  stats.conflicts += plan.conflicts.length;
+
+  if (options.apply) {
+    plan.items.forEach(item => { item.decision = 'accept'; });
+    const result = await applySyncPlan(plan, { root: ROOT, recordAllSeen: true });
+    for (const { chainId, address, error } of result.errors) {
+      console.log(chalk.red(`  Cannot fetch the logo of ${chainId} ${address}: ${error}`));
+    }
+    if (result.pending.length > 0) {
+      await fs.outputFile(options.plan, JSON.stringify({ ...plan, items: result.pending, seen: result.seen }, null, 2) + '\n');
+      console.log(chalk.yellow(`  Left ${result.pending.length} changes in ${path.relative(ROOT, options.plan)} for \`npm run review\``));
+    }
+    stats.added += result.added.length;
+    stats.updated += result.updated.length;
+    stats.removed += result.removed.length;
+    stats.errors += result.errors.length;
+  } else {
+    await fs.outputFile(options.plan, JSON.stringify(plan, null, 2) + '\n');
+    stats.added += plan.items.filter(item => item.action === 'add').length;
+    stats.updated += plan.items.filter(item => item.action === 'update').length;
+    stats.removed += plan.items.filter(item => item.action === 'remove').length;
+  }
+
+  // Print summary
+  console.log(chalk.blue('\n-----------------------------------'));
+  console.log(chalk.blue('Sync Summary:'));
+  console.log(chalk.blue('-----------------------------------'));
+  console.log(`${options.apply ? 'Added' : 'Tokens to add'}: ${chalk.green(stats.added)}`);
+  console.log(`${options.apply ? 'Updated' : 'Fields to update'}: ${chalk.yellow(stats.updated)}`);
+  console.log(`${options.apply ? 'Removed' : 'Tokens to remove'}: ${chalk.red(stats.removed)}`);
+  console.log(`Conflicts left for review: ${chalk.magenta(stats.conflicts)}`);
+  console.log(`Rejected in an earlier review: ${stats.rejectedBefore}`);
+  console.log(`Rejected upstream entries: ${stats.rejected}`);
+  console.log(`Skipped: ${stats.skipped}`);
+  console.log(`Errors: ${chalk.red(stats.errors)}`);
+
+  const changed = stats.added > 0 || stats.updated > 0 || stats.removed > 0;
+  if (!options.apply && changed) {
+    console.log(chalk.green(`\nPlan written to ${path.relative(ROOT, options.plan)}; run \`npm run review\` to accept or reject the changes`));
+  } else if (options.apply && changed) {
+    console.log(chalk.green('\nRun `npm run logos`, `npm run validate` and `npm run build` to size the new logos, check and publish the changes'));
+  }
+
+  process.exitCode = stats.errors > 0 ? 1 : 0;
+}
+
+main().catch(error => {
+  console.error(chalk.red(`Error: ${error.message}`));
+  process.exit(1);
+});
@@ -9,9 +9,47 @@
 const fs = require('fs-extra');
 const path = require('path');
 const { glob } = require('glob');
-const { ethers } = require('ethers');
 const chalk = require('chalk');
 const { execSync } = require('child_process');
+const os = require('os');
+const http = require('http');
+const tokenList = require('../index');
+const { TokenRegistry } = require('../lib/registry');
+const { getSchemaErrors, getPublishedExtensions } = require('../lib/tokenlist');
+const { diffTokenLists, diffAssets } = require('../lib/diff');
+const { getBumpType, bumpVersion, getNextRelease, writeVersionFile } = require('../lib/versioning');
+const { buildLists } = require('./publish-lists');
+const { buildTokenListFiles } = require('./build');
+const { getLogoBaseURL, parseLogoURL, LOGO_SIZES, getLogoSize } = require('../lib/logos');
+const { normalizeLogoURI } = require('./update-token-lists');
+const logoURLChecks = require('./validate-logo-urls');
+const { getAddressErrors, getLogoFileErrors, formatAddress, fixAddresses } = require('../lib/addresses');
+const { parseJSONWithPositions, getRange } = require('../lib/json-source');
+const { validateSchema } = require('../lib/schemas');
+const { createFinding, formatReport, getExitCode } = require('../lib/report');
+const { resolveLogoPath, validateTokenEntry, validateTokenList, validateLogoSimilarity } = require('../lib/validation');
+const { crc32, inspectImage, getLogoRuleErrors } = require('../lib/images');
+const { processLogoDirectory, renderLogoSizes } = require('../lib/logo-pipeline');
+const { housekeepLogos } = require('../lib/logo-housekeeping');
+const { searchLoadedTokens } = require('../lib/search');
+const { hashLogo, hammingDistance, findLogoImpersonations } = require('../lib/logo-similarity');
+const { resolveImportLogo, readImportFile, planImport, applyImport } = require('../lib/import');
+const {
+  readSource,
+  DEFAULT_MERGE_POLICY,
+  loadMergePolicy,
+  mergeSources,
+  proposeChanges,
+  fetchLogo,
+  applyChanges,
+  loadRejections,
+  createSyncPlan,
+  loadReviewRules,
+  applyReviewRules,
+  applySyncPlan
+} = require('../lib/sync');
+
+const FIXTURES_DIR = path.join(__dirname, '..', 'test', 'fixtures');
 
 // Track test statistics
 const stats = {
@@ -83,7 +121,7 @@ async function testValidJson() {
  * Test that all token lists have the correct structure
  */
 async function testTokenListStructure() {
-  const jsonFiles = await glob('assets/**/*.json', { posix: true });
+  const jsonFiles = await glob('assets/*/*.json', { posix: true });
   
   for (const file of jsonFiles) {
     const content = await fs.readFile(file, 'utf8');
@@ -96,10 +134,10 @@ async function testTokenListStructure() {
 }
 
 /**
- * Test that all addresses are in checksum format
+ * Test that all addresses and logo file names follow the address policy
  */
-async function testAddressChecksum() {
-  const jsonFiles = await glob('assets/**/*.json', { posix: true });
+async function testAddressPolicy() {
+  const jsonFiles = await glob('assets/*/*.json', { posix: true });
   
   for (const file of jsonFiles) {
     const content = await fs.readFile(file, 'utf8');
@@ -110,14 +148,82 @@ async function testAddressChecksum() {
         throw new Error(`Token missing address in ${file}`);
       }
       
-      const checksumAddress = ethers.getAddress(token.address);
-      if (token.address !== checksumAddress) {
-        throw new Error(`Address not in checksum format in ${file}: ${token.address}`);
+      const errors = [...getAddressErrors(token.address), ...getLogoFileErrors(token)];
+      if (errors.length > 0) {
+        throw new Error(`Address policy violated in ${file}: ${errors.map(error => error.message).join(', ')}`);
       }
     }
   }
 }
 
+/**
+ * Test the address policy rules and the fixer
+ */
+async function testAddressFixer() {
+  const checksummed = '0xa813d175675C7F19Bb7fD541F5AD1bcAF2117FE7';
+  const lowercase = checksummed.toLowerCase();
+  const mistyped = '0xA813d175675C7F19Bb7fD541F5AD1bcAF2117FE7';
+
+  if (getAddressErrors(lowercase, 'lowercase').length !== 0 || getAddressErrors(checksummed, 'checksum').length !== 0) {
+    throw new Error('Addresses in the policy casing should pass');
+  }
+  if (getAddressErrors(checksummed, 'lowercase').length !== 1 || getAddressErrors(lowercase, 'checksum').length !== 1) {
+    throw new Error('Addresses in the other casing should fail');
+  }
+  if (getAddressErrors(mistyped, 'checksum')[0].rule !== 'address.checksum') {
+    throw new Error('A mixed-case address with a bad checksum should be reported as mistyped');
+  }
+  if (formatAddress(lowercase, 'checksum') !== checksummed) {
+    throw new Error('formatAddress should checksum addresses under the checksum policy');
+  }
+
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'token-list-addresses-'));
+  try {
+    const token = {
+      chainId: 43114,
+      address: checksummed,
+      name: 'Peon',
+      symbol: 'PEON',
+      decimals: 18,
+      logoURI: `./logos/${checksummed}.png`
+    };
+    const bad = { ...token, address: mistyped, logoURI: `./logos/${mistyped}.png` };
+
+    await fs.outputFile(path.join(root, 'assets', '43114', 'common.json'), JSON.stringify({ tokens: [token, bad] }, null, 2));
+    await fs.outputFile(path.join(root, 'assets', '43114', 'popular.json'), JSON.stringify({ tokens: [token] }, null, 2));
+    await fs.outputFile(path.join(root, 'assets', '43114', 'logos', `${checksummed}.png`), 'logo');
+
+    const dryRun = await fixAddresses({ root, policy: 'lowercase', dryRun: true });
+    if (dryRun.tokens.length !== 2 || !await fs.pathExists(path.join(root, 'assets', '43114', 'logos', `${checksummed}.png`))) {
+      throw new Error('A dry run should report the fixes without applying them');
+    }
+
+    const result = await fixAddresses({ root, policy: 'lowercase' });
+    if (result.tokens.length !== 2 || result.logos.length !== 1 || result.errors.length !== 1) {
+      throw new Error(`Unexpected fix result: ${JSON.stringify(result)}`);
+    }
+
+    const common = await fs.readJson(path.join(root, 'assets', '43114', 'common.json'));
+    const popular = await fs.readJson(path.join(root, 'assets', '43114', 'popular.json'));
+    const logos = await fs.readdir(path.join(root, 'assets', '43114', 'logos'));
+
+    if (common.tokens[0].address !== lowercase || popular.tokens[0].logoURI !== `./logos/${lowercase}.png`) {
+      throw new Error('Token entries should be rewritten together with their logo URIs');
+    }
+    if (!(await fs.readFile(path.join(root, 'assets', '43114', 'common.json'), 'utf8')).endsWith('}\n')) {
+      throw new Error('Rewritten lists should end with a newline');
+    }
+    if (common.tokens[1].address !== mistyped) {
+      throw new Error('An address with a bad checksum should be left for a human to fix');
+    }
+    if (logos.length !== 1 || logos[0] !== `${lowercase}.png`) {
+      throw new Error(`Logo file should be renamed, found ${logos.join(', ')}`);
+    }
+  } finally {
+    await fs.remove(root);
+  }
+}
+
 /**
  * Test that popular tokens are a subset of common tokens
  */
@@ -161,6 +267,1350 @@ async function testValidateScript() {
   }
 }
 
+/**
+ * Test that the token registry loads each chain once and serves indexed lookups
+ */
+async function testTokenRegistry() {
+  const registry = new TokenRegistry();
+
+  let syncError = null;
+  try {
+    registry.getTokensSync(43114);
+  } catch (error) {
+    syncError = error;
+  }
+  if (!syncError) {
+    throw new Error('Synchronous lookup should fail before the chain is loaded');
+  }
+
+  await registry.warmUp();
+
+  const chainIds = await registry.getChainIds();
+  for (const chainId of chainIds) {
+    if (!registry.isLoaded(chainId)) {
+      throw new Error(`Chain ${chainId} was not loaded by warmUp()`);
+    }
+  }
+
+  const tokens = registry.getTokensSync(43114);
+  if (await registry.getTokens(43114) !== tokens) {
+    throw new Error('getTokens() re-read a chain that was already loaded');
+  }
+
+  const usdc = registry.getTokenByAddressSync(43114, '0xB97EF9EF8734C71904D8002F8B6BC66DD9C48A6E');
+  if (!usdc || usdc.symbol !== 'USDC') {
+    throw new Error('Address lookup should be case-insensitive');
+  }
+
+  const bySymbol = registry.getTokensBySymbolSync(43114, 'usdc');
+  if (!bySymbol.includes(usdc)) {
+    throw new Error('Symbol lookup did not return USDC');
+  }
+
+  await registry.reload(43114);
+  if (registry.getTokensSync(43114) === tokens) {
+    throw new Error('reload() did not replace the cached tokens');
+  }
+
+  // A load that was running when reload() was called must not overwrite the reloaded list
+  const racing = new TokenRegistry();
+  const stale = racing.getTokens(43114);
+  await racing.reload(43114);
+  const reloaded = racing.getTokensSync(43114);
+  await stale;
+  if (racing.getTokensSync(43114) !== reloaded) {
+    throw new Error('A load started before reload() replaced the reloaded tokens');
+  }
+
+  const copies = await tokenList.getTokens(43114);
+  copies.sort((a, b) => a.symbol.localeCompare(b.symbol));
+  copies[0].name = 'Changed';
+  if ((await tokenList.getTokens(43114)).some(token => token.name === 'Changed')) {
+    throw new Error('getTokens() returned the registry\'s shared tokens');
+  }
+
+  const [searched] = await tokenList.searchTokens('usdc', { chainId: 43114 });
+  const resolved = await tokenList.resolveToken('usdc on avax');
+  if (Object.isFrozen(searched.token) || searched.ambiguousWith.some(Object.isFrozen) || Object.isFrozen(resolved.token)) {
+    throw new Error('searchTokens() and resolveToken() should return copies of the registry\'s tokens');
+  }
+
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'token-list-copies-'));
+  try {
+    const token = {
+      chainId: 43114,
+      address: '0x0000000000000000000000000000000000000001',
+      name: 'Coin',
+      symbol: 'COIN',
+      decimals: 18,
+      extensions: { sources: ['traderjoe'] }
+    };
+    await fs.outputFile(path.join(root, 'assets', '43114', 'common.json'), JSON.stringify({ tokens: [token] }, null, 2));
+    await fs.outputFile(path.join(root, 'assets', '43114', 'popular.json'), JSON.stringify({ tokens: [] }, null, 2));
+
+    const local = tokenList.createTokenList({ root });
+    (await local.getTokens(43114))[0].extensions.sources.push('changed');
+    if ((await local.getTokenByAddress(43114, token.address)).extensions.sources.length !== 1) {
+      throw new Error('Token copies should not share their extensions');
+    }
+  } finally {
+    await fs.remove(root);
+  }
+}
+
+/**
+ * Test that token lists resolve their paths from the configured root, not the working directory
+ */
+async function testTokenListRoot() {
+  const cwd = process.cwd();
+  let chainIds;
+
+  try {
+    process.chdir(os.tmpdir());
+    chainIds = await tokenList.getChainIds();
+  } finally {
+    process.chdir(cwd);
+  }
+
+  for (const chainId of [1, 43113, 43114]) {
+    if (!chainIds.includes(chainId)) {
+      throw new Error(`Chain ${chainId} missing when required from another working directory`);
+    }
+  }
+
+  const fixtureList = tokenList.createTokenList({ root: path.join(FIXTURES_DIR, 'token-list') });
+  const fixtureChainIds = await fixtureList.getChainIds();
+  if (fixtureChainIds.join(',') !== '1,137') {
+    throw new Error(`Expected fixture chains 1,137 but got ${fixtureChainIds.join(',')}`);
+  }
+
+  const fixtureTokens = await fixtureList.getTokens(1);
+  if (fixtureTokens.length !== 2) {
+    throw new Error(`Expected 2 fixture tokens on chain 1 but got ${fixtureTokens.length}`);
+  }
+
+  const restricted = tokenList.createTokenList({ root: path.join(FIXTURES_DIR, 'token-list'), chains: [137] });
+  if ((await restricted.getChainIds()).join(',') !== '137') {
+    throw new Error('The chains option did not restrict the chain list');
+  }
+
+  let rejected = false;
+  try {
+    await restricted.getTokens(1);
+  } catch (error) {
+    rejected = true;
+  }
+  if (!rejected) {
+    throw new Error('Loading a chain outside of the chains option should fail');
+  }
+}
+
+/**
+ * Test the documented hasToken and the batch address lookup
+ */
+async function testTokenLookups() {
+  if (!await tokenList.hasToken(43114, '0xb97ef9ef8734c71904d8002f8b6bc66dd9c48a6e')) {
+    throw new Error('hasToken() did not find USDC on chain 43114');
+  }
+
+  if (await tokenList.hasToken(43114, '0x000000000000000000000000000000000000dead')) {
+    throw new Error('hasToken() found a token that is not listed');
+  }
+
+  const found = await tokenList.getTokensByAddresses(43114, [
+    '0xB31F66AA3C1E785363F0875A1B74E27B85FD66C7',
+    '0xb97ef9ef8734c71904d8002f8b6bc66dd9c48a6e',
+    '0x000000000000000000000000000000000000dead'
+  ]);
+
+  if (!(found instanceof Map) || found.size !== 2) {
+    throw new Error(`Expected a Map with 2 tokens but got ${found.size}`);
+  }
+
+  if (found.get('0xb31f66aa3c1e785363f0875a1b74e27b85fd66c7').symbol !== 'WAVAX') {
+    throw new Error('Batch lookup should key results by lowercase address');
+  }
+}
+
+/**
+ * Test symbol and name search ranking and ambiguity reporting
+ */
+async function testSearchTokens() {
+  const results = await tokenList.searchTokens('usdc', { chainId: 43114 });
+
+  if (results.length === 0 || results[0].token.symbol !== 'USDC') {
+    throw new Error('Exact symbol hit should rank first');
+  }
+
+  if (!results[0].ambiguous || !results[0].ambiguousWith.some(token => token.symbol === 'USDC.e')) {
+    throw new Error('USDC on chain 43114 should be flagged as ambiguous with USDC.e');
+  }
+
+  const byName = await tokenList.searchTokens('Wrapped AVAX', { chainId: 43114, limit: 1 });
+  if (byName.length !== 1 || byName[0].token.symbol !== 'WAVAX' || byName[0].field !== 'name') {
+    throw new Error('Name search did not find WAVAX');
+  }
+
+  const limited = await tokenList.searchTokens('u', { chainId: 43114, limit: 3 });
+  if (limited.length !== 3) {
+    throw new Error(`Expected 3 results with limit 3 but got ${limited.length}`);
+  }
+
+  const popularIndex = limited.findIndex(result => result.popular);
+  const otherIndex = limited.findIndex(result => !result.popular && result.match !== 'exact');
+  if (popularIndex !== -1 && otherIndex !== -1 && popularIndex > otherIndex) {
+    throw new Error('Popular tokens should rank before other partial matches');
+  }
+
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'token-list-search-'));
+  try {
+    const tokens = [
+      { chainId: 43114, address: '0x0000000000000000000000000000000000000001', name: 'Unsymboled Coin', decimals: 18 },
+      { chainId: 43114, address: '0x0000000000000000000000000000000000000002', name: 'Coin', symbol: 'COIN', decimals: 18 }
+    ];
+    await fs.outputFile(path.join(root, 'assets', '43114', 'common.json'), JSON.stringify({ tokens }, null, 2));
+    await fs.outputFile(path.join(root, 'assets', '43114', 'popular.json'), JSON.stringify({ tokens: [] }, null, 2));
+
+    const registry = new TokenRegistry({ root });
+    await registry.warmUp();
+    const found = searchLoadedTokens(registry, [43114], 'coin');
+    if (found.length !== 2 || found[0].token.symbol !== 'COIN') {
+      throw new Error('A token without a symbol should be searchable by name');
+    }
+  } finally {
+    await fs.remove(root);
+  }
+}
+
+/**
+ * Test natural-language token resolution, including chain aliases and bridged variants
+ */
+async function testResolveToken() {
+  const usdc = await tokenList.resolveToken('USDC on avax');
+  if (usdc.chainId !== 43114 || usdc.address !== '0xb97ef9ef8734c71904d8002f8b6bc66dd9c48a6e') {
+    throw new Error(`"USDC on avax" resolved to ${usdc.chainId}:${usdc.address}`);
+  }
+  if (usdc.needsConfirmation || usdc.confidence < 0.8) {
+    throw new Error('"USDC on avax" should resolve with high confidence');
+  }
+
+  const weth = await tokenList.resolveToken('WETH mainnet');
+  if (weth.chainId !== 1 || weth.token.symbol !== 'WETH') {
+    throw new Error('"WETH mainnet" did not resolve to WETH on chain 1');
+  }
+
+  const fuji = await tokenList.resolveToken('usdc on fuji');
+  if (fuji.chainHint !== 43113) {
+    throw new Error('"fuji" should map to chain 43113');
+  }
+
+  const noChain = await tokenList.resolveToken('usdc');
+  if (!noChain.needsConfirmation || noChain.alternatives.length === 0) {
+    throw new Error('"usdc" without a chain should be ambiguous across chains');
+  }
+
+  const dai = await tokenList.resolveToken('dai on avalanche');
+  if (!dai.bridged || !dai.needsConfirmation || dai.reason !== 'bridged') {
+    throw new Error('A bridged variant must never be picked silently');
+  }
+
+  const daiE = await tokenList.resolveToken('DAI.e on c-chain');
+  if (daiE.token.symbol !== 'DAI.e' || daiE.needsConfirmation) {
+    throw new Error('An explicitly named bridged variant should resolve');
+  }
+
+  const missing = await tokenList.resolveToken('no such token on eth');
+  if (missing.address !== null || missing.reason !== 'not-found') {
+    throw new Error('Unknown tokens should resolve to nothing');
+  }
+
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'token-list-resolve-'));
+  try {
+    const unsymboled = '0x0000000000000000000000000000000000000001';
+    const tokens = [
+      { chainId: 43114, address: unsymboled, name: 'Unsymboled Coin', decimals: 18 },
+      { chainId: 43114, address: '0x0000000000000000000000000000000000000002', name: 'Coin', symbol: 'COIN', decimals: 18 }
+    ];
+    await fs.outputFile(path.join(root, 'assets', '43114', 'common.json'), JSON.stringify({ tokens }, null, 2));
+    await fs.outputFile(path.join(root, 'assets', '43114', 'popular.json'), JSON.stringify({ tokens: [] }, null, 2));
+
+    const local = tokenList.createTokenList({ root });
+    const byName = await local.resolveToken('unsymboled');
+    const coin = await local.resolveToken('coin');
+    if (byName.address !== unsymboled || coin.token.symbol !== 'COIN' || coin.alternatives[0].address !== unsymboled) {
+      throw new Error('A token without a symbol should resolve by name');
+    }
+  } finally {
+    await fs.remove(root);
+  }
+}
+
+/**
+ * Test that published lists follow the token list standard
+ */
+async function testPublishedLists() {
+  const { results } = await buildLists({ root: path.join(FIXTURES_DIR, 'token-list') });
+  const common = results.find(result => result.fileName === 'common_eth.json');
+
+  if (!common || common.errors.length > 0) {
+    throw new Error(`common_eth.json failed schema validation: ${JSON.stringify(common && common.errors)}`);
+  }
+
+  const { list } = common;
+  for (const field of ['name', 'timestamp', 'version', 'logoURI', 'keywords', 'tags']) {
+    if (list[field] === undefined) {
+      throw new Error(`Published list is missing '${field}'`);
+    }
+  }
+
+  const usdc = list.tokens.find(token => token.symbol === 'USDC');
+  if (!usdc.logoURI.startsWith('https://') || !usdc.tags.includes('popular')) {
+    throw new Error('Published tokens need absolute logo URLs and popular tags');
+  }
+
+  if (!results.find(result => result.fileName === 'popular_137.json').skipped) {
+    throw new Error('Empty lists should be skipped');
+  }
+
+  const { name, ...unnamed } = list;
+  if (getSchemaErrors(unnamed).length === 0) {
+    throw new Error('A list without a name should fail schema validation');
+  }
+}
+
+/**
+ * Test that list versions are bumped according to the token list standard
+ */
+async function testListVersioning() {
+  const token = { chainId: 1, address: '0xabc', name: 'Token', symbol: 'TKN', decimals: 18, logoURI: './logos/0xabc.png' };
+  const other = { ...token, address: '0xdef', symbol: 'OTH' };
+
+  const cases = [
+    { next: [token, other], expected: 'minor' },
+    { next: [], expected: 'major' },
+    { next: [{ ...token, decimals: 6 }], expected: 'major' },
+    { next: [{ ...token, name: 'Renamed' }], expected: 'patch' },
+    { next: [{ ...token, address: '0xABC' }], expected: null }
+  ];
+
+  for (const { next, expected } of cases) {
+    const bump = getBumpType(diffTokenLists([token], next));
+    if (bump !== expected) {
+      throw new Error(`Expected a ${expected} bump but got ${bump} for ${JSON.stringify(next)}`);
+    }
+  }
+
+  const version = bumpVersion({ major: 1, minor: 2, patch: 3 }, 'minor');
+  if (version.major !== 1 || version.minor !== 3 || version.patch !== 0) {
+    throw new Error(`Minor bump of 1.2.3 gave ${JSON.stringify(version)}`);
+  }
+
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'token-list-versions-'));
+  try {
+    const initial = await getNextRelease(root, 1, { common: [token], popular: [] }, { timestamp: '2024-01-01T00:00:00.000Z' });
+    await writeVersionFile(root, initial);
+
+    const unchanged = await getNextRelease(root, 1, { common: [token], popular: [] });
+    if (unchanged.bump !== null || unchanged.timestamp !== '2024-01-01T00:00:00.000Z') {
+      throw new Error('An unchanged chain should keep its version and timestamp');
+    }
+
+    const added = await getNextRelease(root, 1, { common: [token, other], popular: [other] });
+    if (added.bump !== 'minor' || added.version.minor !== 1) {
+      throw new Error(`Adding tokens should be a minor release, got ${added.bump}`);
+    }
+  } finally {
+    await fs.remove(root);
+  }
+}
+
+/**
+ * Test the semantic diff of token lists
+ */
+async function testDiffTokenLists() {
+  const usdc = { chainId: 1, address: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48', name: 'USD Coin', symbol: 'USDC', decimals: 6 };
+  const weth = { chainId: 1, address: '0xc02aaa39b223fe8d0a0e5c4f27ead9083c756cc2', name: 'Wrapped Ether', symbol: 'WETH', decimals: 18 };
+  const dai = { chainId: 1, address: '0x6b175474e89094c44da98b954eedeac495271d0f', name: 'Dai', symbol: 'DAI', decimals: 18 };
+
+  const diff = diffTokenLists(
+    { tokens: [usdc, weth] },
+    { tokens: [dai, { ...usdc, address: usdc.address.toUpperCase().replace('0X', '0x'), name: 'USDC' }] }
+  );
+
+  if (diff.added.length !== 1 || diff.added[0] !== dai) {
+    throw new Error('DAI should be reported as added');
+  }
+  if (diff.removed.length !== 1 || diff.removed[0] !== weth) {
+    throw new Error('WETH should be reported as removed');
+  }
+  if (diff.modified.length !== 1 || diff.modified[0].changes.length !== 1 || diff.modified[0].changes[0].field !== 'name') {
+    throw new Error(`Only the name of USDC should be modified, got ${JSON.stringify(diff.modified)}`);
+  }
+
+  const sameAddressOtherChain = diffTokenLists([usdc], [{ ...usdc, chainId: 137 }]);
+  if (sameAddressOtherChain.added.length !== 1 || sameAddressOtherChain.removed.length !== 1) {
+    throw new Error('Tokens must be matched by chain ID as well as address');
+  }
+
+  const assetsDiff = diffAssets(
+    { 1: { common: [usdc, weth], popular: [usdc] } },
+    { 1: { common: [usdc, weth], popular: [weth] } }
+  );
+  if (assetsDiff[1].popularAdded[0] !== weth || assetsDiff[1].popularRemoved[0] !== usdc) {
+    throw new Error('Moves into and out of popular.json should be reported');
+  }
+}
+
+/**
+ * Test that tokenlists/ is generated from assets/ and committed up to date
+ */
+async function testGeneratedTokenLists() {
+  const fixtureFiles = await buildTokenListFiles({ root: path.join(FIXTURES_DIR, 'token-list') });
+  const commonEth = JSON.parse(fixtureFiles.get('common_eth.json'));
+
+  if (!commonEth.tokens[0].logoURI.startsWith('https://raw.githubusercontent.com/First-Point/cosmohub-token-list/')) {
+    throw new Error(`Logo URIs should be absolute, got ${commonEth.tokens[0].logoURI}`);
+  }
+
+  const files = await buildTokenListFiles();
+  for (const [fileName, content] of files) {
+    const committed = await fs.readFile(path.join('tokenlists', fileName), 'utf8');
+    if (committed !== content) {
+      throw new Error(`tokenlists/${fileName} is out of date, run npm run build`);
+    }
+  }
+}
+
+/**
+ * Test building and resolving pinned and CDN logo URLs
+ */
+async function testLogoURLs() {
+  const address = '0xB97EF9Ef8734C71904D8002F8b6Bc66Dd9c48a6E';
+  const sha = 'ae237383bd180b1c1fefd897fac1f9524910a8f5';
+  const repo = 'First-Point/cosmohub-token-list';
+  const forms = [
+    `https://raw.githubusercontent.com/${repo}/refs/heads/main/assets/43114/logos/${address}.png`,
+    `https://raw.githubusercontent.com/${repo}/${sha}/assets/43114/logos/${address}.png`,
+    `https://raw.githubusercontent.com/${repo}/v1.2.0/assets/43114/logos/${address}.png`,
+    `https://github.com/${repo}/raw/${sha}/assets/43114/logos/${address}.png`,
+    `https://cdn.jsdelivr.net/gh/${repo}@v1.2.0/assets/43114/logos/${address}.png`
+  ];
+
+  for (const uri of forms) {
+    const parsed = parseLogoURL(uri);
+    if (!parsed || parsed.path !== `assets/43114/logos/${address}.png` || parsed.chainId !== 43114) {
+      throw new Error(`Logo URL was not parsed: ${uri}`);
+    }
+    if (resolveLogoPath(uri, 43114) !== parsed.path) {
+      throw new Error(`validate.js could not resolve ${uri}`);
+    }
+    if (resolveLogoPath(uri, 1) !== null) {
+      throw new Error(`A logo of another chain should not resolve: ${uri}`);
+    }
+
+    const normalized = normalizeLogoURI(uri);
+    if (normalized !== uri.replace(address, address.toLowerCase())) {
+      throw new Error(`Logo URL was not normalized correctly: ${normalized}`);
+    }
+  }
+
+  const cdnURI = `https://cdn.example.com/tokens/v3/assets/43114/logos/${address}.png`;
+  if (parseLogoURL(cdnURI) !== null) {
+    throw new Error('Unknown hosts should only be recognized when configured');
+  }
+  if (parseLogoURL(cdnURI, ['https://cdn.example.com/tokens/v3/']).base !== 'https://cdn.example.com/tokens/v3') {
+    throw new Error('A configured CDN prefix should be recognized');
+  }
+  if (parseLogoURL('https://example.com/logo.png') !== null) {
+    throw new Error('External logo URLs should not be parsed');
+  }
+
+  if (getLogoBaseURL({ ref: sha }) !== `https://raw.githubusercontent.com/${repo}/${sha}`) {
+    throw new Error(`Unexpected pinned base URL: ${getLogoBaseURL({ ref: sha })}`);
+  }
+
+  const root = path.join(FIXTURES_DIR, 'token-list');
+  const timestamp = '2024-01-01T00:00:00.000Z';
+  const pinned = await buildLists({ root, timestamp, logoRef: 'v1.2.0' });
+  const cdn = await buildLists({ root, timestamp, logoBaseURL: 'https://cdn.example.com/tokens/' });
+
+  for (const result of pinned.results.filter(result => result.list)) {
+    for (const token of result.list.tokens) {
+      if (!token.logoURI.startsWith(`https://raw.githubusercontent.com/${repo}/v1.2.0/assets/`)) {
+        throw new Error(`Logo URL is not pinned: ${token.logoURI}`);
+      }
+    }
+  }
+  for (const result of cdn.results.filter(result => result.list)) {
+    if (result.errors.length > 0 || !result.list.tokens[0].logoURI.startsWith('https://cdn.example.com/tokens/assets/')) {
+      throw new Error(`Logo URL does not use the CDN: ${result.list.tokens[0].logoURI}`);
+    }
+  }
+}
+
+/**
+ * Test schema validation with JSON pointers and source positions
+ */
+async function testSchemaValidation() {
+  const jsonFiles = await glob('assets/*/*.json', { posix: true });
+  for (const file of jsonFiles) {
+    const violations = validateSchema('token-file', await fs.readJson(file));
+    if (violations.length > 0) {
+      throw new Error(`${file} violates the token file schema: ${violations[0].pointer} ${violations[0].message}`);
+    }
+  }
+
+  const content = await fs.readFile(path.join(FIXTURES_DIR, 'schema', 'invalid-tokens.json'), 'utf8');
+  const { data, positions } = parseJSONWithPositions(content);
+  const violations = validateSchema('token-file', data, positions);
+  const find = pointer => violations.find(violation => violation.pointer === pointer);
+
+  const unknownKey = find('/tokens/0/logoUri');
+  if (!unknownKey || unknownKey.line !== 9 || unknownKey.column !== 7) {
+    throw new Error(`The logoUri typo should be reported at its key, got ${JSON.stringify(unknownKey)}`);
+  }
+
+  const missing = find('/tokens/0');
+  if (!missing || !missing.message.includes('logoURI') || missing.line !== 3) {
+    throw new Error(`The missing logoURI should be reported at the token, got ${JSON.stringify(missing)}`);
+  }
+
+  const decimals = find('/tokens/1/decimals');
+  if (!decimals || decimals.line !== 16 || decimals.column !== 19) {
+    throw new Error(`The string decimals should be reported at the value, got ${JSON.stringify(decimals)}`);
+  }
+
+  if (!find('/version')) {
+    throw new Error('Unknown top-level keys of the file should be rejected');
+  }
+
+  try {
+    parseJSONWithPositions('{\n  "tokens": []\n}.');
+    throw new Error('Trailing characters should not parse');
+  } catch (error) {
+    if (error.line !== 3 || error.column !== 2) {
+      throw new Error(`Parse errors should carry their position, got ${error.message}`);
+    }
+  }
+}
+
+/**
+ * Test that remote logo URLs are checked in batches with progress output
+ */
+async function testLogoURLChecks() {
+  const server = http.createServer((request, response) => {
+    response.statusCode = request.url === '/ok.png' ? 200 : 404;
+    response.end();
+  });
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${server.address().port}`;
+
+  try {
+    await logoURLChecks.processBatch([`${base}/ok.png`, `${base}/missing.png`]);
+    const { stats, findings } = logoURLChecks;
+    if (stats.checkedUrls !== 2 || stats.workingUrls !== 1 || stats.brokenUrls !== 1 ||
+        findings.length !== 1 || findings[0].ruleId !== 'logo.unreachable' || !findings[0].message.includes('404')) {
+      throw new Error(`Expected one working and one broken URL, got ${JSON.stringify(stats)}`);
+    }
+  } finally {
+    server.close();
+  }
+}
+
+/**
+ * Test the shared finding model and the report formats
+ */
+async function testValidationReports() {
+  const findings = [
+    createFinding('address.case', 'address must be lowercase', {
+      file: 'assets/1/common.json',
+      token: '0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48',
+      pointer: '/tokens/0/address',
+      line: 5,
+      column: 18
+    }),
+    createFinding('list.empty', 'assets/137/popular.json has an empty tokens array', { file: 'assets/137/popular.json' })
+  ];
+
+  if (findings[1].severity !== 'warning' || getExitCode(findings) !== 1 || getExitCode([findings[1]]) !== 0) {
+    throw new Error('Only error findings should fail a run');
+  }
+
+  const text = formatReport(findings, { format: 'text', tool: 'validate', color: false });
+  if (!text.includes('assets/1/common.json:5:18 [address.case] address must be lowercase')) {
+    throw new Error(`Text report should show file:line:col and the rule, got ${text}`);
+  }
+
+  const json = JSON.parse(formatReport(findings, { format: 'json', tool: 'validate' }));
+  if (json.errors !== 1 || json.warnings !== 1 || json.findings[0].ruleId !== 'address.case') {
+    throw new Error('JSON report should list the findings with their rule IDs');
+  }
+
+  const sarif = JSON.parse(formatReport(findings, { format: 'sarif', tool: 'validate' }));
+  const result = sarif.runs[0].results[0];
+  if (sarif.version !== '2.1.0' || result.ruleId !== 'address.case' ||
+      result.locations[0].physicalLocation.region.startLine !== 5 ||
+      sarif.runs[0].tool.driver.rules[result.ruleIndex].id !== 'address.case') {
+    throw new Error('SARIF report should reference its rules and locate results');
+  }
+
+  const junit = formatReport(findings, {
+    format: 'junit',
+    tool: 'validate',
+    files: ['assets/1/common.json', 'assets/1/popular.json', 'assets/137/popular.json']
+  });
+  if (!junit.includes('tests="3" failures="1"') || !junit.includes('<testcase classname="validate" name="assets/1/popular.json"/>') ||
+      !junit.includes('type="address.case"')) {
+    throw new Error(`JUnit report should have one test case per file, got ${junit}`);
+  }
+
+  const annotated = createFinding('schema.violation', 'unknown property "logoUri"\nuse logoURI', {
+    file: 'assets/1/common.json',
+    token: '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48',
+    line: 9,
+    column: 7,
+    endLine: 11
+  });
+  const github = formatReport([...findings, annotated], { format: 'github', tool: 'validate' }).split('\n');
+  if (github[0] !== '::error file=assets/1/common.json,line=5,col=18,title=address.case::address must be lowercase (0xA0b86991c6218b36c1d19D4a2e9Eb0cE3606eB48)' ||
+      github[1] !== '::warning file=assets/137/popular.json,title=list.empty::assets/137/popular.json has an empty tokens array' ||
+      github[2] !== '::error file=assets/1/common.json,line=9,endLine=11,title=schema.violation::unknown property "logoUri"%0Ause logoURI (0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48)') {
+    throw new Error(`GitHub report should emit one escaped annotation per finding, got ${github.join('\n')}`);
+  }
+
+  const { positions } = parseJSONWithPositions('{\n  "tokens": [\n    {\n      "chainId": 1\n    }\n  ]\n}');
+  const range = getRange(positions, '/tokens/0');
+  if (!range || range.start.line !== 3 || range.end.line !== 5) {
+    throw new Error('getRange should return where a token object starts and ends');
+  }
+
+  let output;
+  try {
+    output = execSync('node scripts/validate.js --format json', { stdio: ['ignore', 'pipe', 'ignore'] }).toString();
+  } catch (error) {
+    output = error.stdout.toString();
+  }
+  const report = JSON.parse(output);
+  if (report.tool !== 'validate' || !Array.isArray(report.findings)) {
+    throw new Error('validate.js --format json should print only the JSON report to stdout');
+  }
+}
+
+/**
+ * Test that --changed-since only validates the tokens a change touches
+ */
+async function testChangedSince() {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'token-list-changes-'));
+  const git = args => execSync(`git -c user.name=test -c user.email=test@example.com ${args}`, { cwd: root, stdio: 'ignore' });
+  const token = (address, symbol) => ({
+    chainId: 43114,
+    address,
+    name: symbol,
+    symbol,
+    decimals: 18,
+    logoURI: `./logos/${address}.png`
+  });
+  const writeList = (kind, tokens) => fs.outputFile(
+    path.join(root, 'assets', '43114', `${kind}.json`),
+    JSON.stringify({ tokens }, null, 2)
+  );
+  const validate = () => {
+    try {
+      return JSON.parse(execSync(`node ${path.join(__dirname, 'validate.js')} --changed-since HEAD --format json`, {
+        cwd: root,
+        stdio: ['ignore', 'pipe', 'ignore']
+      }).toString());
+    } catch (error) {
+      return JSON.parse(error.stdout.toString());
+    }
+  };
+
+  try {
+    // An existing token whose logo is missing must not fail unrelated changes
+    const existing = token('0x1111111111111111111111111111111111111111', 'OLD');
+    await fs.ensureDir(path.join(root, 'assets', '43114', 'logos'));
+    await writeList('common', [existing]);
+    await writeList('popular', [existing]);
+    git('init -q');
+    git('add -A');
+    git('commit -q -m initial');
+
+    if (validate().findings.length !== 0) {
+      throw new Error('Nothing changed, so nothing should be validated');
+    }
+
+    const added = token('0x2222222222222222222222222222222222222222', 'NEW');
+    const stray = token('0x3333333333333333333333333333333333333333', 'STRAY');
+    const logo = path.join(__dirname, '..', 'assets', '43114', 'logos', '0x0000000000000000000000000000000000000000.png');
+    for (const { address } of [added, stray]) {
+      await fs.copy(logo, path.join(root, 'assets', '43114', 'logos', `${address}.png`));
+    }
+    await writeList('common', [existing, added]);
+    await writeList('popular', [existing, stray]);
+
+    let findings = validate().findings.map(finding => `${finding.ruleId} ${finding.token}`);
+    if (JSON.stringify(findings) !== JSON.stringify([`popular.not-subset ${stray.address}`])) {
+      throw new Error(`Expected only the cross-file check to fail, got ${findings.join(', ')}`);
+    }
+
+    // Modifying a token brings it into scope in both lists
+    await writeList('common', [{ ...existing, name: 'Renamed' }, added]);
+    await writeList('popular', [existing]);
+
+    findings = validate().findings.map(finding => `${finding.file} ${finding.ruleId}`);
+    if (JSON.stringify(findings) !== JSON.stringify([
+      'assets/43114/common.json logo.missing',
+      'assets/43114/popular.json logo.missing'
+    ])) {
+      throw new Error(`Expected the modified token to be validated, got ${findings.join(', ')}`);
+    }
+  } finally {
+    await fs.remove(root);
+  }
+}
+
+/**
+ * Test that the validation rules can be used without the CLI or the filesystem
+ */
+async function testValidationLibrary() {
+  if (tokenList.validateTokenEntry !== validateTokenEntry || tokenList.validateTokenList !== validateTokenList) {
+    throw new Error('The validation functions should be exported from the package');
+  }
+
+  const token = {
+    chainId: 43114,
+    address: '0xb97ef9ef8734c71904d8002f8b6bc66dd9c48a6e',
+    name: 'USD Coin',
+    symbol: 'USDC',
+    decimals: 6,
+    logoURI: './logos/0xb97ef9ef8734c71904d8002f8b6bc66dd9c48a6e.png'
+  };
+
+  // The logo file doesn't exist, which isn't checked unless asked
+  const missingLogo = { ...token, logoURI: './logos/0x000000000000000000000000000000000000dead.png' };
+  if ((await validateTokenEntry(missingLogo)).length !== 0) {
+    throw new Error('validateTokenEntry should not touch the filesystem by default');
+  }
+  const logoFindings = await validateTokenEntry(missingLogo, { checkLogoFiles: true });
+  if (logoFindings.length !== 1 || logoFindings[0].ruleId !== 'logo.missing') {
+    throw new Error('validateTokenEntry should check the logo file when asked');
+  }
+
+  const custom = await validateTokenEntry({ ...token, chainId: 1, decimals: '6', logoUri: 'x' }, { chainId: 43114 });
+  const rules = custom.map(finding => `${finding.ruleId} ${finding.pointer}`).sort();
+  const expected = ['chain.mismatch /chainId', 'schema.violation /decimals', 'schema.violation /logoUri'];
+  if (JSON.stringify(rules) !== JSON.stringify(expected)) {
+    throw new Error(`Expected ${expected.join(', ')}, got ${rules.join(', ')}`);
+  }
+
+  const findings = await validateTokenList({ tokens: [token, { ...token, address: token.address.toUpperCase().replace('0X', '0x') }] });
+  if (findings.length !== 2 || !findings.some(finding => finding.ruleId === 'address.duplicate') ||
+      !findings.some(finding => finding.ruleId === 'address.case' && finding.pointer === '/tokens/1/address')) {
+    throw new Error(`validateTokenList should report per-token and list-wide findings, got ${findings.map(finding => finding.ruleId).join(', ')}`);
+  }
+}
+
+/**
+ * Test that logo headers are inspected and checked against the logo rules
+ */
+async function testLogoImages() {
+  const chunk = (type, data) => {
+    const body = Buffer.concat([Buffer.from(type, 'latin1'), data]);
+    const length = Buffer.alloc(4);
+    const crc = Buffer.alloc(4);
+    length.writeUInt32BE(data.length);
+    crc.writeUInt32BE(crc32(body));
+    return Buffer.concat([length, body, crc]);
+  };
+  const png = (width, height, colorType, extra = []) => {
+    const header = Buffer.alloc(13);
+    header.writeUInt32BE(width, 0);
+    header.writeUInt32BE(height, 4);
+    header[8] = 8;
+    header[9] = colorType;
+    return Buffer.concat([
+      Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]),
+      chunk('IHDR', header),
+      ...extra,
+      chunk('IDAT', Buffer.from([0x78, 0x9c, 0x03, 0x00, 0x00, 0x00, 0x00, 0x01])),
+      chunk('IEND', Buffer.alloc(0))
+    ]);
+  };
+  const rules = buffer => getLogoRuleErrors(inspectImage(buffer)).map(error => error.rule);
+
+  const logo = inspectImage(png(128, 128, 6));
+  if (logo.format !== 'png' || logo.width !== 128 || logo.colorType !== 'rgba' || !logo.hasTransparency || rules(png(128, 128, 6)).length !== 0) {
+    throw new Error('A 128x128 RGBA PNG should pass the default rules');
+  }
+
+  if (JSON.stringify(rules(png(4000, 200, 2))) !== JSON.stringify(['logo.not-square', 'logo.dimensions']) ||
+      JSON.stringify(rules(png(1, 1, 2))) !== JSON.stringify(['logo.dimensions'])) {
+    throw new Error('Banners and tiny images should break the size rules');
+  }
+
+  const opaque = inspectImage(png(64, 64, 3));
+  const withTRNS = inspectImage(png(64, 64, 3, [chunk('PLTE', Buffer.alloc(3)), chunk('tRNS', Buffer.from([0]))]));
+  const strict = { requireTransparency: true, colorTypes: ['rgba', 'palette'] };
+  if (getLogoRuleErrors(opaque, strict)[0].rule !== 'logo.transparency' || getLogoRuleErrors(withTRNS, strict).length !== 0 ||
+      getLogoRuleErrors(inspectImage(png(64, 64, 2)), strict)[0].rule !== 'logo.color-type') {
+    throw new Error('Color type and transparency rules should be configurable');
+  }
+
+  const corrupt = png(64, 64, 6);
+  corrupt[20] ^= 0xff;
+  const truncated = png(64, 64, 6).subarray(0, 50);
+  const webp = Buffer.from('RIFF\0\0\0\0WEBPVP8 ', 'latin1');
+  for (const [name, buffer, message] of [['corrupt', corrupt, 'bad CRC'], ['truncated', truncated, 'truncated'], ['WebP', webp, 'WebP']]) {
+    const errors = getLogoRuleErrors(inspectImage(buffer));
+    if (errors.length === 0 || errors[0].rule !== 'logo.invalid' || !errors[0].message.includes(message)) {
+      throw new Error(`A ${name} file should be reported as invalid, got ${JSON.stringify(errors)}`);
+    }
+  }
+
+  // SOI, a baseline SOF0 frame of 96x64 with 3 components, SOS and EOI
+  const jpeg = Buffer.from([
+    0xff, 0xd8,
+    0xff, 0xc0, 0x00, 0x11, 0x08, 0x00, 0x40, 0x00, 0x60, 0x03, 0x01, 0x22, 0x00, 0x02, 0x11, 0x01, 0x03, 0x11, 0x01,
+    0xff, 0xda, 0x00, 0x08, 0x01, 0x01, 0x00, 0x00, 0x3f, 0x00, 0x12, 0x34,
+    0xff, 0xd9
+  ]);
+  const jpegInfo = inspectImage(jpeg);
+  if (jpegInfo.format !== 'jpeg' || jpegInfo.width !== 96 || jpegInfo.height !== 64 || jpegInfo.colorType !== 'rgb' ||
+      getLogoRuleErrors(jpegInfo)[0].rule !== 'logo.not-square' || inspectImage(jpeg.subarray(0, 15)).errors.length === 0) {
+    throw new Error('JPEG dimensions should be read from the SOF segment');
+  }
+}
+
+/**
+ * Test that logos are rendered at the standard sizes, once per source version
+ */
+async function testLogoPipeline() {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'token-list-logos-'));
+  const logosDir = path.join(root, 'assets', '43114', 'logos');
+  const address = '0xb97ef9ef8734c71904d8002f8b6bc66dd9c48a6e';
+  const jpegFile = '0x037a54aab062628c9bbae1fdb1583c195585fe41.png';
+
+  try {
+    // A 1000x1000 PNG and a JPEG saved with a .png extension
+    const assetsDir = path.join(__dirname, '..', 'assets');
+    await fs.copy(path.join(assetsDir, '43113', 'logos', '0xd00ae08403b9bbb9124bb305c09058e32c39a48c.png'), path.join(logosDir, `${address}.png`));
+    await fs.copy(path.join(assetsDir, '1', 'logos', jpegFile), path.join(logosDir, jpegFile));
+
+    let result = await processLogoDirectory(logosDir);
+    if (result.processed.length !== 2 || result.errors.length !== 0) {
+      throw new Error(`Expected both logos to be processed, got ${JSON.stringify(result)}`);
+    }
+    for (const size of LOGO_SIZES) {
+      const info = inspectImage(await fs.readFile(path.join(logosDir, String(size), jpegFile)));
+      if (info.format !== 'png' || info.width !== size || info.height !== size || info.colorType !== 'rgba') {
+        throw new Error(`Expected a ${size}x${size} RGBA PNG, got ${JSON.stringify(info)}`);
+      }
+    }
+
+    const before = await fs.readFile(path.join(logosDir, '32', `${address}.png`));
+    result = await processLogoDirectory(logosDir);
+    if (result.processed.length !== 0 || result.unchanged.length !== 2) {
+      throw new Error('A second run should not reprocess unchanged logos');
+    }
+
+    await fs.remove(path.join(logosDir, jpegFile));
+    result = await processLogoDirectory(logosDir);
+    if (result.removed.length !== 1 || await fs.pathExists(path.join(logosDir, '64', jpegFile))) {
+      throw new Error('The sizes of a deleted logo should be removed');
+    }
+    if (!before.equals(await fs.readFile(path.join(logosDir, '32', `${address}.png`)))) {
+      throw new Error('Rendering should be deterministic');
+    }
+
+    if (getLogoSize(24) !== 32 || getLogoSize(48) !== 64 || getLogoSize(128) !== 128 || getLogoSize(256) !== null) {
+      throw new Error('getLogoSize should pick the smallest standard size that is large enough');
+    }
+
+    await fs.outputJson(path.join(root, 'assets', '43114', 'common.json'), {
+      tokens: [{ chainId: 43114, address, name: 'USD Coin', symbol: 'USDC', decimals: 6, logoURI: `./logos/${address}.png` }]
+    });
+    await fs.outputJson(path.join(root, 'assets', '43114', 'popular.json'), { tokens: [] });
+    const list = tokenList.createTokenList({ root });
+
+    const icon = await list.getTokenLogo(43114, address, 48);
+    const original = await list.getTokenLogo(43114, address, 512);
+    if (icon.size !== 64 || icon.logoURI !== `./logos/64/${address}.png` || !await fs.pathExists(icon.path) ||
+        original.size !== null || original.logoURI !== `./logos/${address}.png`) {
+      throw new Error(`getTokenLogo should return the right size, got ${JSON.stringify([icon, original])}`);
+    }
+  } finally {
+    await fs.remove(root);
+  }
+}
+
+/**
+ * Test that logo copies differing only in case are merged, conflicts kept and orphans found
+ */
+async function testLogoHousekeeping() {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'token-list-housekeeping-'));
+  const chainDir = path.join(root, 'assets', '43114');
+  const logosDir = path.join(chainDir, 'logos');
+  const same = '0x4d6ec47118f807ace03d3b3a4ee6aa96cb2ab677';
+  const conflict = '0xb97ef9ef8734c71904d8002f8b6bc66dd9c48a6e';
+  const orphan = '0x1111111111111111111111111111111111111111';
+  const token = (address, logo) => ({ chainId: 43114, address, name: 'T', symbol: 'T', decimals: 18, logoURI: `./logos/${logo}.png` });
+
+  try {
+    await fs.outputFile(path.join(logosDir, `${same}.png`), 'same');
+    await fs.outputFile(path.join(logosDir, `${formatAddress(same, 'checksum')}.png`), 'same');
+    await fs.outputFile(path.join(logosDir, `${conflict}.png`), 'one');
+    await fs.outputFile(path.join(logosDir, `${formatAddress(conflict, 'checksum')}.png`), 'other');
+    await fs.outputFile(path.join(logosDir, `${orphan}.png`), 'orphan');
+    await fs.outputJson(path.join(chainDir, 'common.json'), {
+      tokens: [token(same, formatAddress(same, 'checksum')), token(conflict, conflict)]
+    }, { spaces: 2 });
+    await fs.outputJson(path.join(chainDir, 'popular.json'), { tokens: [] }, { spaces: 2 });
+
+    const preview = await housekeepLogos({ root, dryRun: true });
+    if (preview.merged.length !== 1 || !await fs.pathExists(path.join(logosDir, `${formatAddress(same, 'checksum')}.png`))) {
+      throw new Error('A dry run should report the merge without touching files');
+    }
+
+    const result = await housekeepLogos({ root, prune: true });
+    const files = (await fs.readdir(logosDir)).sort();
+    const expected = [`${formatAddress(conflict, 'checksum')}.png`, `${conflict}.png`, `${same}.png`].sort();
+    if (JSON.stringify(files) !== JSON.stringify(expected)) {
+      throw new Error(`Expected the copy to be merged and the orphan pruned, got ${files.join(', ')}`);
+    }
+    if (result.conflicts.length !== 1 || result.conflicts[0].copies.length !== 2 ||
+        JSON.stringify(result.orphans) !== JSON.stringify([`assets/43114/logos/${orphan}.png`])) {
+      throw new Error(`Expected one conflict and one orphan, got ${JSON.stringify(result)}`);
+    }
+
+    const common = await fs.readJson(path.join(chainDir, 'common.json'));
+    if (common.tokens[0].logoURI !== `./logos/${same}.png` || result.repointed.length !== 1) {
+      throw new Error('Tokens pointing at a removed copy should be repointed to the kept one');
+    }
+  } finally {
+    await fs.remove(root);
+  }
+}
+
+/**
+ * Test that copies and look-alikes of another token's logo are flagged, unless allowed
+ */
+async function testLogoImpersonation() {
+  const usdc = '0xb97ef9ef8734c71904d8002f8b6bc66dd9c48a6e';
+  const wavax = '0xb31f66aa3c1e785363f0875a1b74e27b85fd66c7';
+  const scam = '0x1111111111111111111111111111111111111111';
+  const token = (address, symbol, logo) => ({ chainId: 43114, address, name: symbol, symbol, decimals: 6, logoURI: `./logos/${logo}.png` });
+  const list = {
+    tokens: [
+      token(usdc, 'USDC', usdc),
+      token('0x2222222222222222222222222222222222222222', 'USDC.e', usdc),
+      token(scam, 'USDC2', usdc),
+      token(wavax, 'WAVAX', wavax),
+      token('0x0000000000000000000000000000000000000000', 'AVAX', wavax)
+    ]
+  };
+
+  const allowlist = { symbols: [['avax', 'wavax']], tokens: [] };
+  const findings = await validateLogoSimilarity([{ list, file: 'assets/43114/common.json' }], { allowlist });
+  if (findings.length !== 1 || findings[0].token !== scam || findings[0].severity !== 'error' ||
+      findings[0].ruleId !== 'logo.impersonation' || findings[0].pointer !== '/tokens/2/logoURI' || !findings[0].message.includes(usdc)) {
+    throw new Error(`Expected only the copied USDC logo to be flagged, got ${JSON.stringify(findings)}`);
+  }
+
+  const unlisted = await validateLogoSimilarity([{ list, file: 'assets/43114/common.json' }]);
+  if (!unlisted.some(finding => finding.token === '0x0000000000000000000000000000000000000000')) {
+    throw new Error('AVAX and WAVAX should only share a logo through the allowlist');
+  }
+
+  const scoped = await validateLogoSimilarity([{ list, file: 'assets/43114/common.json' }], {
+    allowlist,
+    filter: entry => entry.address === wavax
+  });
+  if (scoped.length !== 0) {
+    throw new Error('Only the tokens the filter selects should be checked');
+  }
+
+  // A resized copy is no longer byte-identical, but still looks the same
+  const original = await fs.readFile(path.join(__dirname, '..', 'assets', '43114', 'logos', `${usdc}.png`));
+  const resized = renderLogoSizes(original, [128]).get(128);
+  const other = await fs.readFile(path.join(__dirname, '..', 'assets', '43114', 'logos', `${wavax}.png`));
+  const logos = [
+    { chainId: 43114, address: usdc, symbol: 'USDC', ...hashLogo(original) },
+    { chainId: 43114, address: wavax, symbol: 'WAVAX', ...hashLogo(other) },
+    { chainId: 1, address: scam, symbol: 'USDCX', ...hashLogo(resized) }
+  ];
+  const matches = findLogoImpersonations(logos);
+  if (matches.length !== 1 || matches[0].identical || matches[0].token.address !== scam || matches[0].original.address !== usdc) {
+    throw new Error(`Expected the resized copy to match the USDC logo, got ${JSON.stringify(matches.map(match => match.distance))}`);
+  }
+  if (hammingDistance(logos[0].dhash, logos[1].dhash) < 100) {
+    throw new Error('Different logos should be far apart');
+  }
+}
+
+/**
+ * Test that every sync adapter reads its fixture checkout and that proposals apply
+ */
+async function testTokenSync() {
+  const syncDir = path.join(__dirname, '..', 'test', 'fixtures', 'sync');
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'token-list-sync-'));
+  const usdc = '0xb97ef9ef8734c71904d8002f8b6bc66dd9c48a6e';
+  const wavax = '0xb31f66aa3c1e785363f0875a1b74e27b85fd66c7';
+  const joe = '0x6e84a6216ea6dacc71ee8e6b0a5b7322eebc0fdd';
+  const token = (chainId, address, name, symbol, decimals) => ({ chainId, address, name, symbol, decimals, logoURI: `./logos/${address}.png` });
+  const merged = name => mergeSources([{ name, entries: sources[name].entries }]);
+  const sources = {};
+
+  try {
+    for (const name of ['uniswap', 'traderjoe', 'pangolin', 'trustwallet']) {
+      sources[name] = await readSource(name, { syncDir });
+    }
+
+    const counts = Object.values(sources).map(source => `${source.entries.length}/${source.rejected.length}`).join(' ');
+    if (counts !== '3/1 2/0 1/1 2/3') {
+      throw new Error(`Expected 3/1 2/0 1/1 2/3 entries/rejected per source, got ${counts}`);
+    }
+    if (JSON.stringify(sources.trustwallet.rejected.map(rejected => rejected.reason)) !== '["marked as spam","invalid info.json","marked as abandoned"]') {
+      throw new Error(`Expected TrustWallet's spam, abandoned and unreadable tokens to be rejected, got ${JSON.stringify(sources.trustwallet.rejected)}`);
+    }
+    const uni = sources.trustwallet.entries.find(entry => entry.token.symbol === 'UNI');
+    if (JSON.stringify(Object.keys(uni.token.extensions)) !== '["website","explorer","description"]' || uni.token.extensions.website !== 'https://uniswap.org') {
+      throw new Error(`Expected the info.json metadata as extensions, got ${JSON.stringify(uni.token)}`);
+    }
+    if (!sources.uniswap.rejected[0].reason.includes('checksum') || sources.pangolin.rejected[0].reason !== 'no logo') {
+      throw new Error('Mistyped addresses and tokens without a logo should be rejected');
+    }
+    const png = sources.pangolin.entries[0];
+    if (png.token.address !== '0x60781c2586d68229fde47564546784ab3faca982' || !png.logo.file || !await fs.pathExists(png.logo.file)) {
+      throw new Error('Logo URLs into a checked out repository should resolve to the local file');
+    }
+
+    // USDC has the same logo TraderJoe has, WAVAX has none
+    await fs.outputJson(path.join(root, 'assets', '43114', 'common.json'), {
+      tokens: [token(43114, usdc, 'USD Coin', 'USDC', 6), token(43114, wavax, 'Wrapped AVAX', 'WAVAX', 18)]
+    }, { spaces: 2 });
+    await fs.copy(path.join(syncDir, 'traderjoe', 'joe-tokenlists', 'logos', formatAddress(usdc, 'checksum'), 'logo.png'),
+      path.join(root, 'assets', '43114', 'logos', `${usdc}.png`));
+    await fs.outputJson(path.join(root, 'assets', '43114', 'popular.json'), {
+      tokens: [token(43114, usdc, 'USD Coin', 'USDC', 6)]
+    }, { spaces: 2 });
+    await fs.outputJson(path.join(root, 'assets', '1', 'common.json'), {
+      tokens: [token(1, '0xa0b86991c6218b36c1d19d4a2e9eb0ce3606eb48', 'USD Coin', 'USDC', 6)]
+    }, { spaces: 2 });
+
+    const joeProposal = await proposeChanges(merged('traderjoe'), { root });
+    if (joeProposal.added.length !== 1 || joeProposal.added[0].token.address !== joe ||
+        joeProposal.updated.length !== 1 || JSON.stringify(joeProposal.updated[0].changes.map(change => change.field)) !== '["name"]') {
+      throw new Error(`Expected JOE to be added and the USDC name updated, got ${JSON.stringify(joeProposal)}`);
+    }
+
+    const twProposal = await proposeChanges(merged('trustwallet'), { root, chainIds: [43114] });
+    if (twProposal.added.length !== 0 || twProposal.updated.length !== 1 || twProposal.updated[0].changes[0].field !== 'logo') {
+      throw new Error(`Expected the missing WAVAX logo to be proposed, got ${JSON.stringify(twProposal)}`);
+    }
+
+    const uniProposal = await proposeChanges(merged('uniswap'), { root });
+    if (uniProposal.skipped.length !== 1 || uniProposal.skipped[0].chainId !== 137) {
+      throw new Error('Tokens of chains that are not hosted should be skipped');
+    }
+
+    let result = await applyChanges(joeProposal, { root });
+    const common = await fs.readJson(path.join(root, 'assets', '43114', 'common.json'));
+    if (result.added.length !== 1 || common.tokens.length !== 3 || common.tokens[0].name !== 'USD Coin (Native)' ||
+        !await fs.pathExists(path.join(root, 'assets', '43114', 'logos', `${joe}.png`))) {
+      throw new Error('Applying should add the token with its logo and update the name');
+    }
+    const popularFile = await fs.readFile(path.join(root, 'assets', '43114', 'popular.json'), 'utf8');
+    const popularUSDC = JSON.parse(popularFile).tokens[0];
+    if (popularUSDC.name !== 'USD Coin (Native)' || !popularFile.endsWith('}\n') ||
+        JSON.stringify(popularUSDC.extensions) !== JSON.stringify(common.tokens[0].extensions)) {
+      throw new Error('Updates and provenance of a popular token should be written to popular.json too');
+    }
+
+    // The logo is copied under the lowercase address, the metadata filled in
+    await applyChanges(twProposal, { root });
+    const wavaxToken = (await fs.readJson(path.join(root, 'assets', '43114', 'common.json'))).tokens[1];
+    if (!await fs.pathExists(path.join(root, 'assets', '43114', 'logos', `${wavax}.png`)) ||
+        wavaxToken.extensions.website !== 'https://www.avax.network' || JSON.stringify(wavaxToken.extensions.sources) !== '["trustwallet"]') {
+      throw new Error(`Expected the WAVAX logo and metadata to be imported, got ${JSON.stringify(wavaxToken)}`);
+    }
+    if (JSON.stringify(getPublishedExtensions(wavaxToken.extensions)) !== '{"website":"https://www.avax.network","description":"Wrapped AVAX"}') {
+      throw new Error('Explorer URLs are too long for the token list standard and should not be published');
+    }
+
+    // Logos that can't be fetched keep their token out of the list
+    result = await applyChanges(uniProposal, { root, fetchLogo: async () => { throw new Error('offline'); } });
+    const mainnet = await fs.readJson(path.join(root, 'assets', '1', 'common.json'));
+    if (result.added.length !== 0 || result.errors.length !== 2 || mainnet.tokens.length !== 1 || mainnet.tokens[0].name !== 'USDCoin') {
+      throw new Error(`Expected UNI to be left out and only the USDC name to change, got ${JSON.stringify(result)}`);
+    }
+
+    // Logos are saved as .png, so JPEGs are re-encoded
+    const jpegLogo = path.join(__dirname, '..', 'assets', '1', 'logos', '0x037a54aab062628c9bbae1fdb1583c195585fe41.png');
+    if (inspectImage(await fs.readFile(jpegLogo)).format !== 'jpeg' || inspectImage(await fetchLogo({ file: jpegLogo })).format !== 'png') {
+      throw new Error('A JPEG logo should be fetched as a PNG');
+    }
+  } finally {
+    await fs.remove(root);
+  }
+}
+
+/**
+ * Test merging sources by priority, provenance and removal of dropped tokens
+ */
+async function testSourceMerge() {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'token-list-merge-'));
+  const address = n => `0x${String(n).repeat(40)}`;
+  const token = (n, name, symbol, decimals, extensions) => ({
+    chainId: 43114,
+    address: address(n),
+    name,
+    symbol,
+    decimals,
+    logoURI: `./logos/${address(n)}.png`,
+    ...(extensions ? { extensions } : {})
+  });
+  const entry = (source, n, name, symbol, decimals) => ({ token: token(n, name, symbol, decimals), logo: { file: `${source}.png` }, origin: source });
+
+  try {
+    const sources = [
+      { name: 'uniswap', entries: [entry('uniswap', 1, 'Token One', 'ONE', 18), entry('uniswap', 2, 'Two', 'TWO', 18)] },
+      { name: 'traderjoe', entries: [entry('traderjoe', 1, 'Token One', 'ONE', 6), entry('traderjoe', 2, 'Token Two', 'TWO', 18), entry('traderjoe', 5, 'Five', 'FIVE', 18)] }
+    ];
+
+    const [one, two] = mergeSources(sources, DEFAULT_MERGE_POLICY);
+    if (JSON.stringify(two.sources) !== '["traderjoe","uniswap"]' || two.token.name !== 'Token Two' || two.logo.file !== 'traderjoe.png') {
+      throw new Error(`Expected TraderJoe to win over Uniswap, got ${JSON.stringify(two)}`);
+    }
+    if (two.conflicts.length !== 1 || !two.conflicts[0].resolved || two.conflicts[0].values[1].value !== 'Two') {
+      throw new Error(`Expected a resolved name conflict, got ${JSON.stringify(two.conflicts)}`);
+    }
+    if (one.conflicts.length !== 1 || one.conflicts[0].field !== 'decimals' || one.conflicts[0].resolved) {
+      throw new Error(`Expected the decimals conflict to be left for review, got ${JSON.stringify(one.conflicts)}`);
+    }
+    const logoFirst = mergeSources(sources, { ...DEFAULT_MERGE_POLICY, fields: { logo: ['uniswap'] } });
+    if (logoFirst[1].logo.file !== 'uniswap.png' || logoFirst[1].token.name !== 'Token Two') {
+      throw new Error('A field priority should only apply to that field');
+    }
+
+    const policyPath = path.join(root, 'sync-policy.json');
+    await fs.writeJson(policyPath, { conflicts: { name: 'vote' } });
+    let message = '';
+    try {
+      await loadMergePolicy(policyPath);
+    } catch (error) {
+      message = error.message;
+    }
+    if (!message.includes('"vote"')) {
+      throw new Error('Unknown conflict modes should be rejected');
+    }
+
+    // 3 was only listed by Pangolin, 4 too but is popular, 5 was added by hand and 6 comes from a source not synced
+    const pangolinOnly = { sources: ['pangolin'], firstSeen: '2026-01-01', lastSeen: '2026-01-01' };
+    await fs.outputJson(path.join(root, 'assets', '43114', 'common.json'), {
+      tokens: [
+        token(3, 'Three', 'THREE', 18, pangolinOnly),
+        token(4, 'Four', 'FOUR', 18, pangolinOnly),
+        token(5, 'Five', 'FIVE', 18),
+        token(6, 'Six', 'SIX', 18, { sources: ['trustwallet'], firstSeen: '2026-01-01', lastSeen: '2026-01-01' })
+      ]
+    }, { spaces: 2 });
+    await fs.outputJson(path.join(root, 'assets', '43114', 'popular.json'), { tokens: [token(4, 'Four', 'FOUR', 18)] }, { spaces: 2 });
+
+    const proposal = await proposeChanges(mergeSources(sources), { root, sources: ['uniswap', 'traderjoe', 'pangolin'], date: '2026-02-01' });
+    if (JSON.stringify(proposal.added.map(item => item.token.address)) !== JSON.stringify([address(2)])) {
+      throw new Error(`Expected only 2 to be added while 1 has a decimals conflict, got ${JSON.stringify(proposal.added)}`);
+    }
+    if (JSON.stringify(proposal.removed.map(item => item.address)) !== JSON.stringify([address(3)]) ||
+        proposal.skipped.length !== 1 || !proposal.skipped[0].reason.includes('popular.json')) {
+      throw new Error(`Expected 3 to be removed and 4 kept as popular, got ${JSON.stringify(proposal)}`);
+    }
+    if (proposal.conflicts.filter(conflict => !conflict.resolved).length !== 1) {
+      throw new Error('The decimals conflict should be reported');
+    }
+
+    const result = await applyChanges(proposal, { root, fetchLogo: async () => Buffer.from('logo') });
+    const tokens = (await fs.readJson(path.join(root, 'assets', '43114', 'common.json'))).tokens;
+    const find = n => tokens.find(candidate => candidate.address === address(n));
+    if (result.removed.length !== 1 || find(3) || !find(4) || !find(6)) {
+      throw new Error('Only the token every source dropped should be removed');
+    }
+    if (JSON.stringify(find(2).extensions) !== '{"sources":["traderjoe","uniswap"],"firstSeen":"2026-02-01","lastSeen":"2026-02-01"}') {
+      throw new Error(`Expected the new token to record its provenance, got ${JSON.stringify(find(2).extensions)}`);
+    }
+    if (JSON.stringify(find(5).extensions) !== '{"sources":["traderjoe"],"firstSeen":"2026-02-01","lastSeen":"2026-02-01"}' ||
+        find(6).extensions.lastSeen !== '2026-01-01') {
+      throw new Error('Tokens the sources list should record them, others keep their provenance');
+    }
+
+    if (getPublishedExtensions(find(2).extensions) !== undefined ||
+        JSON.stringify(getPublishedExtensions({ ...find(2).extensions, bridgeInfo: {} })) !== '{"bridgeInfo":{}}') {
+      throw new Error('The provenance should not be published');
+    }
+  } finally {
+    await fs.remove(root);
+  }
+}
+
+/**
+ * Test reviewing a sync plan by rules and remembering rejections
+ */
+async function testSyncReview() {
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'token-list-review-'));
+  const address = n => `0x${String(n).repeat(40)}`;
+  const token = (n, symbol, extensions) => ({
+    chainId: 43114,
+    address: address(n),
+    name: `Token ${n}`,
+    symbol,
+    decimals: 18,
+    logoURI: `./logos/${address(n)}.png`,
+    ...(extensions ? { extensions } : {})
+  });
+  const logoFile = path.join(root, 'upstream.png');
+  const entry = (n, symbol) => ({ token: token(n, symbol), logo: { file: logoFile }, origin: 'list.json' });
+  const rejectionsPath = path.join(root, 'sync-rejections.json');
+
+  try {
+    await fs.outputFile(logoFile, 'upstream logo');
+    // 1 is popular and has a logo, 2 has no logo file, 4 was only listed by Pangolin
+    await fs.outputJson(path.join(root, 'assets', '43114', 'common.json'), {
+      tokens: [token(1, 'ONE'), token(2, 'TWO'), token(4, 'FOUR', { sources: ['pangolin'], firstSeen: '2026-01-01', lastSeen: '2026-01-01' })]
+    }, { spaces: 2 });
+    await fs.outputJson(path.join(root, 'assets', '43114', 'popular.json'), { tokens: [token(1, 'ONE')] }, { spaces: 2 });
+    await fs.copy(logoFile, path.join(root, 'assets', '43114', 'logos', `${address(1)}.png`));
+
+    const propose = async () => proposeChanges(
+      mergeSources([{ name: 'traderjoe', entries: [entry(1, 'UNO'), entry(2, 'TWO'), entry(3, 'THREE')] }]),
+      { root, sources: ['traderjoe', 'pangolin'], date: '2026-03-01' }
+    );
+
+    // Rejecting everything leaves the lists as they were, provenance included
+    const commonPath = path.join(root, 'assets', '43114', 'common.json');
+    const original = await fs.readFile(commonPath);
+    const rejectAll = await createSyncPlan(await propose(), { root });
+    rejectAll.items.forEach(item => { item.decision = 'reject'; });
+    await applySyncPlan(rejectAll, { root, rejectionsPath: path.join(root, 'rejected-all.json') });
+    if (!original.equals(await fs.readFile(commonPath))) {
+      throw new Error('Rejecting every item should leave common.json byte-identical');
+    }
+
+    // An accepted logo that can't be fetched stays in the plan, with the provenance of its token
+    const offline = await createSyncPlan(await propose(), { root });
+    offline.items[2].decision = 'accept';
+    const failed = await applySyncPlan(offline, { root, rejectionsPath, fetchLogo: async () => { throw new Error('offline'); } });
+    if (failed.errors.length !== 1 || !failed.pending.includes(offline.items[2]) || failed.pending.length !== 4 ||
+        JSON.stringify(failed.seen.map(item => item.address)) !== JSON.stringify([address(1), address(2)]) ||
+        !original.equals(await fs.readFile(commonPath))) {
+      throw new Error(`Expected the logo to wait for the next review, got ${JSON.stringify(failed)}`);
+    }
+
+    const plan = await createSyncPlan(await propose(), { root, rejections: await loadRejections(rejectionsPath) });
+    const summary = plan.items.map(item => `${item.action} ${item.symbol}${item.field ? ` ${item.field}` : ''}${item.popular ? ' popular' : ''}`);
+    if (JSON.stringify(summary) !== '["add THREE","update ONE symbol popular","update TWO logo","remove FOUR"]') {
+      throw new Error(`Expected one item per change, got ${JSON.stringify(summary)}`);
+    }
+    if (plan.items[1].reason !== 'traderjoe has "UNO"' || !plan.items[2].reason.includes('missing') ||
+        plan.items[3].reason !== 'no longer listed by pangolin') {
+      throw new Error(`Every item should explain itself, got ${JSON.stringify(plan.items.map(item => item.reason))}`);
+    }
+
+    const rules = await loadReviewRules(path.join(__dirname, '..', 'sync-review-rules.json'));
+    if (applyReviewRules(plan, rules) !== 2 || plan.items[1].decision !== 'reject' || plan.items[2].decision !== 'accept') {
+      throw new Error('The rules should reject the popular symbol change and accept the logo');
+    }
+    plan.items[0].decision = 'accept';
+
+    const result = await applySyncPlan(plan, { root, rejectionsPath, fetchLogo: logo => fs.readFile(logo.file) });
+    const tokens = (await fs.readJson(path.join(root, 'assets', '43114', 'common.json'))).tokens;
+    if (result.added.length !== 1 || result.updated.length !== 1 || result.removed.length !== 0 ||
+        result.rejected.length !== 1 || result.pending.length !== 1 ||
+        JSON.stringify(tokens.map(item => item.symbol)) !== '["ONE","TWO","FOUR","THREE"]' ||
+        !await fs.pathExists(path.join(root, 'assets', '43114', 'logos', `${address(2)}.png`))) {
+      throw new Error(`Expected only the accepted items to be written, got ${JSON.stringify(result)}`);
+    }
+
+    // The rejected symbol change is not proposed again, the undecided removal is
+    const next = await createSyncPlan(await propose(), { root, rejections: await loadRejections(rejectionsPath) });
+    if (JSON.stringify(next.items.map(item => item.action)) !== '["remove"]') {
+      throw new Error(`Expected only the removal to be proposed again, got ${JSON.stringify(next.items)}`);
+    }
+
+    await fs.writeJson(path.join(root, 'rules.json'), { rules: [{ field: 'logo', decision: 'maybe' }] });
+    let message = '';
+    try {
+      await loadReviewRules(path.join(root, 'rules.json'));
+    } catch (error) {
+      message = error.message;
+    }
+    if (!message.includes('decision')) {
+      throw new Error('Rules without a valid decision should be rejected');
+    }
+  } finally {
+    await fs.remove(root);
+  }
+}
+
+/**
+ * Test importing an external token list
+ */
+async function testImportTokenList() {
+  const listPath = path.join(__dirname, '..', 'test', 'fixtures', 'import', 'farm.tokenlist.json');
+  const root = await fs.mkdtemp(path.join(os.tmpdir(), 'token-list-import-'));
+  const usdc = '0xb97ef9ef8734c71904d8002f8b6bc66dd9c48a6e';
+  const farm = '0x1111111111111111111111111111111111111a1a';
+  const addresses = items => JSON.stringify(items.map(item => (item.token || item).address.toLowerCase()));
+
+  try {
+    await fs.outputJson(path.join(root, 'assets', '43114', 'common.json'), {
+      tokens: [{ chainId: 43114, address: usdc, name: 'USDC Token', symbol: 'USDC', decimals: 6, logoURI: `./logos/${usdc}.png` }]
+    }, { spaces: 2 });
+
+    const entries = await readImportFile(listPath, { root });
+    const remote = await resolveImportLogo('https://example.com/seed.png', { listDir: root, root });
+    if (!entries[0].logo.file || entries[0].logo.file !== path.join(path.dirname(listPath), 'logos', 'farm.png') ||
+        !remote || remote.url !== 'https://example.com/seed.png' ||
+        entries[1].logo !== null || entries[4].logo !== null || entries[5].logo !== null) {
+      throw new Error('Logos should resolve to local files next to the list, http(s) URLs, or nothing');
+    }
+
+    // ipfs:// logos can't be downloaded, so SEED is listed as missing its logo
+    const plan = await planImport(entries, { root });
+    if (addresses(plan.added) !== JSON.stringify([farm])) {
+      throw new Error(`Expected FARM to be new, got ${addresses(plan.added)}`);
+    }
+    if (plan.conflicts.length !== 2 || plan.conflicts[0].changes[0].field !== 'name' ||
+        plan.conflicts[1].existing.address !== usdc || plan.conflicts[1].token.address === usdc) {
+      throw new Error(`Expected a name conflict and a symbol clash, got ${JSON.stringify(plan.conflicts)}`);
+    }
+    if (plan.missingLogos.length !== 3 || plan.missingLogos[0].logoURI !== 'ipfs://QmSeedTokenLogo' ||
+        plan.rejected.length !== 1 || plan.rejected[0].reason !== 'listed twice' ||
+        plan.skipped.length !== 1 || plan.skipped[0].chainId !== 10) {
+      throw new Error(`Expected 3 tokens without logos, 1 repeated token and chain 10 skipped, got ${JSON.stringify(plan)}`);
+    }
+
+    let result = await applyImport(plan, { root });
+    const common = await fs.readJson(path.join(root, 'assets', '43114', 'common.json'));
+    if (addresses(result.added) !== JSON.stringify([farm]) || result.errors.length !== 0 ||
+        addresses(common.tokens) !== JSON.stringify([usdc, farm]) || common.tokens[0].name !== 'USDC Token' ||
+        !await fs.pathExists(path.join(root, 'assets', '43114', 'logos', `${farm}.png`))) {
+      throw new Error(`Expected only FARM to be written with its logo, got ${JSON.stringify(result)}`);
+    }
+
+    const chainPlan = await planImport(entries, { root, chainIds: [10], createChain: true });
+    result = await applyImport(chainPlan, { root });
+    if (JSON.stringify(chainPlan.chains) !== '[{"chainId":10,"tokens":1,"create":true}]' || JSON.stringify(result.created) !== '[10]' ||
+        (await fs.readJson(path.join(root, 'assets', '10', 'common.json'))).tokens.length !== 1 ||
+        (await fs.readJson(path.join(root, 'assets', '10', 'popular.json'))).tokens.length !== 1) {
+      throw new Error(`Expected --create-chain to create assets/10/ with the imported tokens as popular, got ${JSON.stringify(result)}`);
+    }
+    if (!(await fs.readFile(path.join(root, 'assets', '10', 'common.json'), 'utf8')).endsWith('}\n')) {
+      throw new Error('Imported lists should end with a newline');
+    }
+  } finally {
+    await fs.remove(root);
+  }
+}
+
 /**
  * Run all tests
  */
@@ -170,9 +1620,33 @@ async function runAllTests() {
   await runTest('Directory structure', testDirectoryStructure);
   await runTest('Valid JSON', testValidJson);
   await runTest('Token list structure', testTokenListStructure);
-  await runTest('Address checksum', testAddressChecksum);
+  await runTest('Address policy', testAddressPolicy);
+  await runTest('Address fixer', testAddressFixer);
   await runTest('Popular subset', testPopularSubset);
   await runTest('Validate script', testValidateScript);
+  await runTest('Token registry', testTokenRegistry);
+  await runTest('Token list root', testTokenListRoot);
+  await runTest('Token lookups', testTokenLookups);
+  await runTest('Search tokens', testSearchTokens);
+  await runTest('Resolve token', testResolveToken);
+  await runTest('Published lists', testPublishedLists);
+  await runTest('List versioning', testListVersioning);
+  await runTest('Diff token lists', testDiffTokenLists);
+  await runTest('Generated token lists', testGeneratedTokenLists);
+  await runTest('Logo URLs', testLogoURLs);
+  await runTest('Logo URL checks', testLogoURLChecks);
+  await runTest('Schema validation', testSchemaValidation);
+  await runTest('Validation reports', testValidationReports);
+  await runTest('Changed since', testChangedSince);
+  await runTest('Validation library', testValidationLibrary);
+  await runTest('Logo images', testLogoImages);
+  await runTest('Logo pipeline', testLogoPipeline);
+  await runTest('Logo housekeeping', testLogoHousekeeping);
+  await runTest('Logo impersonation', testLogoImpersonation);
+  await runTest('Token sync', testTokenSync);
+  await runTest('Source merge', testSourceMerge);
+  await runTest('Sync review', testSyncReview);
+  await runTest('Import token list', testImportTokenList);
   
   // Print summary
   console.log(chalk.blue('\n-----------------------------------'));
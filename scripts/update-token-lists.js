@@ -4,11 +4,12 @@
  * Update Token Lists Script
  * 
  * This script processes all JSON token list files in both the assets
- * and tokenlists directories, converting token addresses to lowercase
- * and updating the logoURI fields to use lowercase addresses.
+ * and tokenlists directories, converting token addresses to the casing of
+ * the address policy (lowercase by default, see lib/addresses.js) and
+ * updating the logoURI fields to match.
  * 
- * It helps ensure consistency across the codebase by enforcing the
- * standard that all token addresses should be in lowercase format.
+ * It only rewrites JSON; `npm run validate -- --fix` also renames the
+ * logo files along with the addresses.
  * 
  * Usage:
  *   node update-token-lists.js             # Update all token lists
@@ -17,6 +18,8 @@
 
 const fs = require('fs');
 const path = require('path');
+const { parseLogoURL, getConfiguredLogoBaseURLs } = require('../lib/logos');
+const { formatAddress } = require('../lib/addresses');
 
 // Configuration
 const REPO_ROOT = path.resolve(__dirname, '../');
@@ -33,41 +36,42 @@ const stats = {
 };
 
 /**
- * Converts a token address to lowercase
+ * Converts a token address to the casing of the address policy
  * @param {string} address - Token address
- * @returns {string} - Lowercase address
+ * @returns {string} - Address as the policy stores it (lowercase by default)
  */
 function normalizeAddress(address) {
-  if (!address || typeof address !== 'string') return address;
-  return address.toLowerCase();
+  if (!address || typeof address !== 'string' || !/^0x[0-9a-fA-F]{40}$/.test(address)) return address;
+  return formatAddress(address);
 }
 
 /**
- * Updates a logo URI to use lowercase address
+ * Updates a logo URI to use the address as the policy stores it
  * @param {string} logoURI - Original logo URI
- * @returns {string} - Updated logo URI with lowercase address
+ * @returns {string} - Updated logo URI
  */
 function normalizeLogoURI(logoURI) {
   if (!logoURI || typeof logoURI !== 'string') return logoURI;
   
-  // For GitHub raw URLs
-  if (logoURI.includes('githubusercontent.com')) {
-    // Extract the address part from the URL
-    const addressMatch = logoURI.match(/\/([0-9a-fA-F]{40})\.png/);
-    if (addressMatch && addressMatch[1]) {
+  // For published URLs (GitHub raw, jsDelivr or a configured CDN), only the
+  // file name is normalized so a pinned tag or commit keeps its casing
+  const published = parseLogoURL(logoURI, getConfiguredLogoBaseURLs());
+  if (published) {
+    const addressMatch = published.fileName.match(/^(0x[0-9a-fA-F]{40})\.png$/);
+    if (addressMatch) {
       const address = addressMatch[1];
-      const lowercaseAddress = normalizeAddress(address);
-      return logoURI.replace(`/${address}.png`, `/${lowercaseAddress}.png`);
+      return logoURI.replace(`/logos/${address}.png`, `/logos/${normalizeAddress(address)}.png`);
     }
+    return logoURI;
   }
   
   // For relative paths (./logos/0x...)
   if (logoURI.includes('/logos/')) {
-    const addressMatch = logoURI.match(/\/logos\/([0-9a-fA-F]{40})\.png/);
+    const addressMatch = logoURI.match(/\/logos\/(0x[0-9a-fA-F]{40})\.png/);
     if (addressMatch && addressMatch[1]) {
       const address = addressMatch[1];
-      const lowercaseAddress = normalizeAddress(address);
-      return logoURI.replace(`/logos/${address}.png`, `/logos/${lowercaseAddress}.png`);
+      const normalizedAddress = normalizeAddress(address);
+      return logoURI.replace(`/logos/${address}.png`, `/logos/${normalizedAddress}.png`);
     }
   }
   
@@ -216,7 +220,13 @@ async function main() {
 }
 
 // Run the script
-main().catch(err => {
-  console.error('Unexpected error:', err);
-  process.exit(1);
-}); 
\ No newline at end of file
+if (require.main === module) {
+  main().catch(err => {
+    console.error('Unexpected error:', err);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  normalizeLogoURI
+};
@@ -0,0 +1,151 @@
+#!/usr/bin/env node
+
+/**
+ * Logo Image Validator
+ *
+ * Inspects the PNG and JPEG headers of every logo in the assets directory and
+ * checks them against the logo rules of lib/images.js:
+ * 1. The file is a sound PNG or JPEG: chunks and CRCs intact, not truncated
+ * 2. The image is square
+ * 3. The image is between the minimum and maximum pixel size (64-512 by default)
+ * 4. The image uses an allowed color type
+ * 5. The image has transparency, if required
+ *
+ * A 4000x200 banner or a 1x1 pixel passes the file size check of
+ * validate-logo-size.js, but not this one.
+ *
+ * Usage:
+ *   node scripts/validate-logo-images.js                              # Check with the default rules
+ *   node scripts/validate-logo-images.js --min-size 128 --max-size 256
+ *   node scripts/validate-logo-images.js --color-types rgba,palette --require-transparency
+ *   node scripts/validate-logo-images.js --no-square --chain 43114
+ *   node scripts/validate-logo-images.js --format sarif --output logo-images.sarif
+ */
+
+const fs = require('fs-extra');
+const path = require('path');
+const { glob } = require('glob');
+const chalk = require('chalk');
+const { Command } = require('commander');
+const { inspectImageFile, getLogoRules, getLogoRuleErrors } = require('../lib/images');
+const { createFinding, getExitCode, writeReport, addReportOptions, createLogger } = require('../lib/report');
+
+const ROOT = path.resolve(__dirname, '..');
+const TOOL = 'validate-logo-images';
+
+// Stats tracking
+const stats = {
+  totalLogoFiles: 0,
+  validLogoFiles: 0,
+  invalidLogoFiles: 0
+};
+
+// Everything found wrong during this run
+const findings = [];
+
+// Progress output, replaced once the report options are known
+let log = console.log;
+
+/**
+ * Parses a pixel size option
+ * @param {string} value The option value
+ * @returns {number} The size
+ */
+function parseSize(value) {
+  const size = Number(value);
+  if (!Number.isInteger(size) || size < 1) {
+    throw new Error(`Invalid pixel size "${value}"`);
+  }
+  return size;
+}
+
+/**
+ * Checks every logo of a chain against the rules
+ * @param {string} chainId The chain ID
+ * @param {Object} rules The logo rules
+ */
+async function validateChainLogos(chainId, rules) {
+  const logoFiles = (await glob(`assets/${chainId}/logos/*.{png,jpg,jpeg}`, { cwd: ROOT, posix: true })).sort();
+  log(chalk.blue(`Checking ${logoFiles.length} logos of chain ${chainId}...`));
+
+  for (const file of logoFiles) {
+    stats.totalLogoFiles++;
+
+    let errors;
+    try {
+      errors = getLogoRuleErrors(await inspectImageFile(path.join(ROOT, file)), rules);
+    } catch (error) {
+      findings.push(createFinding('file.unreadable', `Cannot read logo: ${error.message}`, { file }));
+      stats.invalidLogoFiles++;
+      continue;
+    }
+
+    for (const error of errors) {
+      findings.push(createFinding(error.rule, error.message, { file }));
+    }
+
+    if (errors.length > 0) {
+      stats.invalidLogoFiles++;
+    } else {
+      stats.validLogoFiles++;
+    }
+  }
+}
+
+/**
+ * Main function
+ */
+async function main() {
+  const program = addReportOptions(new Command())
+    .option('--min-size <px>', 'smallest allowed width and height', parseSize)
+    .option('--max-size <px>', 'largest allowed width and height', parseSize)
+    .option('--no-square', 'allow logos that are not square')
+    .option('--color-types <types>', 'comma-separated allowed color types', value => value.split(',').map(type => type.trim()))
+    .option('--require-transparency', 'require an alpha channel or tRNS chunk')
+    .option('--chain <chainId>', 'only check the logos of one chain')
+    .parse(process.argv);
+
+  const options = program.opts();
+  log = createLogger(options);
+
+  const rules = getLogoRules({
+    square: options.square,
+    minSize: options.minSize,
+    maxSize: options.maxSize,
+    colorTypes: options.colorTypes,
+    requireTransparency: options.requireTransparency
+  });
+
+  log(chalk.green('Logo Image Validator'));
+  log(`Rules: ${rules.square ? 'square, ' : ''}${rules.minSize}-${rules.maxSize}px, ` +
+    `color types ${rules.colorTypes.join(', ')}${rules.requireTransparency ? ', transparency required' : ''}`);
+
+  const chainIds = (await fs.readdir(path.join(ROOT, 'assets')))
+    .filter(name => /^\d+$/.test(name))
+    .filter(name => !options.chain || name === String(options.chain))
+    .sort((a, b) => Number(a) - Number(b));
+
+  if (chainIds.length === 0) {
+    throw new Error(`No assets found for chain ${options.chain}`);
+  }
+
+  for (const chainId of chainIds) {
+    await validateChainLogos(chainId, rules);
+  }
+
+  // Print summary
+  log(chalk.blue('\n-----------------------------------'));
+  log(chalk.blue('Logo Image Summary:'));
+  log(chalk.blue('-----------------------------------'));
+  log(`Total logo files: ${stats.totalLogoFiles}`);
+  log(`Valid logo files: ${chalk.green(stats.validLogoFiles)}`);
+  log(`Invalid logo files: ${chalk.red(stats.invalidLogoFiles)}`);
+
+  await writeReport(findings, { ...options, tool: TOOL });
+  process.exitCode = getExitCode(findings);
+}
+
+main().catch(error => {
+  console.error(chalk.red(`Error: ${error.message}`));
+  process.exit(1);
+});
@@ -8,25 +8,38 @@
  * 
  * Oversized logo files can cause performance issues and slow loading times
  * for applications using the token list.
+ * 
+ * Usage:
+ *   node scripts/validate-logo-size.js                   # Print a text report
+ *   node scripts/validate-logo-size.js --format json     # Report as text, json, junit or sarif
+ *   node scripts/validate-logo-size.js --format sarif --output logo-size.sarif
  */
 
 const fs = require('fs');
 const path = require('path');
+const { Command } = require('commander');
+const { createFinding, getExitCode, writeReport, addReportOptions, createLogger } = require('../lib/report');
 
 // Configuration
 const ASSETS_DIR = path.resolve(__dirname, '../assets');
 const LOGOS_DIR = 'logos';
 const MAX_FILE_SIZE_KB = 100; // Maximum file size in KB
 const MAX_FILE_SIZE_BYTES = MAX_FILE_SIZE_KB * 1024;
+const TOOL = 'validate-logo-size';
 
 // Stats tracking
 const stats = {
   processedDirectories: 0,
   totalLogoFiles: 0,
-  oversizedFiles: 0,
-  errors: []
+  oversizedFiles: 0
 };
 
+// Everything found wrong during this run
+const findings = [];
+
+// Progress output, replaced once the report options are known
+let log = console.log;
+
 /**
  * Get file size in KB
  * @param {string} filePath - Path to file
@@ -43,7 +56,7 @@ function getFileSizeKB(filePath) {
  * @param {string} chainId - Chain ID for context
  */
 function validateLogoDirectory(logosDir, chainId) {
-  console.log(`\nProcessing directory: ${logosDir}`);
+  log(`\nProcessing directory: ${logosDir}`);
   
   try {
     stats.processedDirectories++;
@@ -63,18 +76,13 @@ function validateLogoDirectory(logosDir, chainId) {
         // Check if file size exceeds the limit
         if (fileSizeKB > MAX_FILE_SIZE_KB) {
           stats.oversizedFiles++;
+          findings.push(createFinding(
+            'logo.oversized',
+            `Logo file is ${fileSizeKB}KB, the maximum is ${MAX_FILE_SIZE_KB}KB`,
+            { file: path.relative(path.dirname(ASSETS_DIR), filePath) }
+          ));
           
-          const error = {
-            chainId,
-            logoFile,
-            filePath,
-            fileSizeKB,
-            message: `Logo file exceeds maximum size of ${MAX_FILE_SIZE_KB}KB`
-          };
-          
-          stats.errors.push(error);
-          
-          console.log(`❌ Oversized logo: ${logoFile} (${fileSizeKB}KB)`);
+          log(`❌ Oversized logo: ${logoFile} (${fileSizeKB}KB)`);
         }
       } catch (error) {
         console.error(`Error processing file ${logoFile}: ${error.message}`);
@@ -89,9 +97,13 @@ function validateLogoDirectory(logosDir, chainId) {
  * Main function
  */
 async function main() {
-  console.log('Logo File Size Validator');
-  console.log('=======================');
-  console.log(`Maximum allowed size: ${MAX_FILE_SIZE_KB}KB`);
+  const program = addReportOptions(new Command()).parse(process.argv);
+  const options = program.opts();
+  log = createLogger(options);
+
+  log('Logo File Size Validator');
+  log('=======================');
+  log(`Maximum allowed size: ${MAX_FILE_SIZE_KB}KB`);
   
   try {
     // Get all chain directories in assets
@@ -111,38 +123,18 @@ async function main() {
     }
     
     // Print summary
-    console.log('\nValidation Complete!');
-    console.log('===================');
-    console.log(`Directories processed: ${stats.processedDirectories}`);
-    console.log(`Total logo files: ${stats.totalLogoFiles}`);
-    console.log(`Oversized logo files: ${stats.oversizedFiles}`);
+    log('\nValidation Complete!');
+    log('===================');
+    log(`Directories processed: ${stats.processedDirectories}`);
+    log(`Total logo files: ${stats.totalLogoFiles}`);
+    log(`Oversized logo files: ${stats.oversizedFiles}`);
     
-    if (stats.oversizedFiles > 0) {
-      console.log('\nOversized Logo Files:');
-      console.log('====================');
-      
-      // Group errors by chain ID for better readability
-      const groupedErrors = {};
-      stats.errors.forEach(error => {
-        if (!groupedErrors[error.chainId]) {
-          groupedErrors[error.chainId] = [];
-        }
-        groupedErrors[error.chainId].push(error);
-      });
-      
-      // Print each error by chain
-      for (const chainId in groupedErrors) {
-        console.log(`\nChain ID: ${chainId}`);
-        groupedErrors[chainId].forEach(error => {
-          console.log(`- ${error.logoFile}: ${error.fileSizeKB}KB (limit: ${MAX_FILE_SIZE_KB}KB)`);
-        });
-      }
-      
-      process.exit(1); // Exit with error if oversized files are found
-    }
+    await writeReport(findings, { ...options, tool: TOOL });
     
-    console.log('\nAll logo files are within the size limit.');
-    process.exit(0);
+    if (stats.oversizedFiles === 0) {
+      log('\nAll logo files are within the size limit.');
+    }
+    process.exitCode = getExitCode(findings);
   } catch (error) {
     console.error(`Unexpected error: ${error.message}`);
     process.exit(1);
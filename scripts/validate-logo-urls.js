@@ -13,6 +13,11 @@
  * - Deep verification of both the URL accessibility AND file existence
  * - Identifies missing logo files that should exist based on token addresses
  * - Detailed error reporting categorized by error type
+ * - Text, JSON, JUnit or SARIF reports (see lib/report.js)
+ * 
+ * Usage:
+ *   node scripts/validate-logo-urls.js                   # Print a text report
+ *   node scripts/validate-logo-urls.js --format junit --output logo-urls.xml
  */
 
 const fs = require('fs');
@@ -20,6 +25,8 @@ const path = require('path');
 const https = require('https');
 const http = require('http');
 const { URL } = require('url');
+const { Command } = require('commander');
+const { createFinding, getExitCode, writeReport, addReportOptions, getProgressStream, createLogger } = require('../lib/report');
 
 // Configuration
 const REPO_ROOT = path.join(__dirname, '..');
@@ -31,6 +38,7 @@ const MAX_RETRIES = 2; // Number of retry attempts for failed requests
 const CONCURRENT_REQUESTS = 5; // Number of concurrent HTTP requests
 const DELAY_BETWEEN_BATCHES_MS = 1000; // Delay between request batches
 const RETRY_DELAY_MS = 2000; // Delay before retrying a failed request
+const TOOL = 'validate-logo-urls';
 
 // Stats tracking
 const stats = {
@@ -48,10 +56,19 @@ const stats = {
   checkedLocalPaths: 0,
   existingLocalFiles: 0,
   missingLocalFiles: 0,
-  invalidLocalPaths: 0,
-  errors: []
+  invalidLocalPaths: 0
 };
 
+// Everything found wrong during this run
+const findings = [];
+
+// The first token using each logo URL, so HTTP failures can point at a file
+const urlTokens = new Map();
+
+// Progress output, replaced once the report options are known
+let log = console.log;
+let progress = process.stdout;
+
 /**
  * Sleep for a specified duration
  * @param {number} ms - Milliseconds to sleep
@@ -62,25 +79,31 @@ function sleep(ms) {
 }
 
 /**
- * Record an error in stats
+ * Record an error as a finding
  * @param {string} identifier - The URL or path that had an error
  * @param {string} message - Error message
  * @param {string} type - Error type (http, file, etc)
  * @param {Object} metadata - Additional metadata about the error
  */
 function recordError(identifier, message, type, metadata = {}) {
-  stats.errors.push({ 
-    identifier, 
-    message, 
-    type, 
-    ...metadata 
-  });
+  if (type === 'file') {
+    findings.push(createFinding('logo.missing', message, {
+      file: metadata.source && `tokenlists/${metadata.source}`,
+      token: metadata.address
+    }));
+  } else {
+    const token = urlTokens.get(identifier) || {};
+    findings.push(createFinding('logo.unreachable', `${identifier}: ${message}`, {
+      file: token._source && `tokenlists/${token._source}`,
+      token: token.address
+    }));
+  }
   
   let icon = '❌';
   if (type === 'timeout') icon = '⏱️';
   else if (type === 'redirect') icon = '🔄';
   
-  console.log(`${icon} ${type.toUpperCase()}: ${identifier} (${message})`);
+  log(`${icon} ${type.toUpperCase()}: ${identifier} (${message})`);
 }
 
 /**
@@ -128,29 +151,26 @@ async function checkUrl(url, retryCount = 0) {
               stats.brokenUrls++;
               resolve(false);
             }
+          } else if (retryCount < MAX_RETRIES && 
+                     (response.statusCode >= 500 || 
+                      response.statusCode === 429)) {
+            // Retry on server errors (5xx) or specific client errors
+            scheduleRetry(url, retryCount, resolve);
           } else {
             recordError(url, `HTTP ${response.statusCode} ${response.statusMessage}`, 'http');
             stats.brokenUrls++;
-            
-            // Retry on server errors (5xx) or specific client errors
-            if (retryCount < MAX_RETRIES && 
-                (response.statusCode >= 500 || 
-                 response.statusCode === 429)) {
-              scheduleRetry(url, retryCount, resolve);
-            } else {
-              resolve(false);
-            }
+            resolve(false);
           }
         });
       });
 
       request.on('error', (error) => {
-        recordError(url, error.message, 'http');
-        stats.brokenUrls++;
-        
+        // Only failures that persist after the retries are recorded
         if (retryCount < MAX_RETRIES) {
           scheduleRetry(url, retryCount, resolve);
         } else {
+          recordError(url, error.message, 'http');
+          stats.brokenUrls++;
           resolve(false);
         }
       });
@@ -158,12 +178,12 @@ async function checkUrl(url, retryCount = 0) {
       request.on('timeout', () => {
         request.destroy();
         stats.timeoutUrls++;
-        recordError(url, 'Request timed out', 'timeout');
-        stats.brokenUrls++;
         
         if (retryCount < MAX_RETRIES) {
           scheduleRetry(url, retryCount, resolve);
         } else {
+          recordError(url, 'Request timed out', 'timeout');
+          stats.brokenUrls++;
           resolve(false);
         }
       });
@@ -186,7 +206,7 @@ function scheduleRetry(url, retryCount, resolve) {
   const delay = RETRY_DELAY_MS * (nextRetry);
   
   stats.retriedUrls++;
-  console.log(`🔄 Retrying (${nextRetry}/${MAX_RETRIES}): ${url} in ${delay}ms`);
+  log(`🔄 Retrying (${nextRetry}/${MAX_RETRIES}): ${url} in ${delay}ms`);
   
   setTimeout(() => {
     checkUrl(url, nextRetry).then(resolve);
@@ -212,10 +232,10 @@ async function processBatch(urls) {
     }
     
     // Show progress
-    const progress = Math.min(stats.checkedUrls / urls.length * 100, 100).toFixed(1);
-    process.stdout.write(`\rHTTP Progress: ${progress}% (${stats.checkedUrls}/${urls.length}) | ✅ ${stats.workingUrls} | ❌ ${stats.brokenUrls} | 🔄 ${stats.retriedUrls}`);
+    const percent = Math.min(stats.checkedUrls / urls.length * 100, 100).toFixed(1);
+    progress.write(`\rHTTP Progress: ${percent}% (${stats.checkedUrls}/${urls.length}) | ✅ ${stats.workingUrls} | ❌ ${stats.brokenUrls} | 🔄 ${stats.retriedUrls}`);
   }
-  process.stdout.write('\n');
+  progress.write('\n');
 }
 
 /**
@@ -231,7 +251,7 @@ function extractAllTokensWithLogos() {
     .map(file => path.join(TOKENLISTS_DIR, file));
   
   stats.totalTokenListFiles = files.length;
-  console.log(`Found ${stats.totalTokenListFiles} tokenlist files`);
+  log(`Found ${stats.totalTokenListFiles} tokenlist files`);
   
   // Process each file
   for (const file of files) {
@@ -251,7 +271,7 @@ function extractAllTokensWithLogos() {
       }));
       
       tokens.push(...tokensFromFile);
-      console.log(`${path.basename(file)}: ${tokensFromFile.length} tokens`);
+      log(`${path.basename(file)}: ${tokensFromFile.length} tokens`);
     } catch (error) {
       console.error(`Error processing file ${file}: ${error.message}`);
     }
@@ -272,6 +292,9 @@ function extractUniqueLogoURIs(tokens) {
   for (const token of tokens) {
     if (token.logoURI && typeof token.logoURI === 'string') {
       urlSet.add(token.logoURI);
+      if (!urlTokens.has(token.logoURI)) {
+        urlTokens.set(token.logoURI, token);
+      }
     }
   }
   
@@ -323,7 +346,7 @@ function validateLocalLogoFile(token) {
  * @param {Object[]} tokens - Array of token objects
  */
 function validateLocalLogoFiles(tokens) {
-  console.log('\nValidating local logo files...');
+  log('\nValidating local logo files...');
   const failures = [];
   
   for (let i = 0; i < tokens.length; i++) {
@@ -361,11 +384,11 @@ function validateLocalLogoFiles(tokens) {
     
     // Show progress every 100 tokens
     if (i % 100 === 0) {
-      process.stdout.write(`\rFile Progress: ${i}/${tokens.length} | ✅ ${stats.existingLocalFiles} | ❌ ${stats.missingLocalFiles}`);
+      progress.write(`\rFile Progress: ${i}/${tokens.length} | ✅ ${stats.existingLocalFiles} | ❌ ${stats.missingLocalFiles}`);
     }
   }
   
-  process.stdout.write(`\rFile Progress: ${tokens.length}/${tokens.length} | ✅ ${stats.existingLocalFiles} | ❌ ${stats.missingLocalFiles}\n`);
+  progress.write(`\rFile Progress: ${tokens.length}/${tokens.length} | ✅ ${stats.existingLocalFiles} | ❌ ${stats.missingLocalFiles}\n`);
   return failures;
 }
 
@@ -373,10 +396,15 @@ function validateLocalLogoFiles(tokens) {
  * Main function to validate token logo URIs
  */
 async function main() {
+  const program = addReportOptions(new Command()).parse(process.argv);
+  const options = program.opts();
+  log = createLogger(options);
+  progress = getProgressStream(options);
+
   try {
-    console.log('Logo URL and File Validator');
-    console.log('===========================');
-    console.log(`HTTP Timeout: ${TIMEOUT_MS}ms | Concurrent requests: ${CONCURRENT_REQUESTS} | Max retries: ${MAX_RETRIES}`);
+    log('Logo URL and File Validator');
+    log('===========================');
+    log(`HTTP Timeout: ${TIMEOUT_MS}ms | Concurrent requests: ${CONCURRENT_REQUESTS} | Max retries: ${MAX_RETRIES}`);
     
     // Extract all tokens from tokenlist files
     const allTokens = extractAllTokensWithLogos();
@@ -386,87 +414,41 @@ async function main() {
     const uniqueLogoURIs = extractUniqueLogoURIs(allTokens);
     stats.totalLogos = uniqueLogoURIs.length;
     
-    console.log(`\nTotal tokens: ${stats.totalTokens}`);
-    console.log(`Unique logo URIs: ${stats.totalLogos}`);
+    log(`\nTotal tokens: ${stats.totalTokens}`);
+    log(`Unique logo URIs: ${stats.totalLogos}`);
     
     // Phase 1: HTTP validation of remote URLs
-    console.log('\nPhase 1: Validating HTTP accessibility of remote logo URLs...');
+    log('\nPhase 1: Validating HTTP accessibility of remote logo URLs...');
     await processBatch(uniqueLogoURIs);
     
     // Phase 2: Local file validation
-    console.log('\nPhase 2: Validating existence of local logo files...');
-    const localFileFailures = validateLocalLogoFiles(allTokens);
+    log('\nPhase 2: Validating existence of local logo files...');
+    validateLocalLogoFiles(allTokens);
     
     // Print summary
-    console.log('\n=============================');
-    console.log('Results Summary:');
-    console.log('=============================');
-    console.log(`Total tokens: ${stats.totalTokens}`);
-    console.log(`Unique logo URIs: ${stats.totalLogos}`);
-    console.log('\nHTTP Validation:');
-    console.log(`- URLs checked: ${stats.checkedUrls}`);
-    console.log(`- Working URLs: ${stats.workingUrls}`);
-    console.log(`- Broken URLs: ${stats.brokenUrls}`);
-    console.log(`- Retried URLs: ${stats.retriedUrls}`);
-    console.log(`- Timeout URLs: ${stats.timeoutUrls}`);
-    console.log('\nLocal File Validation:');
-    console.log(`- Paths checked: ${stats.checkedLocalPaths}`);
-    console.log(`- Existing files: ${stats.existingLocalFiles}`);
-    console.log(`- Missing files: ${stats.missingLocalFiles}`);
+    log('\n=============================');
+    log('Results Summary:');
+    log('=============================');
+    log(`Total tokens: ${stats.totalTokens}`);
+    log(`Unique logo URIs: ${stats.totalLogos}`);
+    log('\nHTTP Validation:');
+    log(`- URLs checked: ${stats.checkedUrls}`);
+    log(`- Working URLs: ${stats.workingUrls}`);
+    log(`- Broken URLs: ${stats.brokenUrls}`);
+    log(`- Retried URLs: ${stats.retriedUrls}`);
+    log(`- Timeout URLs: ${stats.timeoutUrls}`);
+    log('\nLocal File Validation:');
+    log(`- Paths checked: ${stats.checkedLocalPaths}`);
+    log(`- Existing files: ${stats.existingLocalFiles}`);
+    log(`- Missing files: ${stats.missingLocalFiles}`);
     
-    if (stats.errors.length > 0) {
-      console.log('\n=============================');
-      console.log('Errors By Type:');
-      console.log('=============================');
-      
-      // Group errors by type
-      const errorTypes = {};
-      stats.errors.forEach(error => {
-        if (!errorTypes[error.type]) {
-          errorTypes[error.type] = [];
-        }
-        errorTypes[error.type].push(error);
-      });
-      
-      // Print errors grouped by type
-      for (const [type, errors] of Object.entries(errorTypes)) {
-        console.log(`\n${type.toUpperCase()} errors (${errors.length}):`);
-        
-        if (type === 'file') {
-          // For file errors, group by chainId for better readability
-          const byChain = {};
-          errors.forEach(error => {
-            const chainId = error.chainId || 'unknown';
-            if (!byChain[chainId]) {
-              byChain[chainId] = [];
-            }
-            byChain[chainId].push(error);
-          });
-          
-          for (const [chainId, chainErrors] of Object.entries(byChain)) {
-            console.log(`  Chain ID ${chainId} (${chainErrors.length} errors):`);
-            chainErrors.slice(0, 10).forEach(error => {
-              console.log(`  - ${error.symbol || 'Unknown'} (${error.address}): ${error.message}`);
-            });
-            if (chainErrors.length > 10) {
-              console.log(`  ... and ${chainErrors.length - 10} more`);
-            }
-          }
-        } else {
-          // For HTTP errors, just show the broken URLs
-          errors.slice(0, 10).forEach(error => {
-            console.log(`  - ${error.identifier}: ${error.message}`);
-          });
-          if (errors.length > 10) {
-            console.log(`  ... and ${errors.length - 10} more`);
-          }
-        }
-      }
-    }
+    const files = fs.readdirSync(TOKENLISTS_DIR)
+      .filter(file => file.endsWith('.json'))
+      .map(file => `tokenlists/${file}`);
+    await writeReport(findings, { ...options, tool: TOOL, files });
     
     // Exit with error code if there are issues
-    const hasIssues = stats.brokenUrls > 0 || stats.missingLocalFiles > 0;
-    process.exit(hasIssues ? 1 : 0);
+    process.exitCode = getExitCode(findings);
   } catch (error) {
     console.error(`Unexpected error: ${error.message}`);
     process.exit(1);
@@ -474,7 +456,15 @@ async function main() {
 }
 
 // Run the main function
-main().catch(error => {
-  console.error(`Fatal error: ${error.message}`);
-  process.exit(1);
-}); 
\ No newline at end of file
+if (require.main === module) {
+  main().catch(error => {
+    console.error(`Fatal error: ${error.message}`);
+    process.exit(1);
+  });
+}
+
+module.exports = {
+  stats,
+  findings,
+  processBatch
+}; 
\ No newline at end of file
@@ -2,25 +2,59 @@
 
 /**
  * Token List Validator
- * 
+ *
  * Validates all token list files in the assets directory according to requirements:
  * 1. Both common.json and popular.json are valid JSON objects with a tokens array
- * 2. Each token entry has required fields: chainId, address, name, symbol, decimals, logoURI
+ * 2. Each token entry matches schemas/token.schema.json: the required fields chainId, address,
+ *    name, symbol, decimals and logoURI with the right types, and no unknown keys
  * 3. Popular.json only contains tokens from common.json
  * 4. No duplicates by address in the same file
- * 5. Address casing is consistent (checksum)
+ * 5. Address casing follows the address policy (lowercase by default, see lib/addresses.js)
  * 6. Files are formatted with 2-space indentation
- * 7. Logo files exist and are valid image files
+ * 7. Logo files exist and are sound PNG or JPEG images, with chunks and CRCs intact
+ * 8. No token uses a copy or look-alike of the logo of a token with another symbol,
+ *    on any chain, unless logo-allowlist.json allows the pair
+ *
+ * Every problem is a finding with a rule ID (see lib/report.js), reported with
+ * its JSON pointer and its line and column in the file. The rules themselves
+ * live in lib/validation.js; this script reads the files and reports.
+ *
+ * With --changed-since only the chains that changed since a git revision are
+ * validated, and within them only the tokens that were added or modified or
+ * whose logo file changed. The file-wide checks (formatting, duplicates,
+ * chain IDs and the popular subset) still run on every changed chain, and
+ * the logos of the changed tokens are still compared with those of every chain.
+ *
+ * Usage:
+ *   node scripts/validate.js                        # Validate all token lists
+ *   node scripts/validate.js --fix                  # Rewrite addresses and logo file names to the policy first
+ *   node scripts/validate.js --changed-since main   # Only validate what changed since a git revision
+ *   node scripts/validate.js --format sarif         # Report as text, github, json, junit or sarif
+ *   node scripts/validate.js --format junit --output report.xml
  */
 
 const fs = require('fs-extra');
 const path = require('path');
 const { glob } = require('glob');
-const { ethers } = require('ethers');
 const chalk = require('chalk');
+const { Command } = require('commander');
+const { fixAddresses } = require('../lib/addresses');
+const { parseJSONWithPositions } = require('../lib/json-source');
+const { isGitRef, readFileAtRef, getChangedFiles } = require('../lib/git');
+const { diffTokenLists } = require('../lib/diff');
+const { createFinding, getExitCode, writeReport, addReportOptions, createLogger } = require('../lib/report');
+const { inspectImageFile } = require('../lib/images');
+const { loadLogoAllowlist } = require('../lib/logo-similarity');
+const {
+  resolveLogoPath,
+  validateTokenList,
+  validatePopularSubset,
+  validateLogoSimilarity
+} = require('../lib/validation');
 
-// Schema validation
-const requiredFields = ['chainId', 'address', 'name', 'symbol', 'decimals', 'logoURI'];
+const ROOT = path.resolve(__dirname, '..');
+const TOOL = 'validate';
+const LOGO_ALLOWLIST = path.join(ROOT, 'logo-allowlist.json');
 
 // Track validation statistics
 const stats = {
@@ -29,287 +63,77 @@ const stats = {
   invalidFiles: 0,
   missingLogoFiles: 0,
   invalidLogoFiles: 0,
-  errors: []
+  similarLogos: 0,
+  skippedTokens: 0
 };
 
-/**
- * Validates that an address is a valid Ethereum address in checksum format
- * @param {string} address The address to validate
- * @param {number} chainId The chain ID for context in error messages
- * @returns {boolean} Whether the address is valid
- */
-function isValidChecksumAddress(address, chainId) {
-  try {
-    // Check if it's a valid Ethereum address
-    if (!ethers.isAddress(address)) {
-      return false;
-    }
-    
-    // Check if it's in checksum format
-    return address === ethers.getAddress(address);
-  } catch (e) {
-    return false;
-  }
-}
+// Everything found wrong during this run
+const findings = [];
 
-/**
- * Checks if a file exists and is a valid image (by checking the file signature)
- * @param {string} filePath The path to the image file
- * @returns {Promise<boolean>} Whether the file exists and is a valid image
- */
-async function isValidImageFile(filePath) {
-  try {
-    // Check if file exists
-    if (!await fs.pathExists(filePath)) {
-      return false;
-    }
-    
-    // Read the first few bytes to check image signature
-    const buffer = await fs.readFile(filePath, { length: 8 });
-    
-    // Check for PNG signature (89 50 4E 47 0D 0A 1A 0A)
-    if (buffer.length >= 8 && 
-        buffer[0] === 0x89 && 
-        buffer[1] === 0x50 && 
-        buffer[2] === 0x4E && 
-        buffer[3] === 0x47 && 
-        buffer[4] === 0x0D && 
-        buffer[5] === 0x0A && 
-        buffer[6] === 0x1A && 
-        buffer[7] === 0x0A) {
-      return true;
-    }
-    
-    // Check for JPEG signature (FF D8)
-    if (buffer.length >= 2 && buffer[0] === 0xFF && buffer[1] === 0xD8) {
-      return true;
-    }
-    
-    // Not a supported image format
-    return false;
-  } catch (error) {
-    console.error(`Error checking image file ${filePath}: ${error.message}`);
-    return false;
-  }
-}
+// Progress output, replaced once the report options are known
+let log = console.log;
 
 /**
- * Resolves a logo URI to a local file path
- * @param {string} logoURI The logo URI from the token list
- * @param {number} chainId The chain ID
- * @returns {string|null} The resolved file path or null if it's an external URL
+ * Records a finding
+ * @param {string} ruleId The rule ID
+ * @param {string} message What is wrong
+ * @param {Object} details The details of createFinding()
  */
-function resolveLogoPath(logoURI, chainId) {
-  if (logoURI.startsWith('http')) {
-    // External URL, we don't validate these
-    return null;
-  }
-  
-  // Handle relative paths in asset directory: "./logos/0x..."
-  if (logoURI.startsWith('./logos/')) {
-    return path.join('assets', chainId.toString(), logoURI.substring(2));
-  }
-  
-  // Handle absolute paths: "/assets/43114/logos/0x..."
-  if (logoURI.startsWith('/assets/')) {
-    return logoURI.substring(1); // Remove leading slash
-  }
-  
-  // Handle GitHub raw URLs for our repo
-  if (logoURI.includes('github.com/First-Point/cosmohub-token-list/') && 
-      logoURI.includes(`assets/${chainId}/logos/`)) {
-    // Extract the path part after 'assets/'
-    const match = logoURI.match(/assets\/.*$/);
-    if (match) {
-      return match[0];
-    }
-  }
-  
-  // Can't resolve the path
-  return null;
+function report(ruleId, message, details) {
+  findings.push(createFinding(ruleId, message, details));
 }
 
 /**
- * Validates a token entry has all required fields with correct types
- * @param {Object} token The token object to validate
- * @param {string} file The filename for context in error messages
- * @returns {Promise<boolean>} Whether the token is valid
+ * Records the findings of a check and counts the logo problems among them
+ * @param {Array<Object>} results The findings
+ * @returns {boolean} Whether there were no errors
  */
-async function validateToken(token, file) {
-  const errors = [];
-
-  // Check required fields exist
-  for (const field of requiredFields) {
-    if (token[field] === undefined) {
-      errors.push(`Missing required field '${field}'`);
-    }
-  }
-
-  // If any fields are missing, return the errors
-  if (errors.length > 0) {
-    stats.errors.push({
-      file,
-      token: token.address || 'unknown',
-      errors
-    });
-    return false;
-  }
-
-  // Validate field types
-  if (typeof token.chainId !== 'number') {
-    errors.push('chainId must be a number');
-  }
-
-  if (typeof token.address !== 'string') {
-    errors.push('address must be a string');
-  } else if (!isValidChecksumAddress(token.address, token.chainId)) {
-    errors.push(`address '${token.address}' is not a valid checksum address`);
-  }
-
-  if (typeof token.name !== 'string') {
-    errors.push('name must be a string');
-  }
-
-  if (typeof token.symbol !== 'string') {
-    errors.push('symbol must be a string');
-  }
-
-  if (typeof token.decimals !== 'number' || !Number.isInteger(token.decimals)) {
-    errors.push('decimals must be an integer');
-  }
-
-  if (typeof token.logoURI !== 'string') {
-    errors.push('logoURI must be a string');
-  } else if (!(token.logoURI.startsWith('http') || 
-               token.logoURI.startsWith('./logos/') || 
-               token.logoURI.startsWith('/assets/') ||
-               token.logoURI.includes('github.com/First-Point/cosmohub-token-list/'))) {
-    errors.push('logoURI must be a valid URL or a local file path (./logos/ or /assets/)');
-  } else {
-    // Validate that the logo file exists if it's a local path
-    const logoPath = resolveLogoPath(token.logoURI, token.chainId);
-    if (logoPath) {
-      if (!await fs.pathExists(logoPath)) {
-        errors.push(`Logo file does not exist: ${logoPath}`);
-        stats.missingLogoFiles++;
-      } else if (!await isValidImageFile(logoPath)) {
-        errors.push(`Logo file is not a valid PNG or JPEG image: ${logoPath}`);
-        stats.invalidLogoFiles++;
-      }
-    }
-  }
-
-  // If there are any errors, log them
-  if (errors.length > 0) {
-    stats.errors.push({
-      file,
-      token: token.address || 'unknown',
-      errors
-    });
-    return false;
-  }
-
-  return true;
+function record(results) {
+  findings.push(...results);
+  stats.missingLogoFiles += results.filter(finding => finding.ruleId === 'logo.missing').length;
+  stats.invalidLogoFiles += results.filter(finding => finding.ruleId === 'logo.invalid').length;
+  return getExitCode(results) === 0;
 }
 
 /**
  * Validate a token list file
  * @param {string} filePath Path to the token list file
+ * @param {Set<string>} [scope] Lowercase addresses of the tokens to validate, all tokens if not given;
+ *   duplicates and chain IDs are always checked across the whole file
  * @returns {Promise<boolean>} Whether the file is valid
  */
-async function validateFile(filePath) {
+async function validateFile(filePath, scope) {
   const relativePath = path.relative(process.cwd(), filePath);
-  console.log(chalk.blue(`Validating ${relativePath}...`));
-  
+  log(chalk.blue(`Validating ${relativePath}...`));
+
   try {
     const fileContent = await fs.readFile(filePath, 'utf8');
-    
+
     // Check if file has 2-space indentation
     if (!fileContent.includes('\n  "')) {
-      stats.errors.push({
-        file: relativePath,
-        errors: ['File is not formatted with 2-space indentation']
-      });
+      report('json.format', 'File is not formatted with 2-space indentation', { file: relativePath });
       return false;
     }
-    
-    // Parse JSON
+
+    // Parse JSON, keeping track of where each value is in the file
     let tokenList;
+    let positions;
     try {
-      tokenList = JSON.parse(fileContent);
+      ({ data: tokenList, positions } = parseJSONWithPositions(fileContent));
     } catch (e) {
-      stats.errors.push({
-        file: relativePath,
-        errors: [`Invalid JSON: ${e.message}`]
-      });
+      report('json.invalid', `Invalid JSON: ${e.message}`, { file: relativePath, line: e.line, column: e.column });
       return false;
     }
-    
-    // Check if it has a tokens array
-    if (!tokenList.tokens || !Array.isArray(tokenList.tokens)) {
-      stats.errors.push({
-        file: relativePath,
-        errors: ['Missing "tokens" array']
-      });
-      return false;
-    }
-    
-    // No tokens is valid, but unusual
-    if (tokenList.tokens.length === 0) {
-      console.log(chalk.yellow(`  Warning: ${relativePath} has an empty tokens array`));
-      return true;
-    }
-    
-    // Check for duplicate addresses
-    const addresses = new Set();
-    const duplicates = [];
-    
-    // Validate each token
-    let allTokensValid = true;
-    
-    // We need to check tokens sequentially to get accurate results
-    for (const token of tokenList.tokens) {
-      const isValid = await validateToken(token, relativePath);
-      if (!isValid) {
-        allTokensValid = false;
-      }
-      
-      // Check for duplicates
-      if (token.address) {
-        const address = token.address.toLowerCase();
-        if (addresses.has(address)) {
-          duplicates.push(token.address);
-        } else {
-          addresses.add(address);
-        }
-      }
-    }
-    
-    // Report duplicate addresses
-    if (duplicates.length > 0) {
-      stats.errors.push({
-        file: relativePath,
-        errors: [`Duplicate addresses found: ${duplicates.join(', ')}`]
-      });
-      allTokensValid = false;
-    }
-    
-    // Check chainId consistency
-    const chainIds = new Set(tokenList.tokens.map(token => token.chainId));
-    if (chainIds.size > 1) {
-      stats.errors.push({
-        file: relativePath,
-        errors: [`Multiple chainIds found: ${Array.from(chainIds).join(', ')}`]
-      });
-      allTokensValid = false;
+
+    if (scope && Array.isArray(tokenList.tokens)) {
+      stats.skippedTokens += tokenList.tokens.filter(token =>
+        !(token && typeof token.address === 'string' && scope.has(token.address.toLowerCase()))
+      ).length;
     }
-    
-    return allTokensValid;
+
+    return record(await validateTokenList(tokenList, { file: relativePath, positions, scope, checkLogoFiles: true }));
   } catch (error) {
-    stats.errors.push({
-      file: relativePath,
-      errors: [`Error reading file: ${error.message}`]
-    });
+    report('file.unreadable', `Error reading file: ${error.message}`, { file: relativePath });
     return false;
   }
 }
@@ -320,47 +144,19 @@ async function validateFile(filePath) {
  * @param {string} popularPath Path to popular.json
  * @returns {Promise<boolean>} Whether popular.json is a valid subset
  */
-async function validatePopularSubset(commonPath, popularPath) {
+async function validatePopularFile(commonPath, popularPath) {
+  const relativePath = path.relative(process.cwd(), popularPath);
+
   try {
     const commonContent = await fs.readFile(commonPath, 'utf8');
     const popularContent = await fs.readFile(popularPath, 'utf8');
-    
+
     const common = JSON.parse(commonContent);
-    const popular = JSON.parse(popularContent);
-    
-    // Create a map of addresses in common.json
-    const commonAddresses = new Map();
-    for (const token of common.tokens) {
-      commonAddresses.set(token.address.toLowerCase(), token);
-    }
-    
-    // Check if each token in popular.json exists in common.json
-    let isValidSubset = true;
-    const invalidTokens = [];
-    
-    for (const token of popular.tokens) {
-      const address = token.address.toLowerCase();
-      if (!commonAddresses.has(address)) {
-        invalidTokens.push(token.address);
-        isValidSubset = false;
-      }
-    }
-    
-    if (!isValidSubset) {
-      const relativePath = path.relative(process.cwd(), popularPath);
-      stats.errors.push({
-        file: relativePath,
-        errors: [`Contains tokens not found in common.json: ${invalidTokens.join(', ')}`]
-      });
-    }
-    
-    return isValidSubset;
+    const { data: popular, positions } = parseJSONWithPositions(popularContent);
+
+    return record(validatePopularSubset(common, popular, { file: relativePath, positions }));
   } catch (error) {
-    const relativePath = path.relative(process.cwd(), popularPath);
-    stats.errors.push({
-      file: relativePath,
-      errors: [`Error validating popular subset: ${error.message}`]
-    });
+    report('file.unreadable', `Error validating popular subset: ${error.message}`, { file: relativePath });
     return false;
   }
 }
@@ -373,156 +169,287 @@ async function validatePopularSubset(commonPath, popularPath) {
 async function validateLogoDirectory(chainDir) {
   const logoDir = path.join(chainDir, 'logos');
   const relativePath = path.relative(process.cwd(), logoDir);
-  
+
   try {
     // Check if the logo directory exists
     if (!await fs.pathExists(logoDir)) {
-      console.log(chalk.red(`  Error: Logo directory not found: ${relativePath}`));
-      stats.errors.push({
-        file: relativePath,
-        errors: ['Logo directory not found']
-      });
+      log(chalk.red(`  Error: Logo directory not found: ${relativePath}`));
+      report('logo.directory-missing', 'Logo directory not found', { file: relativePath });
       return false;
     }
-    
+
     // Check the logo files
-    console.log(chalk.blue(`Validating logo files in ${relativePath}...`));
-    
+    log(chalk.blue(`Validating logo files in ${relativePath}...`));
+
     // Get all PNG files in the logo directory
     const logoFiles = await glob(path.join(logoDir, '*.png'));
-    
-    console.log(chalk.gray(`  Found ${logoFiles.length} logo files`));
-    
+
+    log(chalk.gray(`  Found ${logoFiles.length} logo files`));
+
     // Check each logo file
     let allLogosValid = true;
     let invalidCount = 0;
-    
-    for (const logoFile of logoFiles) {
-      if (!await isValidImageFile(logoFile)) {
-        const relativePath = path.relative(process.cwd(), logoFile);
-        stats.errors.push({
-          file: relativePath,
-          errors: ['Not a valid PNG or JPEG image file']
-        });
+
+    for (const logoFile of logoFiles.sort()) {
+      const { errors } = await inspectImageFile(logoFile);
+      if (errors.length > 0) {
+        report('logo.invalid', `Not a valid PNG or JPEG image file: ${errors[0]}`, { file: path.relative(process.cwd(), logoFile) });
         allLogosValid = false;
         invalidCount++;
       }
     }
-    
+
     if (invalidCount > 0) {
-      console.log(chalk.red(`  ${invalidCount} invalid logo files found`));
+      log(chalk.red(`  ${invalidCount} invalid logo files found`));
       stats.invalidLogoFiles += invalidCount;
     }
-    
+
     return allLogosValid;
   } catch (error) {
-    console.error(chalk.red(`  Error validating logo directory: ${error.message}`));
-    stats.errors.push({
-      file: relativePath,
-      errors: [`Error validating logo directory: ${error.message}`]
-    });
+    log(chalk.red(`  Error validating logo directory: ${error.message}`));
+    report('file.unreadable', `Error validating logo directory: ${error.message}`, { file: relativePath });
     return false;
   }
 }
 
+/**
+ * Validate that no token impersonates another one with its logo, comparing
+ * the logos of every chain's common.json
+ * @param {Array<string>} chainDirs Paths to the chain directories
+ * @param {Object|null} changedScope The result of getChangedScope(), to only check the changed tokens
+ * @returns {Promise<boolean>} Whether no logo is a copy of another token's logo
+ */
+async function validateLogoImpersonation(chainDirs, changedScope) {
+  log(chalk.blue('\nComparing logos across chains...'));
+
+  const lists = [];
+  for (const chainDir of chainDirs) {
+    const commonPath = path.join(chainDir, 'common.json');
+    try {
+      const { data: list, positions } = parseJSONWithPositions(await fs.readFile(commonPath, 'utf8'));
+      lists.push({ list, file: path.relative(process.cwd(), commonPath), positions });
+    } catch (error) {
+      // Missing or invalid lists are reported by the per-chain checks
+    }
+  }
+
+  const inScope = token => {
+    if (!changedScope) {
+      return true;
+    }
+    const scope = changedScope[String(token.chainId)];
+    return scope === null || (scope !== undefined && scope.has(token.address.toLowerCase()));
+  };
+
+  const results = await validateLogoSimilarity(lists, {
+    allowlist: await loadLogoAllowlist(LOGO_ALLOWLIST),
+    filter: inScope
+  });
+
+  for (const finding of results) {
+    log(chalk[finding.severity === 'error' ? 'red' : 'yellow'](`  ${finding.file}: ${finding.token}: ${finding.message}`));
+  }
+
+  stats.similarLogos += results.length;
+  return record(results);
+}
+
+/**
+ * Works out what changed since a git revision, chain by chain: the tokens
+ * added or modified in either list, plus the tokens whose logo file was
+ * added, replaced or removed
+ * @param {string} ref The revision to compare against
+ * @returns {Promise<Object>} { [chainId]: Set<string>|null } for every chain with changes, holding the
+ *   lowercase addresses to validate, or null when the whole chain has to be validated
+ */
+async function getChangedScope(ref) {
+  const root = process.cwd();
+  const changedByChain = new Map();
+
+  for (const file of getChangedFiles(ref, root, ['assets'])) {
+    const match = file.match(/^assets\/(\d+)\//);
+    if (match) {
+      changedByChain.set(match[1], [...(changedByChain.get(match[1]) || []), file]);
+    }
+  }
+
+  const scope = {};
+
+  for (const [chainId, files] of changedByChain) {
+    const addresses = new Set();
+
+    try {
+      for (const kind of ['common', 'popular']) {
+        const filePath = `assets/${chainId}/${kind}.json`;
+        const previous = readFileAtRef(ref, filePath, root);
+        const before = previous ? JSON.parse(previous).tokens : [];
+        const after = JSON.parse(await fs.readFile(filePath, 'utf8')).tokens;
+        const diff = diffTokenLists(before, after);
+
+        for (const token of diff.added) {
+          addresses.add(token.address.toLowerCase());
+        }
+        for (const change of diff.modified) {
+          addresses.add(change.address);
+        }
+
+        // Tokens whose logo was replaced or removed without touching the list
+        for (const token of after) {
+          const logoPath = typeof token.logoURI === 'string' ? resolveLogoPath(token.logoURI, Number(chainId)) : null;
+          if (logoPath && files.includes(logoPath.split(path.sep).join('/'))) {
+            addresses.add(token.address.toLowerCase());
+          }
+        }
+      }
+      scope[chainId] = addresses;
+    } catch (error) {
+      // A list that's missing or can't be read now or at the revision needs a full check
+      scope[chainId] = null;
+    }
+  }
+
+  return scope;
+}
+
+/**
+ * Rewrites addresses and logo file names that break the address policy
+ */
+async function fixAddressPolicy() {
+  const result = await fixAddresses();
+
+  for (const token of result.tokens) {
+    log(chalk.green(`Fixed address in ${token.file}: ${token.before} -> ${token.after}`));
+  }
+  for (const logo of result.logos) {
+    log(chalk.green(`Renamed logo: ${logo.before} -> ${logo.after}`));
+  }
+  for (const error of result.errors) {
+    log(chalk.yellow(`Could not fix ${error.file}: ${error.errors.join(', ')}`));
+  }
+
+  if (result.tokens.length > 0 || result.logos.length > 0) {
+    log(chalk.green('Run `npm run build` to regenerate tokenlists/ from the fixed assets'));
+  }
+}
+
 /**
  * Main validation function
  */
 async function validateTokenLists() {
+  const program = addReportOptions(new Command())
+    .option('--fix', 'rewrite addresses and logo file names to the address policy before validating')
+    .option('--changed-since <ref>', 'only validate the tokens added or modified since a git revision')
+    .parse(process.argv);
+
+  const options = program.opts();
+  log = createLogger(options);
+
   try {
+    if (options.fix) {
+      await fixAddressPolicy();
+    }
+
+    let changedScope = null;
+    if (options.changedSince) {
+      if (!isGitRef(options.changedSince, process.cwd())) {
+        throw new Error(`Unknown git revision "${options.changedSince}"`);
+      }
+      changedScope = await getChangedScope(options.changedSince);
+      log(chalk.green(`Validating changes since ${options.changedSince}`));
+    }
+
     // Find all chain directories
-    const chainDirs = await glob('assets/*/', { posix: true });
-    
-    console.log(chalk.green(`Found ${chainDirs.length} chain directories`));
-    
+    const chainDirs = (await glob('assets/*/', { posix: true })).sort();
+    const checkedFiles = [];
+
+    log(chalk.green(`Found ${chainDirs.length} chain directories`));
+
     for (const chainDir of chainDirs) {
       const chainId = path.basename(chainDir);
-      console.log(chalk.cyan(`\nValidating chain ID: ${chainId}`));
-      
+
+      if (changedScope && !(chainId in changedScope)) {
+        log(chalk.gray(`\nSkipping chain ID: ${chainId} (unchanged)`));
+        continue;
+      }
+
+      // Undefined validates every token of the chain
+      const scope = changedScope ? changedScope[chainId] || undefined : undefined;
+      log(chalk.cyan(`\nValidating chain ID: ${chainId}`));
+
       const commonPath = path.join(chainDir, 'common.json');
       const popularPath = path.join(chainDir, 'popular.json');
-      
+
       // Check if required files exist
       const commonExists = await fs.pathExists(commonPath);
       const popularExists = await fs.pathExists(popularPath);
-      
+
       if (!commonExists) {
-        console.log(chalk.red(`  Error: common.json not found in ${chainDir}`));
-        stats.errors.push({
-          file: chainDir,
-          errors: ['common.json not found']
-        });
+        log(chalk.red(`  Error: common.json not found in ${chainDir}`));
+        report('file.missing', 'common.json not found', { file: commonPath });
         stats.invalidFiles++;
         continue;
       }
-      
+
       if (!popularExists) {
-        console.log(chalk.red(`  Error: popular.json not found in ${chainDir}`));
-        stats.errors.push({
-          file: chainDir,
-          errors: ['popular.json not found']
-        });
+        log(chalk.red(`  Error: popular.json not found in ${chainDir}`));
+        report('file.missing', 'popular.json not found', { file: popularPath });
         stats.invalidFiles++;
         continue;
       }
-      
-      // Validate logo directory
-      await validateLogoDirectory(chainDir);
-      
+
+      // Validate logo directory; a scoped run checks the logos of the changed tokens instead
+      if (!scope) {
+        await validateLogoDirectory(chainDir);
+      }
+
       // Validate both files
       stats.totalFiles += 2;
-      
-      const commonValid = await validateFile(commonPath);
-      const popularValid = await validateFile(popularPath);
-      
+      checkedFiles.push(commonPath, popularPath);
+
+      const commonValid = await validateFile(commonPath, scope);
+      const popularValid = await validateFile(popularPath, scope);
+
       // Check that popular.json is a subset of common.json
       let popularSubsetValid = false;
       if (commonValid && popularValid) {
-        popularSubsetValid = await validatePopularSubset(commonPath, popularPath);
+        popularSubsetValid = await validatePopularFile(commonPath, popularPath);
       }
-      
+
       if (commonValid) {
         stats.validFiles++;
       } else {
         stats.invalidFiles++;
       }
-      
+
       if (popularValid && popularSubsetValid) {
         stats.validFiles++;
       } else {
         stats.invalidFiles++;
       }
     }
-    
+
+    await validateLogoImpersonation(chainDirs, changedScope);
+
     // Print summary
-    console.log(chalk.blue('\n-----------------------------------'));
-    console.log(chalk.blue('Validation Summary:'));
-    console.log(chalk.blue('-----------------------------------'));
-    console.log(`Total files: ${stats.totalFiles}`);
-    console.log(`Valid files: ${chalk.green(stats.validFiles)}`);
-    console.log(`Invalid files: ${chalk.red(stats.invalidFiles)}`);
-    console.log(`Missing logo files: ${chalk.yellow(stats.missingLogoFiles)}`);
-    console.log(`Invalid logo files: ${chalk.red(stats.invalidLogoFiles)}`);
-    
-    if (stats.errors.length > 0) {
-      console.log(chalk.red('\nErrors:'));
-      for (const error of stats.errors) {
-        console.log(chalk.yellow(`\nFile: ${error.file}`));
-        if (error.token) {
-          console.log(`Token: ${error.token}`);
-        }
-        for (const err of error.errors) {
-          console.log(chalk.red(`  - ${err}`));
-        }
-      }
+    log(chalk.blue('\n-----------------------------------'));
+    log(chalk.blue('Validation Summary:'));
+    log(chalk.blue('-----------------------------------'));
+    log(`Total files: ${stats.totalFiles}`);
+    log(`Valid files: ${chalk.green(stats.validFiles)}`);
+    log(`Invalid files: ${chalk.red(stats.invalidFiles)}`);
+    log(`Missing logo files: ${chalk.yellow(stats.missingLogoFiles)}`);
+    log(`Invalid logo files: ${chalk.red(stats.invalidLogoFiles)}`);
+    log(`Copied or look-alike logos: ${chalk.red(stats.similarLogos)}`);
+    if (changedScope) {
+      log(`Unchanged tokens skipped: ${chalk.gray(stats.skippedTokens)}`);
     }
-    
-    // Exit with error if any invalid files
-    const hasErrors = stats.invalidFiles > 0 || stats.missingLogoFiles > 0 || stats.invalidLogoFiles > 0;
-    if (hasErrors) {
-      process.exit(1);
-    } else {
-      console.log(chalk.green('\nAll token lists and logo files are valid!'));
+
+    await writeReport(findings, { ...options, tool: TOOL, files: checkedFiles });
+
+    // Exit with error if anything invalid was found
+    process.exitCode = getExitCode(findings);
+    if (process.exitCode === 0) {
+      log(chalk.green('\nAll token lists and logo files are valid!'));
     }
   } catch (error) {
     console.error(chalk.red(`\nUnexpected error: ${error.message}`));
@@ -532,4 +459,4 @@ async function validateTokenLists() {
 }
 
 // Run validation
-validateTokenLists(); 
\ No newline at end of file
+validateTokenLists();
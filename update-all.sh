@@ -1,48 +1,13 @@
 #!/bin/bash
 
 # Token List Synchronization Script
-# This script fetches and updates token lists from multiple sources
+# This script clones or updates the upstream source repositories into
+# token-sync/<source>/ and syncs their tokens into assets/ (see scripts/sync.js)
 
 echo "======================================================="
 echo "CosmoHub Token List Synchronization"
 echo "======================================================="
 
-# Processing Uniswap Token Repository
-echo -e "\n=== Processing Uniswap Token Repository ==="
-cd token-sync/uniswap
-if [ ! -d "default-token-list" ]; then
-  echo "Cloning Uniswap token repository..."
-  git clone https://github.com/Uniswap/default-token-list.git
-else
-  echo "Updating Uniswap token repository..."
-  cd default-token-list
-  git pull
-  cd ..
-fi
-echo "Running Uniswap token synchronization..."
-node sync-uniswap.js
-cd ../..
+node scripts/sync.js --update --apply "$@" || exit 1
 
-# Processing TraderJoe Token Repository
-echo -e "\n=== Processing TraderJoe Token Repository ==="
-cd token-sync/traderjoe
-echo "Running TraderJoe token synchronization..."
-node sync-joe.js
-cd ../..
-
-# Processing Pangolin Token Repository
-echo -e "\n=== Processing Pangolin Token Repository ==="
-cd token-sync/pangolin
-echo "Running Pangolin token synchronization..."
-node sync-pangolin.js
-cd ../..
-
-# Processing TrustWallet Token Repository
-echo -e "\n=== Processing TrustWallet Token Repository ==="
-cd token-sync/trustwallet
-echo "Running TrustWallet token synchronization..."
-node sync-trustwallet.js
-cd ../..
-
-
-echo -e "\n=== All token lists have been updated successfully! ===" 
\ No newline at end of file
+echo -e "\n=== All token lists have been updated successfully! ==="